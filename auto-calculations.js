@@ -0,0 +1,137 @@
+/**
+ * Swiss Auto-Calculated Defaults
+ *
+ * Pure rules for the values the form can calculate automatically, shared by the browser form and
+ * Node.js scripts:
+ * - Down payment: 20% of the price ('auto'), as entered ('manual'), or the price less the mortgage
+ *   limit capped at 80% ('mortgage') or 66.6% ('mortgage66', no second-rank mortgage)
+ * - Maintenance: 1.25% of the price per year
+ * - Amortization: mortgage ÷ amortization period ('auto') or the part above 2/3 of the price within
+ *   15 years ('swiss')
+ * - Imputed rental value: 65% of the annual rent
+ *
+ * Mode flags use the names of the saved scenario files (downPaymentMode, mortgageAmount,
+ * amortizationMode, autoMaintenance, autoImputedRental). A flag that is not given derives the field
+ * only when its value is missing, so a partial parameter object resolves to a complete engine input.
+ *
+ * @version 1.0.0
+ * @author d57udy
+ * @license CC BY-NC-SA 4.0
+ */
+
+class SwissAutoCalculations {
+    /**
+     * Rates and limits of the automatic values.
+     * @returns {Object} Rules: minimum down payment share, LTV caps, maintenance rate, Swiss amortization
+     *          target and period, imputed rental share and the fallback amortization period
+     */
+    static get RULES() {
+        return {
+            downPaymentShare: 0.2,             // 20% minimum down payment
+            maxLtv: 0.8,                       // 80% mortgage cap
+            firstRankLtv: 2 / 3,               // 66.6% first-rank mortgage, no amortization required below
+            maintenanceRate: 0.0125,           // 1.25% of the price per year
+            swissAmortizationYears: 15,        // second rank paid off within 15 years
+            imputedRentalShare: 0.65,          // 65% of the annual rent
+            defaultAmortizationYears: 10       // 'auto' amortization when no period is given
+        };
+    }
+
+    /**
+     * Mode flags read by resolve(); they are removed from the engine input.
+     * @returns {string[]} Flag names
+     */
+    static get MODE_FLAGS() {
+        return ['downPaymentMode', 'mortgageAmount', 'amortizationMode', 'autoMaintenance', 'autoImputedRental'];
+    }
+
+    /**
+     * Resolve a partial parameter object with mode flags into a complete engine input.
+     * @param {Object} input - Engine parameters plus the mode flags:
+     *        downPaymentMode ('auto' | 'manual' | 'mortgage' | 'mortgage66'), mortgageAmount (mortgage limit in CHF
+     *        for the mortgage modes), amortizationMode ('auto' | 'swiss' | 'manual'), autoMaintenance, autoImputedRental
+     * @param {Object} options - enforceMinimumDownPayment: raise a manual down payment below 20% to 20% instead of
+     *        only flagging it (the sweeps and the bid finder do, the form does not)
+     * @returns {Object} { params, derived, modes, mortgageAmount, downPaymentWarning } - params is the engine input
+     *          without the flags, derived the names of the calculated fields, downPaymentWarning null,
+     *          'belowMinimum' (kept) or 'raisedToMinimum'
+     */
+    static resolve(input = {}, options = {}) {
+        const rules = SwissAutoCalculations.RULES;
+        const given = value => value !== undefined && value !== null;
+        const numberOr = (value, fallback) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))
+            ? Number(value) : fallback;
+        const modes = {
+            downPaymentMode: input.downPaymentMode || (given(input.downPayment) ? 'manual' : 'auto'),
+            amortizationMode: input.amortizationMode || (given(input.annualAmortization) ? 'manual' : 'auto'),
+            autoMaintenance: given(input.autoMaintenance) ? Boolean(input.autoMaintenance) : !given(input.annualMaintenanceCosts),
+            autoImputedRental: given(input.autoImputedRental) ? Boolean(input.autoImputedRental) : !given(input.imputedRentalValue)
+        };
+
+        const params = { ...input };
+        SwissAutoCalculations.MODE_FLAGS.forEach(flag => delete params[flag]);
+        const derived = [];
+        const derive = (field, value) => {
+            params[field] = value;
+            derived.push(field);
+        };
+
+        const purchasePrice = numberOr(input.purchasePrice, 0);
+        const minDownPayment = Math.round(purchasePrice * rules.downPaymentShare);
+        let downPaymentWarning = null;
+
+        // Down payment modes
+        if (modes.downPaymentMode === 'manual') {
+            const downPayment = numberOr(input.downPayment, 0);
+            if (downPayment < minDownPayment && purchasePrice > 0) {
+                if (options.enforceMinimumDownPayment) {
+                    derive('downPayment', minDownPayment);
+                    downPaymentWarning = 'raisedToMinimum';
+                } else {
+                    downPaymentWarning = 'belowMinimum';
+                }
+            }
+        } else if (modes.downPaymentMode === 'mortgage' || modes.downPaymentMode === 'mortgage66') {
+            // Maximize the mortgage up to the LTV cap, but below the given limit
+            const ltvCap = modes.downPaymentMode === 'mortgage' ? rules.maxLtv : rules.firstRankLtv;
+            const mortgage = Math.min(numberOr(input.mortgageAmount, 0), Math.round(purchasePrice * ltvCap));
+            let downPayment = purchasePrice - mortgage;
+            const minCapDownPayment = Math.round(purchasePrice * (1 - ltvCap));
+            if (downPayment < minCapDownPayment && purchasePrice > 0) {
+                downPayment = minCapDownPayment;
+                downPaymentWarning = 'raisedToMinimum';
+            }
+            derive('downPayment', downPayment);
+        } else {
+            derive('downPayment', minDownPayment);
+        }
+        const mortgageAmount = purchasePrice - numberOr(params.downPayment, 0);
+
+        // Maintenance
+        if (modes.autoMaintenance) derive('annualMaintenanceCosts', Math.round(purchasePrice * rules.maintenanceRate));
+
+        // Amortization modes
+        if (modes.amortizationMode === 'auto') {
+            const amortizationYears = numberOr(input.amortizationYears, 0) > 0 ? Number(input.amortizationYears) : rules.defaultAmortizationYears;
+            derive('annualAmortization', Math.round(mortgageAmount / amortizationYears));
+        } else if (modes.amortizationMode === 'swiss') {
+            // Amortize the part above 2/3 of the price within 15 years; nothing required at or below 2/3
+            const secondRank = mortgageAmount - purchasePrice * rules.firstRankLtv;
+            derive('annualAmortization', purchasePrice > 0 && secondRank > 0 ? Math.round(secondRank / rules.swissAmortizationYears) : 0);
+        }
+
+        // Imputed rental value
+        if (modes.autoImputedRental) {
+            derive('imputedRentalValue', Math.round(numberOr(input.monthlyRent, 0) * 12 * rules.imputedRentalShare));
+        }
+
+        return { params, derived, modes, mortgageAmount, downPaymentWarning };
+    }
+}
+
+// Export for use in both browsers and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SwissAutoCalculations;
+} else if (typeof window !== 'undefined') {
+    window.SwissAutoCalculations = SwissAutoCalculations;
+}
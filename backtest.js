@@ -0,0 +1,273 @@
+/**
+ * Swiss Rent vs Buy Historical Backtest
+ *
+ * Runs the calculation engine with the actual annual paths of bundled Swiss market data
+ * for every start year whose term fits into the data:
+ * - Residential property prices (owner-occupied single-family houses) as the appreciation path
+ * - Swiss Performance Index total return (dividends reinvested) as the renter's investment return
+ * - Rates for new mortgages as the mortgage rate path (repriced every year)
+ * - Rental housing index for the rent and consumer prices for rental costs
+ *
+ * Bundled series are rounded approximations of the published annual figures (1990-2024).
+ * Results are the outcome for each start year and their distribution (in today's CHF
+ * when the base parameters request real terms, deflated with each window's average CPI).
+ *
+ * @version 1.0.0
+ * @author d57udy
+ * @license CC BY-NC-SA 4.0
+ */
+
+class SwissBacktest {
+    /**
+     * Bundled annual Swiss market data. Rows are [year, property appreciation, SPI total return,
+     * new mortgage rate, rent index change, CPI inflation], all as decimals.
+     * - Property: SNB / Wüest Partner transaction price index of owner-occupied single-family houses
+     * - Equities: SIX Swiss Performance Index (SPI), total return
+     * - Mortgage: SNB rates for new mortgages, variable-rate mortgages until 2007, 5-year fixed from 2008
+     * - Rents: FSO rental housing index (Mietpreisindex), annual average change
+     * - CPI: FSO consumer price index, annual average change
+     * @returns {Object} { firstYear, lastYear, series: { propertyAppreciation, equityReturn, mortgageRate, rentGrowth, inflation } }
+     */
+    static get HISTORICAL_DATA() {
+        const rows = [
+            [1990, 0.040, -0.207, 0.0690, 0.072, 0.054],
+            [1991, -0.020, 0.176, 0.0760, 0.076, 0.059],
+            [1992, -0.050, 0.176, 0.0710, 0.062, 0.040],
+            [1993, -0.040, 0.508, 0.0600, 0.036, 0.033],
+            [1994, -0.010, -0.076, 0.0530, 0.010, 0.009],
+            [1995, -0.030, 0.231, 0.0550, 0.026, 0.018],
+            [1996, -0.040, 0.183, 0.0490, 0.011, 0.008],
+            [1997, -0.030, 0.552, 0.0450, 0.002, 0.005],
+            [1998, -0.010, 0.154, 0.0410, 0.004, 0.000],
+            [1999, 0.005, 0.117, 0.0390, 0.004, 0.008],
+            [2000, 0.015, 0.119, 0.0440, 0.017, 0.016],
+            [2001, 0.030, -0.220, 0.0430, 0.029, 0.010],
+            [2002, 0.040, -0.259, 0.0390, 0.019, 0.006],
+            [2003, 0.030, 0.221, 0.0330, 0.014, 0.006],
+            [2004, 0.025, 0.069, 0.0320, 0.015, 0.008],
+            [2005, 0.025, 0.356, 0.0310, 0.010, 0.012],
+            [2006, 0.025, 0.207, 0.0310, 0.021, 0.011],
+            [2007, 0.025, -0.001, 0.0330, 0.023, 0.007],
+            [2008, 0.035, -0.340, 0.0390, 0.029, 0.024],
+            [2009, 0.045, 0.232, 0.0300, 0.026, -0.005],
+            [2010, 0.050, 0.029, 0.0260, 0.011, 0.007],
+            [2011, 0.050, -0.077, 0.0230, 0.013, 0.002],
+            [2012, 0.055, 0.177, 0.0180, 0.011, -0.007],
+            [2013, 0.045, 0.246, 0.0190, 0.006, -0.002],
+            [2014, 0.025, 0.130, 0.0180, 0.012, 0.000],
+            [2015, 0.015, 0.027, 0.0150, 0.009, -0.011],
+            [2016, 0.015, -0.014, 0.0140, 0.011, -0.004],
+            [2017, 0.020, 0.199, 0.0140, 0.012, 0.005],
+            [2018, 0.025, -0.086, 0.0140, 0.009, 0.009],
+            [2019, 0.025, 0.306, 0.0110, 0.005, 0.004],
+            [2020, 0.040, 0.038, 0.0105, 0.012, -0.007],
+            [2021, 0.060, 0.234, 0.0105, 0.011, 0.006],
+            [2022, 0.050, -0.165, 0.0230, 0.014, 0.028],
+            [2023, 0.015, 0.061, 0.0260, 0.025, 0.021],
+            [2024, 0.030, 0.062, 0.0190, 0.040, 0.011]
+        ];
+        return {
+            firstYear: rows[0][0],
+            lastYear: rows[rows.length - 1][0],
+            series: {
+                propertyAppreciation: rows.map(row => row[1]),
+                equityReturn: rows.map(row => row[2]),
+                mortgageRate: rows.map(row => row[3]),
+                rentGrowth: rows.map(row => row[4]),
+                inflation: rows.map(row => row[5])
+            }
+        };
+    }
+
+    /**
+     * Calculation engine (calculator.js): window.SwissRentBuyCalculator in browsers, required in Node.js
+     * @returns {Function|null} SwissRentBuyCalculator class, or null when it is not loaded
+     */
+    static get CALCULATOR() {
+        if (typeof window !== 'undefined' && window.SwissRentBuyCalculator) return window.SwissRentBuyCalculator;
+        if (typeof require === 'function') return require('./calculator.js');
+        return null;
+    }
+
+    /**
+     * Values of a bundled series for consecutive calendar years
+     *
+     * @param {string} name - Series name (see HISTORICAL_DATA)
+     * @param {number} fromYear - First calendar year
+     * @param {number} years - Number of years
+     * @returns {number[]} Annual values as decimals
+     */
+    static window(name, fromYear, years) {
+        const data = SwissBacktest.HISTORICAL_DATA;
+        const series = data.series[name];
+        if (!series) throw new Error(`Unknown historical series: ${name}`);
+        const start = fromYear - data.firstYear;
+        if (start < 0 || start + years > series.length) {
+            throw new Error(`Historical data covers ${data.firstYear}-${data.lastYear} only`);
+        }
+        return series.slice(start, start + years);
+    }
+
+    /**
+     * Geometric average of annual rates
+     *
+     * @param {number[]} rates - Annual rates as decimals
+     * @returns {number} Average annual rate as decimal
+     */
+    static averageRate(rates) {
+        if (rates.length === 0) return 0;
+        const factor = rates.reduce((product, rate) => product * (1 + rate), 1);
+        return Math.pow(factor, 1 / rates.length) - 1;
+    }
+
+    /**
+     * Start years whose whole term lies within the bundled data
+     *
+     * @param {number} termYears - Analysis period in years
+     * @returns {number[]} Calendar years in ascending order (empty when the term is longer than the data)
+     */
+    static startYears(termYears) {
+        const data = SwissBacktest.HISTORICAL_DATA;
+        const years = Math.max(1, Math.round(Number(termYears) || 0));
+        const starts = [];
+        for (let year = data.firstYear; year + years - 1 <= data.lastYear; year++) starts.push(year);
+        return starts;
+    }
+
+    /**
+     * Engine parameters with the historical paths of one start year
+     *
+     * @param {Object} baseParams - Engine parameters (see SwissRentBuyCalculator.calculate())
+     * @param {number} startYear - Calendar year of year 1 (the purchase year)
+     * @param {Object} series - Which paths replace the flat assumptions: { propertyAppreciation, equityReturn,
+     *        mortgageRate, rents } (each default true); with a return split the equity return of each year sets its
+     *        capital growth
+     * @returns {Object} Parameters for calculate()
+     */
+    static paramsForStartYear(baseParams, startYear, series = {}) {
+        const use = name => series[name] !== false;
+        const termYears = Math.max(1, Math.round(Number(baseParams.termYears) || 10));
+        const params = { ...baseParams, termYears, startYear };
+        if (use('propertyAppreciation')) {
+            params.propertyAppreciationPath = SwissBacktest.window('propertyAppreciation', startYear, termYears);
+            params.propertyAppreciationRate = SwissBacktest.averageRate(params.propertyAppreciationPath);
+        }
+        if (use('equityReturn')) {
+            params.investmentYieldPath = SwissBacktest.window('equityReturn', startYear, termYears);
+            params.investmentYieldRate = SwissBacktest.averageRate(params.investmentYieldPath);
+        }
+        if (use('mortgageRate')) {
+            // The whole mortgage follows the rate for new mortgages of each year (no fixed-rate tranches)
+            params.mortgageRatePath = SwissBacktest.window('mortgageRate', startYear, termYears);
+            params.mortgageRate = params.mortgageRatePath[0];
+            params.mortgageTranches = null;
+        }
+        if (use('rents')) {
+            params.rentIndexation = {
+                type: 'index',
+                rentRates: SwissBacktest.window('rentGrowth', startYear, termYears),
+                cpiRate: SwissBacktest.window('inflation', startYear, termYears)
+            };
+        }
+        if (Number.isFinite(baseParams.inflationRate)) {
+            params.inflationRate = SwissBacktest.averageRate(SwissBacktest.window('inflation', startYear, termYears));
+        }
+        return params;
+    }
+
+    /**
+     * Percentile of sorted values with linear interpolation between ranks
+     *
+     * @param {number[]} sorted - Values in ascending order
+     * @param {number} p - Percentile as decimal (0.1 = P10)
+     * @returns {number} Interpolated value (NaN for no values)
+     */
+    static percentile(sorted, p) {
+        if (sorted.length === 0) return NaN;
+        const rank = (sorted.length - 1) * Math.min(1, Math.max(0, p));
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    }
+
+    /**
+     * Run the backtest for every possible start year
+     *
+     * @param {Object} baseParams - Engine parameters (see SwissRentBuyCalculator.calculate()); termYears sets the window
+     * @param {Object} options - { series: { propertyAppreciation, equityReturn, mortgageRate, rents } } as in paramsForStartYear()
+     * @returns {Object} { termYears, valueBasis, series, runs: [{ startYear, endYear, resultValue, buyWins,
+     *          propertyAppreciation, equityReturn, mortgageRate, rentGrowth, inflation, totalPurchaseCost,
+     *          totalRentalCost, equityIrr, npvDifference, portfolioMoneyWeightedReturn }], distribution: { count, probabilityBuyWins, mean, min, p10, p50, p90, max,
+     *          bestStartYear, worstStartYear } }
+     */
+    static run(baseParams, options = {}) {
+        const calculator = SwissBacktest.CALCULATOR;
+        if (!calculator) throw new Error('Historical backtest requires calculator.js to be loaded');
+        const data = SwissBacktest.HISTORICAL_DATA;
+        const termYears = Math.max(1, Math.round(Number(baseParams.termYears) || 10));
+        const starts = SwissBacktest.startYears(termYears);
+        if (starts.length === 0) {
+            throw new Error(`Term of ${termYears} years exceeds the historical data (${data.firstYear}-${data.lastYear})`);
+        }
+        const series = {
+            propertyAppreciation: true, equityReturn: true, mortgageRate: true, rents: true,
+            ...(options.series && typeof options.series === 'object' ? options.series : {})
+        };
+
+        let valueBasis = 'nominal';
+        const runs = starts.map(startYear => {
+            const result = calculator.calculate(SwissBacktest.paramsForStartYear(baseParams, startYear, series));
+            const view = result.RealTerms || result;
+            valueBasis = result.RealTerms ? 'real' : 'nominal';
+            const average = name => SwissBacktest.averageRate(SwissBacktest.window(name, startYear, termYears));
+            return {
+                startYear,
+                endYear: startYear + termYears - 1,
+                resultValue: view.ResultValue,
+                // Positive result value = buying is cheaper than renting over the term
+                buyWins: view.ResultValue > 0,
+                propertyAppreciation: average('propertyAppreciation'),
+                equityReturn: average('equityReturn'),
+                mortgageRate: SwissBacktest.window('mortgageRate', startYear, termYears).reduce((sum, r) => sum + r, 0) / termYears,
+                rentGrowth: average('rentGrowth'),
+                inflation: average('inflation'),
+                totalPurchaseCost: view.TotalPurchaseCost,
+                totalRentalCost: view.TotalRentalCost,
+                // Nominal cash-flow metrics (discounted at the window's average return unless discountRate is set)
+                equityIrr: result.FinancialMetrics.equityIrr,
+                npvDifference: result.FinancialMetrics.npvDifference,
+                portfolioMoneyWeightedReturn: result.FinancialMetrics.portfolioMoneyWeightedReturn
+            };
+        });
+
+        const values = runs.map(r => r.resultValue);
+        const sorted = [...values].sort((a, b) => a - b);
+        const best = runs.reduce((a, b) => (b.resultValue > a.resultValue ? b : a));
+        const worst = runs.reduce((a, b) => (b.resultValue < a.resultValue ? b : a));
+        return {
+            termYears,
+            valueBasis,
+            series,
+            runs,
+            distribution: {
+                count: runs.length,
+                probabilityBuyWins: runs.filter(r => r.buyWins).length / runs.length,
+                mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+                min: sorted[0],
+                p10: SwissBacktest.percentile(sorted, 0.1),
+                p50: SwissBacktest.percentile(sorted, 0.5),
+                p90: SwissBacktest.percentile(sorted, 0.9),
+                max: sorted[sorted.length - 1],
+                bestStartYear: best.startYear,
+                worstStartYear: worst.startYear
+            }
+        };
+    }
+}
+
+// Export for use in both browsers and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SwissBacktest;
+} else if (typeof window !== 'undefined') {
+    window.SwissBacktest = SwissBacktest;
+}
@@ -60,12 +60,148 @@ class SwissRentBuyCalculator {
      * @param {number} params.propertyTaxDeductions - Annual tax-deductible expenses in CHF (default: 13,000)
      * @param {number} params.marginalTaxRate - Personal marginal tax rate as decimal (default: 0.30 = 30%)
      * @param {number} params.propertyAppreciationRate - Annual property appreciation as decimal (default: 0.00 = 0%)
+     * @param {Array<number|Object>} params.propertyAppreciationPath - Optional appreciation per year (default: null = flat
+     *        propertyAppreciationRate), in the format of mortgageRatePath; the property value compounds the yearly rates
      * @param {number} params.monthlyRent - Monthly rent for comparable property in CHF (default: 5,500)
      * @param {number} params.annualRentalCosts - Additional annual rental costs in CHF (default: 20,000)
      * @param {number} params.investmentYieldRate - Expected investment return as decimal (default: 0.00 = 0%)
+     * @param {Array<number|Object>} params.investmentYieldPath - Optional investment return per year (default: null = flat
+     *        investmentYieldRate), in the format of mortgageRatePath; with portfolioReturns the capital growth of each
+     *        year is that year's return minus the income yield
+     * @param {Object} params.portfolioReturns - Split of the renter's return for Swiss taxation (default: null = the whole
+     *        return is taxed as income): { incomeYieldRate, ter, withholdingTaxLeakage }. Only the
+     *        income yield (dividends and interest, default 2%) is income-taxed; private capital gains are tax-free.
+     *        Capital growth is always investmentYieldRate minus the income yield. The fund's total expense ratio (ter)
+     *        and the non-recoverable share of foreign withholding tax on the income (withholdingTaxLeakage) reduce the
+     *        return but not the taxable income.
      * @param {number} params.termYears - Analysis period in years (default: 10)
      * @param {string} params.scenarioMode - Comparison scenario: 'equalConsumption', 'cashflowParity', or 'equalSavings' (default: 'equalConsumption')
-     * @param {boolean} params.postReform - Use post-reform tax system (2027+) without Eigenmietwert (default: false)
+     * @param {string|Object} params.portfolioDepletion - What happens when the renter's withdrawals (cashflowParity)
+     *        exceed the portfolio (default: null = 'borrow' at investmentYieldRate): 'borrow', 'stop' or
+     *        { mode, borrowingRate }. 'borrow' lets the portfolio go negative and charges borrowingRate on the debt;
+     *        'stop' ends withdrawals at zero and records the shortfall as an interest-free unfunded liability that
+     *        later surpluses repay first. PortfolioDepletion reports the year the portfolio was depleted and a warning.
+     * @param {boolean} params.postReform - Use post-reform tax system (2027+) without Eigenmietwert in every year (default: false)
+     * @param {number} params.startYear - Calendar year of year 1 (default: DEFAULT_START_YEAR, fixed so that the same
+     *        input gives the same result on any date); also the default purchase year of capexSchedule
+     * @param {number} params.reformEffectiveYear - First calendar year without Eigenmietwert (default: null = postReform
+     *        decides for all years). Earlier years use the current system, later years drop the imputed rent and the
+     *        interest and maintenance deductions.
+     * @param {boolean|Object} params.firstTimeBuyerDeduction - Post-reform interest deduction for first-time buyers
+     *        (default: null = none): true or { maxDeduction, years }. Interest is deductible up to maxDeduction (default
+     *        CHF 10,000 married / 5,000 single) in the first year of ownership, falling linearly to zero over years
+     *        (default 10); it applies in post-reform years only.
+     * @param {number} params.cantonalMarginalTaxRate - Marginal cantonal and communal tax rate for the flat model
+     *        (default: marginalTaxRate). After the reform, energy-saving and environmental investments (capexSchedule
+     *        components flagged energy: true) stay deductible at the cantonal level only.
+     * @param {string} params.calculationResolution - Engine resolution: 'yearly', 'quarterly' or 'monthly' (default: 'yearly').
+     *        Sub-annual resolutions accrue interest on the declining balance, pay amortization and rent per period
+     *        and compound renter contributions per period; YearlyBreakdown aggregates the resulting PeriodBreakdown.
+     * @param {Array<number|Object>} params.mortgageRatePath - Optional time-varying mortgage rate (default: null = flat mortgageRate).
+     *        Either one decimal rate per year (the last entry carries forward) or segments
+     *        { fromYear, rate } / { fromYear, saron, margin } applying from fromYear until the next segment.
+     * @param {number|Array<number|Object>} params.mortgageRateShift - Market shift of the mortgage rates (default: 0 = none),
+     *        one decimal or one per year in the format of mortgageRatePath (simulations draw it). The rate path without a
+     *        fixed term and SARON tranches move every year, fixed rates only once they have matured. Rates set later in
+     *        the term (refinancing, renewal, reinvestment) move with the shift of their year. Shifted rates stay >= 0.
+     * @param {Array<Object>} params.mortgageTranches - Optional split of the mortgage into tranches (default: null = one tranche
+     *        following mortgageRate / mortgageRatePath). Each tranche: { name, amount | share, rateType: 'fixed'|'saron',
+     *        rate | saron + margin, maturityYears, renewalRate }. Amounts are scaled to the mortgage amount and
+     *        amortization is allocated pro rata to tranche balances; a tranche rolls over to renewalRate after maturity.
+     * @param {number} params.fixedRateTermYears - Fixed-rate tenor in years of the mortgage without tranches (default: null =
+     *        no fixed term). Repaying a fixed rate before maturity costs a break penalty (Vorfälligkeitsentschädigung):
+     *        the balance times the rate difference to the lender's reinvestment rate for each remaining year.
+     * @param {number} params.breakReinvestmentRate - Lender's reinvestment rate for break penalties as decimal (default: null =
+     *        a tranche's renewal rate; without tranches the rate path's rate of the following year)
+     * @param {Object} params.earlyRefinancing - Optional early repayment of the fixed rates (default: null = none):
+     *        { year, rate, fixedTermYears }. Fixed rates still within their term are repaid at the end of year against
+     *        the break penalty (a purchase cost of that year) and refinanced at rate (default: the reinvestment rate),
+     *        fixed for fixedTermYears (default: null = no new fixed term). Without breakReinvestmentRate the lender is
+     *        assumed to reinvest at the new rate.
+     * @param {Object} params.mortgageRenewal - Optional renewal of fixed rates at maturity (default: null = a fixed tranche
+     *        rolls over to its renewalRate, the mortgage without tranches to the rate path): { rates, rateShock,
+     *        fixedTermYears, fee, feeRate }. At each maturity within the term the rate is renewed at rates[k] for the
+     *        tranche's k-th renewal (the last carries forward; default: the renewal rate, or the rate path's rate of
+     *        the renewal year locked for a new fixed term) plus rateShock, fixed for fixedTermYears (default: null =
+     *        no new fixed term, no further renewals). The fee in CHF and feeRate on the balance are paid per renewal.
+     *        The lender re-tests affordability at renewal at the higher of the stress rate and the new rate.
+     * @param {string} params.amortizationMethod - 'direct' (pay down the mortgage) or 'indirect3a' (pay into a pledged Pillar 3a
+     *        account; mortgage stays constant, 3a capital is withdrawn at the end of the term) (default: 'direct')
+     * @param {number} params.pillar3aReturnRate - Annual return of the pledged 3a account as decimal (default: 0.02 = 2%)
+     * @param {number} params.pillar3aAnnualCap - Maximum deductible 3a contribution in CHF per year (default: 7,258);
+     *        amortization above the cap is paid directly
+     * @param {number} params.pillar3aWithdrawalTaxRate - Capital withdrawal tax on the 3a capital as decimal (default: 0.06 = 6%)
+     * @param {Object} params.downPaymentFunding - Optional down payment funding in CHF (default: null = all cash):
+     *        { pillar3a, pensionWithdrawal, pensionPledge }; the remainder of downPayment is cash. Withdrawn 3a and
+     *        pension (WEF) money is taxed on withdrawal; a pension pledge keeps the money in the pension fund and
+     *        increases the mortgage instead. In the rent scenario 3a and pension money stays in its account.
+     * @param {number} params.pensionFundRate - Interest on pension fund capital as decimal (default: 0.0125 = 1.25% BVG minimum)
+     * @param {number} params.downPaymentWithdrawalTaxRate - Capital withdrawal tax on 3a/pension money used for the
+     *        down payment as decimal (default: 0.06 = 6%)
+     * @param {Object} params.affordability - Optional lender affordability test (Tragbarkeit) at purchase (default: null = not
+     *        tested): { householdIncome, stressRate, maintenanceRate, maxIncomeRatio, requiredAmortizationYears, maxLtv }.
+     *        The imputed interest (stressRate, default 5%) on the mortgage, maintenance (default 1% of the price) and the
+     *        amortization required to reach 2/3 loan-to-value within requiredAmortizationYears (default 15) must not
+     *        exceed maxIncomeRatio (default 1/3) of the gross household income. Affordability also reports the maximum
+     *        price financeable with the same equity, where the mortgage is also capped at maxLtv (default 80%).
+     * @param {Object} params.rentalIncome - Optional letting of part of the property (default: null = fully owner-occupied):
+     *        { monthlyRent, rentedShare, vacancyRate, annualMaintenance, separateUnit, lenderIncomeShare,
+     *        incomePropertyMaxLtv }. The rent (indexed like the comparable rent) less vacancy (default 2%) and the let
+     *        part's own maintenance in CHF is taxable income of the owner. The imputed rental value applies to the
+     *        owner-occupied share (1 - rentedShare) only; after the reform, interest and property expenses stay
+     *        deductible for the let share. Lenders count lenderIncomeShare (default 80%) of the rent as income in the
+     *        affordability test and cap the let share of a separate unit at incomePropertyMaxLtv (default 75%).
+     * @param {Object} params.taxModel - Optional progressive tax profile (default: null = flat marginalTaxRate):
+     *        { canton: 'ZH'|'ZG'|'VD'|'GE'|'BE', civilStatus: 'single'|'married', taxableIncome, communeMultiplier, churchTax }.
+     *        taxableIncome is the household's taxable income without property and portfolio items; each year the
+     *        owner and renter returns are taxed with the tariffs of SwissTaxModule (tax-module.js) and the
+     *        tax components are the differences between the returns.
+     * @param {Object} params.wealthTax - Optional wealth tax (default: null = no wealth tax): { canton, civilStatus,
+     *        communeMultiplier, churchTax, propertyTaxValueRatio, otherWealth }. Residence fields default to taxModel.
+     *        Each year-end the owner is taxed on the property at its tax value (propertyTaxValueRatio of market value,
+     *        default 0.7) minus the mortgage, the renter on the portfolio at market value; pledged 3a and pension
+     *        capital are exempt. otherWealth is taxed in both scenarios and only shifts the progression.
+     * @param {Object|boolean} params.saleAtEnd - Optional liquidation at the end of the term (default: null = mark-to-market;
+     *        true = default sale assumptions): { brokerCommissionRate, notaryFeeRate, valueEnhancingInvestments, canton,
+     *        communeMultiplier, mortgageBreakCosts, breakReinvestmentRate }. Deducts selling costs, property gains tax on
+     *        the gain net of acquisition/selling costs and value-enhancing investments (default: totalRenovations plus the
+     *        value-enhancing share of component renewals) with the canton's holding-period rules, and break costs of fixed
+     *        tranches maturing after the term (estimated from the rate difference to breakReinvestmentRate, default the
+     *        tranche's renewal rate, unless mortgageBreakCosts is given).
+     *        ResultValue then compares net after sale; the mark-to-market comparison is reported alongside.
+     * @param {Object} params.rentIndexation - Optional rent growth from year 2 (default: null = constant rent and costs):
+     *        { type: 'fixed', rate } grows rent and rental costs by a fixed rate;
+     *        { type: 'cpi', cpiRate, cpiShare } indexes rent to CPI (cpiShare default 1 = indexed lease);
+     *        { type: 'referenceRate', referenceRates, cpiRate, cpiShare, costIncreaseRate } adjusts rent by +3% per 0.25pp
+     *        rise (-2.91% per 0.25pp fall) of the reference interest rate, plus cpiShare (default 0.4) of CPI and the
+     *        general cost increase (default 0.5%). cpiRate and referenceRates are decimals or per-year arrays (last value
+     *        carries forward); with CPI or reference-rate indexation rental costs follow CPI;
+     *        { type: 'index', rentRates, cpiRate } follows an observed rent index (rentRates, decimal or per-year array)
+     *        with rental costs following CPI.
+     * @param {Object} params.capexSchedule - Optional component renewal planner (default: null = flat maintenance only):
+     *        { buildingYear, purchaseYear, costGrowthRate, components: [{ name, lifespan, cost, lastRenewalYear,
+     *        valuePreservingShare }] }. Each component is renewed every lifespan years from its last renewal (default the
+     *        building year); renewals within the term are paid by the owner in that year (cost in today's CHF, grown by
+     *        costGrowthRate). The value-preserving share (default 1) is deductible like maintenance, the rest counts as a
+     *        value-enhancing investment when the property is sold. Components flagged common: true are common parts of a
+     *        condominium building (cost for the whole building) and are paid from the renewal fund in condominium mode.
+     *        Components flagged energy: true are energy-saving or environmental investments (see cantonalMarginalTaxRate).
+     * @param {string} params.propertyType - 'house' (default) or 'condominium' (Stockwerkeigentum)
+     * @param {Object} params.condominium - Condominium cost structure (used with propertyType 'condominium'):
+     *        { ownershipShare, renewalFundBalance, renewalFundContribution, commonCharges, commonChargesDeductibleShare,
+     *        renewalFundReturnRate }. The owner's share (ownershipShare, default 0.05) of the building's renewal fund
+     *        (renewalFundBalance) is bought with the unit and counted as an asset; yearly fund contributions (default
+     *        0.25% of the purchase price) and common charges are paid on top of maintenance. Common renewals are paid
+     *        from the fund share, shortfalls are levied as special assessments. Contributions, the value-preserving share
+     *        of special assessments and commonChargesDeductibleShare (default 0) of the charges are deductible.
+     * @param {number} params.discountRate - Discount rate for the net present values of FinancialMetrics as decimal
+     *        (default: null = investmentYieldRate, the renter's opportunity cost). The cash flows count the renter's
+     *        contributions (equalSavings, cashflowParity) as outflows of renting, while ResultValue nets them out of
+     *        the rental cost: at 0% npvDifference = ResultValue + savingsContributions (reported with the metrics).
+     * @param {number} params.inflationRate - Optional annual inflation as decimal (default: null = nominal only). When set,
+     *        RealTerms reports YearlyBreakdown, the cost breakdown and the totals in today's CHF: flows are deflated with
+     *        the price level at the end of their year, year-end stocks with the price level of their year, and outlays
+     *        at purchase are left as they are. Use SwissRentBuyCalculator.inRealTerms(result) for the real view.
      * @returns {Object} Comprehensive calculation results with Swiss formatting and year-by-year breakdown
      */
     static calculate(params) {
@@ -87,42 +223,117 @@ class SwissRentBuyCalculator {
             propertyTaxDeductions = 13000,     // CHF 13K - typical deductions
             marginalTaxRate = 0.30,            // 30% - example marginal tax rate
             propertyAppreciationRate = 0.00,   // 0% - conservative assumption
+            propertyAppreciationPath = null,   // Appreciation per year (e.g. historical index); null = flat rate
             monthlyRent = 5500,                // CHF 5.5K - comparable rent
             annualRentalCosts = 20000,         // CHF 20K - rental supplemental costs
             investmentYieldRate = 0.00,        // 0% - conservative investment return
+            investmentYieldPath = null,        // Return per year (e.g. historical total return); null = flat rate
+            // Income vs capital growth, TER and withholding tax leakage; null = whole return taxed as income
+            portfolioReturns = null,
             termYears = 10,                    // 10 years - standard analysis period
             // Scenario modes:
             // - 'equalConsumption': Baseline comparison (renter invests down payment only)
             // - 'cashflowParity': Renter invests actual monthly difference between buy vs rent
             // - 'equalSavings': Renter makes amortization-equivalent contributions to investments
             scenarioMode = 'equalConsumption',
+            // Renter withdrawals beyond the portfolio: 'borrow' (negative portfolio) or 'stop' (unfunded liability)
+            portfolioDepletion = null,
             // Post-reform tax system (2027+): eliminates Eigenmietwert and related deductions
             // for primary residences to simplify Swiss tax code
-            postReform = false
+            postReform = false,
+            // Reform transition: calendar year of year 1 and first year without Eigenmietwert (null = postReform flag)
+            startYear = null,
+            reformEffectiveYear = null,
+            // Post-reform interest deduction for first-time buyers (true or { maxDeduction, years }); null = none
+            firstTimeBuyerDeduction = null,
+            // Cantonal/communal marginal rate for post-reform energy deductions (flat model); null = marginalTaxRate
+            cantonalMarginalTaxRate = null,
+            // Engine resolution: 'yearly' reproduces the classic annual loop (Moneyland-aligned),
+            // 'quarterly' and 'monthly' match bank statements more closely
+            calculationResolution = 'yearly',
+            // Time-varying mortgage rate (e.g. a rate rise at renewal); null keeps mortgageRate flat
+            mortgageRatePath = null,
+            // Market shift on top of the rates above (number or per year, e.g. a simulated rate scenario); 0 = none
+            mortgageRateShift = 0,
+            // Mortgage tranches (e.g. 40% 10-year fixed + 60% SARON); null = single tranche on the rate above
+            mortgageTranches = null,
+            // Fixed-rate tenor of the mortgage without tranches (break penalty on early repayment); null = no fixed term
+            fixedRateTermYears = null,
+            // Lender's reinvestment rate for break penalties; null = renewal rate (next year's path rate without tranches)
+            breakReinvestmentRate = null,
+            // Repay fixed rates early and refinance ({ year, rate, fixedTermYears }); null = hold to maturity
+            earlyRefinancing = null,
+            // Renew fixed rates at maturity ({ rates, rateShock, fixedTermYears, fee, feeRate }); null = roll over
+            mortgageRenewal = null,
+            // Amortization method: 'direct' reduces the mortgage, 'indirect3a' saves into a pledged Pillar 3a
+            amortizationMethod = 'direct',
+            pillar3aReturnRate = 0.02,         // 2% - typical 3a account/fund return
+            pillar3aAnnualCap = 7258,          // CHF 7,258 - 2025 cap for employees with a pension fund
+            pillar3aWithdrawalTaxRate = 0.06,  // 6% - typical capital withdrawal tax
+            // Down payment funding from Pillar 3a and pension fund (WEF withdrawal or pledge); null = all cash
+            downPaymentFunding = null,
+            pensionFundRate = 0.0125,          // 1.25% - BVG minimum interest rate
+            downPaymentWithdrawalTaxRate = 0.06, // 6% - typical capital withdrawal tax on 3a/WEF withdrawals
+            // Lender affordability test on gross household income (5% imputed rate, 1% maintenance); null = not tested
+            affordability = null,
+            // Let part of the property (Einliegerwohnung) or a second unit ({ monthlyRent, rentedShare, ... }); null = none
+            rentalIncome = null,
+            // Progressive tax profile (canton, civil status, income); null = flat marginalTaxRate
+            taxModel = null,
+            // Wealth tax (Vermögenssteuer) on property at tax value vs portfolio at market value; null = ignored
+            wealthTax = null,
+            // Liquidate at end of term (selling costs, property gains tax, break costs); null = mark-to-market
+            saleAtEnd = null,
+            // Rent growth: fixed rate, CPI-linked or reference-rate steps; null = constant rent
+            rentIndexation = null,
+            // Component renewals (heating, roof, facade, kitchen, ...) by building age; null = flat maintenance only
+            capexSchedule = null,
+            // Property type: detached 'house' or 'condominium' (Stockwerkeigentum with renewal fund and common charges)
+            propertyType = 'house',
+            condominium = null,
+            // Discount rate for the NPVs of buying and renting; null = investmentYieldRate
+            discountRate = null,
+            // Annual inflation for reporting in today's CHF (real terms); null = nominal only
+            inflationRate = null
         } = params;
+        const validation = SwissRentBuyCalculator.validateInputs(params);
 
         // ============================================================================
         // INITIALIZATION AND SETUP
         // ============================================================================
         
+        // Split the down payment by funding source (cash is the remainder)
+        const funding = SwissRentBuyCalculator.resolveDownPaymentFunding(downPaymentFunding, downPayment);
+
         // Calculate mortgage amount (property price minus down payment)
-        const mortgageAmount = purchasePrice - downPayment;
+        // A pension pledge replaces equity with additional mortgage
+        const equityContribution = downPayment - funding.pensionPledge;
+        const mortgageAmount = purchasePrice - equityContribution;
+
+        // Withdrawing 3a and pension money triggers capital withdrawal tax, paid in cash at purchase
+        const downPaymentWithdrawalTax = (funding.pillar3a + funding.pensionWithdrawal) * downPaymentWithdrawalTaxRate;
 
         // Initialize accumulators for purchase scenario
         let remainingBalance = mortgageAmount;  // Tracks declining mortgage balance
         let interestCosts = 0;                  // Total interest payments over term
         let amortizationCosts = 0;              // Total principal payments over term
         let totalOwnerNetTax = 0;               // Net tax difference (owner vs renter) over term
+        let totalRentalIncome = 0;              // Owner's net rental income over term (after vacancy and maintenance)
         
         // Total maintenance costs over analysis period (fixed annual amount)
         let supplementalMaintenanceCosts = annualMaintenanceCosts * termYears;
 
         // Initialize accumulators for rental scenario
-        // Renter's initial investment pool includes down payment + transaction costs
+        // Renter's initial investment pool includes the cash down payment + transaction costs
         // In cashflow parity mode, also include renovations as investable at t=0
-        const investableInitial = downPayment + additionalPurchaseCosts + 
-                                (scenarioMode === 'cashflowParity' ? totalRenovations : 0);
+        // 3a and pension money is not invested: it stays in its account (see retained capital below)
+        const investableInitial = funding.cash + additionalPurchaseCosts + 
+                                (scenarioMode === 'cashflowParity' ? totalRenovations : 0) + downPaymentWithdrawalTax;
         let portfolio = investableInitial;               // Renter's investment portfolio value
+        const depletion = SwissRentBuyCalculator.resolvePortfolioDepletion(portfolioDepletion);
+        let unfundedLiability = 0;                      // Withdrawals the empty portfolio could not fund ('stop')
+        let totalBorrowingInterest = 0;                 // Cost of a negative portfolio ('borrow')
+        let depletionYear = null;                       // First year the portfolio ran out
         let cumulativeInvestmentGains = 0;              // Total investment gains (pre-tax)
         let cumulativeRenterInvestmentTax = 0;          // Total taxes on investment gains
         let cumulativeContribPrincipal = 0;             // Total renter contributions (can be negative)
@@ -131,6 +342,150 @@ class SwissRentBuyCalculator {
         // Pre-calculate scenario-specific values
         const contributionYears = Math.min(amortizationYears, termYears);
         const yearly = [];  // Array to store year-by-year breakdown
+        const periods = []; // Array to store period-by-period breakdown (aggregated into yearly)
+
+        // Resolve engine resolution into periods per year and per-period rates
+        const periodsPerYear = SwissRentBuyCalculator.PERIODS_PER_YEAR[calculationResolution] || 1;
+        // With a return split, the portfolio grows at the net return and only the income yield is taxed
+        const returns = SwissRentBuyCalculator.resolvePortfolioReturns(portfolioReturns, investmentYieldRate);
+        const periodYieldRate = SwissRentBuyCalculator.periodicRate(returns ? returns.netReturnRate : investmentYieldRate, periodsPerYear);
+        // Borrowing rate on a negative portfolio (null = the investment return, as before)
+        const periodBorrowingRate = depletion.borrowingRate !== null
+            ? SwissRentBuyCalculator.periodicRate(depletion.borrowingRate, periodsPerYear) : null;
+        // Time-varying returns: split and per-period rate of each year (null keeps the flat rate above)
+        const yieldRatesByYear = Array.isArray(investmentYieldPath) && investmentYieldPath.length > 0
+            ? SwissRentBuyCalculator.resolveMortgageRatePath(investmentYieldPath, investmentYieldRate, termYears) : null;
+        // Property value factor at the end of year t (flat appreciation unless a path is given)
+        const appreciationFactors = Array.isArray(propertyAppreciationPath) && propertyAppreciationPath.length > 0
+            ? SwissRentBuyCalculator.growthFactors(
+                SwissRentBuyCalculator.resolveMortgageRatePath(propertyAppreciationPath, propertyAppreciationRate, termYears))
+            : null;
+        const propertyGrowth = t => appreciationFactors
+            ? appreciationFactors[Math.min(Math.max(0, Math.floor(t)), appreciationFactors.length - 1)]
+            : Math.pow(1 + propertyAppreciationRate, t);
+        let cumulativeInvestmentIncome = 0;             // Taxable dividends and interest (return split only)
+        let cumulativeInvestmentCosts = 0;              // TER and withholding tax leakage (return split only)
+
+        // Resolve rent and rental cost index per year (1 in year 1; all 1 without indexation)
+        const rentIndex = SwissRentBuyCalculator.resolveRentIndexation(rentIndexation, termYears);
+
+        // Resolve component renewals into capital expenditure per year (null without a schedule)
+        const firstCalendarYear = Number.isFinite(Number(startYear)) && startYear !== null && startYear !== ''
+            ? Math.round(Number(startYear)) : SwissRentBuyCalculator.DEFAULT_START_YEAR;
+        const capex = SwissRentBuyCalculator.resolveCapexSchedule(capexSchedule, termYears, firstCalendarYear);
+
+        // Condominium: the owner's renewal fund share is part of the purchase price but held as a separate asset,
+        // only the remainder of the price appreciates with the property
+        const condo = SwissRentBuyCalculator.resolveCondominium(propertyType, condominium, purchasePrice);
+        const initialRenewalFundShare = condo ? condo.renewalFundShareAtStart : 0;
+        const propertyBasis = purchasePrice - initialRenewalFundShare;
+        let renewalFundShare = initialRenewalFundShare;
+        let totalCondominiumCosts = 0;          // Fund contributions, common charges and special assessments over term
+        let totalSpecialAssessments = 0;        // Special assessments over term
+        let totalCapex = 0;                     // Component renewals over term
+        let totalCapexDeductible = 0;           // Value-preserving share of the renewals (tax-deductible)
+
+        // Resolve the mortgage rate applied in each year (flat mortgageRate unless a path is given)
+        const mortgageRatesByYear = SwissRentBuyCalculator.resolveMortgageRatePath(mortgageRatePath, mortgageRate, termYears);
+        // Market shift per year, one year beyond the term for the reinvestment rate at the end
+        const rateShifts = SwissRentBuyCalculator.resolveMortgageRateShift(mortgageRateShift, termYears + 1);
+        const shifted = (rate, year) => {
+            const shift = rateShifts[Math.min(Math.max(1, year), rateShifts.length) - 1] || 0;
+            return shift === 0 ? rate : Math.max(0, rate + shift);
+        };
+
+        // Resolve mortgage tranches; without tranches the whole mortgage follows the rate path above
+        const fixedTerm = Math.floor(Number(fixedRateTermYears));
+        const tranches = SwissRentBuyCalculator.resolveMortgageTranches(mortgageTranches, mortgageAmount)
+            || [{ name: 'Mortgage', rateType: 'path', amount: mortgageAmount, initialRate: null,
+                  maturityYears: fixedTerm > 0 ? fixedTerm : null, renewalRate: null }];
+        // Rate segments per tranche from refinancing and renewals: { fromYear, rate, rateShock, maturityYears };
+        // a segment without rate follows the tranche's own rate plus the shock
+        const trancheSegments = tranches.map(() => []);
+        const ownRate = (tranche, year) => {
+            const rate = tranche.rateType === 'path'
+                ? mortgageRatesByYear[year - 1]
+                : SwissRentBuyCalculator.trancheRateForYear(tranche, year);
+            // The market shift moves floating rates every year and fixed rates once they have matured
+            const floating = tranche.rateType === 'saron' ||
+                (tranche.maturityYears === null ? tranche.rateType === 'path' : year > tranche.maturityYears);
+            return floating ? shifted(rate, year) : rate;
+        };
+        const trancheRate = (tranche, year) => {
+            const t = tranches.indexOf(tranche);
+            const segment = trancheSegments[t].filter(s => s.fromYear <= year).pop();
+            // After its fixed term, a refinanced or renewed rate falls back to the tranche's own rate
+            if (!segment || (segment.maturityYears !== null && year > segment.maturityYears)) return ownRate(tranche, year);
+            return (segment.rate !== null ? segment.rate : ownRate(tranche, year)) + segment.rateShock;
+        };
+        const trancheBalances = tranches.map(t => t.amount);
+
+        // Break penalties for repaying fixed rates before maturity at the end of a year (sale or refinancing)
+        const fixedTermEnd = tranche => {
+            const segments = trancheSegments[tranches.indexOf(tranche)];
+            if (segments.length > 0) return segments[segments.length - 1].maturityYears;
+            return tranche.rateType === 'saron' ? null : tranche.maturityYears;
+        };
+        // The lender reinvests at the market rate of the following year
+        const reinvestmentRateFor = (tranche, year, rate) => {
+            if (rate !== null && rate !== undefined && rate !== '' && Number.isFinite(Number(rate))) return Math.max(0, shifted(Number(rate), year + 1));
+            if (Number.isFinite(breakReinvestmentRate)) return Math.max(0, shifted(breakReinvestmentRate, year + 1));
+            return shifted(tranche.rateType === 'path'
+                ? SwissRentBuyCalculator.resolveMortgageRatePath(mortgageRatePath, mortgageRate, year + 1)[year]
+                : tranche.renewalRate, year + 1);
+        };
+        const breakPenalties = (year, reinvestmentRate = null) => tranches.map((tranche, t) => {
+            const end = fixedTermEnd(tranche);
+            if (end === null || end <= year) return 0;
+            return SwissRentBuyCalculator.breakPenalty(trancheBalances[t], trancheRate(tranche, year),
+                reinvestmentRateFor(tranche, year, reinvestmentRate), end - year);
+        });
+        const refinancing = SwissRentBuyCalculator.resolveEarlyRefinancing(earlyRefinancing, termYears);
+        let totalBreakPenalties = 0;            // Break penalties of early refinancing over term
+        const renewal = SwissRentBuyCalculator.resolveMortgageRenewal(mortgageRenewal);
+        const renewalEvents = [];               // Fixed rates renewed at maturity within the term
+        let totalRenewalFees = 0;               // Renewal fees over term
+        // The lender re-tests affordability at each renewal (null without a household income)
+        const rental = SwissRentBuyCalculator.resolveRentalIncome(rentalIncome);
+        const affordabilityRules = SwissRentBuyCalculator.resolveAffordability(affordability, rental);
+        const appliedRatesByYear = [];
+
+        // Indirect amortization: contributions (up to the 3a cap) go into a pledged 3a account
+        // instead of reducing the mortgage; any amortization above the cap is paid directly
+        const isIndirect = amortizationMethod === 'indirect3a';
+        const indirectAnnualAmortization = isIndirect ? Math.min(annualAmortization, Math.max(0, pillar3aAnnualCap)) : 0;
+        const period3aRate = SwissRentBuyCalculator.periodicRate(pillar3aReturnRate, periodsPerYear);
+        let pillar3aBalance = 0;                // Pledged 3a capital (tax-free growth until withdrawal)
+        let pillar3aContributions = 0;          // Total 3a contributions over term
+        // Progressive taxation: owner and renter returns are taxed with the cantonal and federal tariffs
+        const taxProfile = SwissRentBuyCalculator.resolveTaxModel(taxModel);
+        const incomeTax = taxProfile
+            ? (income) => SwissRentBuyCalculator.TAX_MODULE.incomeTax(income, taxProfile).total
+            : null;
+        // Cantonal, communal and church tax only (deductions that the federal tax does not allow)
+        const subFederalIncomeTax = taxProfile
+            ? (income) => {
+                const tax = SwissRentBuyCalculator.TAX_MODULE.incomeTax(income, taxProfile);
+                return tax.total - tax.federal;
+            }
+            : null;
+        // Reform transition and the post-reform rules that remain
+        const reformYear = Number.isFinite(Number(reformEffectiveYear)) && reformEffectiveYear !== null && reformEffectiveYear !== ''
+            ? Math.round(Number(reformEffectiveYear)) : null;
+        const firstTimeBuyer = SwissRentBuyCalculator.resolveFirstTimeBuyerDeduction(firstTimeBuyerDeduction, taxProfile);
+        const cantonalRate = Number.isFinite(cantonalMarginalTaxRate) ? cantonalMarginalTaxRate : marginalTaxRate;
+        let postReformYears = 0;                // Years taxed without Eigenmietwert
+        let totalEnergyDeductible = 0;          // Energy investments deducted at the cantonal level after the reform
+        // Wealth tax: yearly difference each scenario's wealth makes on top of the household's other wealth
+        const wealthProfile = SwissRentBuyCalculator.resolveWealthTax(wealthTax, taxProfile);
+        const wealthTaxOf = wealthProfile
+            ? (netWealth) => SwissRentBuyCalculator.TAX_MODULE.wealthTax(wealthProfile.otherWealth + netWealth, wealthProfile).total
+            : null;
+        let totalOwnerWealthTax = 0;            // Owner's wealth tax over term
+        let totalRenterWealthTax = 0;           // Renter's wealth tax over term
+        const firstYearMortgageRate = termYears >= 1
+            ? SwissRentBuyCalculator.blendedRate(trancheBalances, tranches.map(t => trancheRate(t, 1)))
+            : mortgageRate;
 
         // ============================================================================
         // MAIN CALCULATION LOOP - SINGLE PASS THROUGH ALL YEARS
@@ -141,113 +496,464 @@ class SwissRentBuyCalculator {
         for (let year = 1; year <= termYears; year++) {
             
             // ------------------------------------------------------------------------
-            // MORTGAGE CALCULATIONS (Declining Balance Method)
+            // PERIOD LOOP - MORTGAGE, RENT AND PORTFOLIO PER PERIOD
             // ------------------------------------------------------------------------
             
-            // Calculate annual interest on current remaining balance
-            // Interest continues even after amortization period ends
-            const interest = remainingBalance > 0 ? remainingBalance * mortgageRate : 0;
+            // Each year is split into periodsPerYear periods (1 = classic yearly loop).
+            // Interest accrues on the balance at the start of each period, amortization,
+            // rent and renter contributions are paid per period, and the portfolio
+            // compounds per period. Annual figures are the sums over the periods.
+            const yearStartBalance = remainingBalance;
+            const yearTrancheStartBalances = trancheBalances.slice();
+
+            // Renewal: fixed rates that matured at the end of last year are renewed at the new rate
+            const yearRenewals = [];
+            if (renewal) {
+                tranches.forEach((tranche, t) => {
+                    if (fixedTermEnd(tranche) !== year - 1 || trancheBalances[t] <= 0) return;
+                    const count = renewalEvents.filter(e => e.trancheIndex === t).length;
+                    const newRate = renewal.rates.length > 0 ? renewal.rates[Math.min(count, renewal.rates.length - 1)] : null;
+                    const previousRate = trancheRate(tranche, year - 1);
+                    trancheSegments[t].push({
+                        fromYear: year,
+                        // A new fixed term locks in the rate of the renewal year
+                        rate: newRate !== null ? shifted(newRate, year) : (renewal.fixedTermYears !== null ? ownRate(tranche, year) : null),
+                        rateShock: renewal.rateShock,
+                        maturityYears: renewal.fixedTermYears !== null ? year - 1 + renewal.fixedTermYears : null
+                    });
+                    yearRenewals.push({
+                        year,
+                        trancheIndex: t,
+                        tranche: tranche.name,
+                        previousRate,
+                        rate: trancheRate(tranche, year),
+                        maturityYears: fixedTermEnd(tranche),
+                        balance: trancheBalances[t],
+                        fee: renewal.fee + renewal.feeRate * trancheBalances[t]
+                    });
+                });
+            }
+            const yearRenewalFee = yearRenewals.reduce((sum, e) => sum + e.fee, 0);
+
+            const yearTrancheRates = tranches.map(t => trancheRate(t, year));
+            const yearMortgageRate = SwissRentBuyCalculator.blendedRate(yearTrancheStartBalances, yearTrancheRates);
+            appliedRatesByYear.push(yearMortgageRate);
+
+            // Affordability at renewal: the whole mortgage on the current property value, imputed at no less than the new rate
+            const renewalAffordability = yearRenewals.length > 0 && affordabilityRules
+                ? SwissRentBuyCalculator.checkAffordability(propertyBasis * propertyGrowth(year - 1), yearStartBalance,
+                    { ...affordabilityRules, stressRate: Math.max(affordabilityRules.stressRate, yearMortgageRate) })
+                : null;
+            yearRenewals.forEach(e => {
+                e.affordability = renewalAffordability;
+                renewalEvents.push(e);
+            });
+            const trancheInterest = tranches.map(() => 0);
+            const trancheAmort = tranches.map(() => 0);
+            const amortThisYear = year <= amortizationYears ? annualAmortization : 0;
+            const rentFactor = rentIndex.rentFactors[year - 1];
+            const rentalCostsFactor = rentIndex.rentalCostsFactors[year - 1];
+            const yearRent = monthlyRent * 12 * rentFactor;                  // Rent actually paid this year
+            const yearRentalCosts = annualRentalCosts * rentalCostsFactor;   // Rental costs of this year
+            // Owner's rental income from the let part (indexed like the comparable rent), net of vacancy and its maintenance
+            const yearRentalIncomeGross = rental ? rental.monthlyRent * 12 * rentFactor : 0;
+            const yearRentalVacancy = rental ? yearRentalIncomeGross * rental.vacancyRate : 0;
+            const yearRentalMaintenance = rental ? rental.annualMaintenance : 0;
+            const yearRentalIncome = yearRentalIncomeGross - yearRentalVacancy - yearRentalMaintenance;
+            const indirectThisYear = year <= amortizationYears ? indirectAnnualAmortization : 0;
+            // Component renewals paid directly this year (in a condominium, common parts are paid from the fund)
+            const yearCapex = capex ? capex.capexByYear[year - 1] - (condo ? capex.commonByYear[year - 1] : 0) : 0;
+            const yearCapexDeductible = capex ? capex.deductibleByYear[year - 1] - (condo ? capex.commonDeductibleByYear[year - 1] : 0) : 0;
+
+            // Condominium: contributions go into the owner's fund share, which pays the owner's share of common
+            // renewals; a shortfall is levied as a special assessment
+            let renewalFundContribution = 0;
+            let commonCharges = 0;
+            let renewalFundDraw = 0;
+            let specialAssessment = 0;
+            let condominiumDeductible = 0;
+            if (condo) {
+                renewalFundContribution = condo.renewalFundContribution;
+                commonCharges = condo.commonCharges;
+                const commonRenewal = capex ? capex.commonByYear[year - 1] * condo.ownershipShare : 0;
+                const fundAvailable = renewalFundShare * (1 + condo.renewalFundReturnRate) + renewalFundContribution;
+                renewalFundDraw = Math.min(commonRenewal, fundAvailable);
+                specialAssessment = commonRenewal - renewalFundDraw;
+                renewalFundShare = fundAvailable - renewalFundDraw;
+                const commonDeductibleShare = commonRenewal > 0 ? capex.commonDeductibleByYear[year - 1] / capex.commonByYear[year - 1] : 0;
+                condominiumDeductible = renewalFundContribution + specialAssessment * commonDeductibleShare +
+                                        commonCharges * condo.commonChargesDeductibleShare;
+            }
+            const yearCondominiumCosts = renewalFundContribution + commonCharges + specialAssessment;
+            let yearBreakPenalty = 0;
+            let pillar3aContribution = 0;
+            let pillar3aReturn = 0;
+            let interest = 0;
+            let amort = 0;
+            let gains = 0;
+            let investmentIncome = 0;
+            let investmentCosts = 0;
+            let renterContrib = 0;
+            let unfundedShortfall = 0;
+            let borrowingInterest = 0;
+            const yearReturns = yieldRatesByYear
+                ? SwissRentBuyCalculator.resolvePortfolioReturns(portfolioReturns, yieldRatesByYear[year - 1]) : returns;
+            const yearPeriodYieldRate = yieldRatesByYear
+                ? SwissRentBuyCalculator.periodicRate(yearReturns ? yearReturns.netReturnRate : yieldRatesByYear[year - 1], periodsPerYear)
+                : periodYieldRate;
+
+            for (let period = 1; period <= periodsPerYear; period++) {
+                const periodStartBalance = remainingBalance;
+
+                // Interest on the current remaining balance of each tranche (banks quote nominal annual rates)
+                // Interest continues even after amortization period ends
+                let periodInterest = 0;
+                for (let t = 0; t < tranches.length; t++) {
+                    const trancheBalance = trancheBalances[t];
+                    const trancheInterestThisPeriod = trancheBalance > 0 ? trancheBalance * (yearTrancheRates[t] / periodsPerYear) : 0;
+                    trancheInterest[t] += trancheInterestThisPeriod;
+                    periodInterest += trancheInterestThisPeriod;
+                }
+
+                // Amortization (principal payment) only occurs during amortization period
+                const periodAmort = amortThisYear / periodsPerYear;
+
+                // Indirect amortization: the 3a part is saved instead of repaid
+                const period3aContribution = indirectThisYear / periodsPerYear;
+                const periodDirectAmort = isIndirect ? periodAmort - period3aContribution : periodAmort;
+                if (isIndirect) {
+                    const period3aReturn = pillar3aBalance * period3aRate;
+                    pillar3aBalance += period3aReturn + period3aContribution;
+                    pillar3aReturn += period3aReturn;
+                    pillar3aContribution += period3aContribution;
+                }
+
+                // Allocate direct amortization pro rata to tranche balances
+                for (let t = 0; t < tranches.length; t++) {
+                    const trancheAmortThisPeriod = remainingBalance > 0 ? periodDirectAmort * (trancheBalances[t] / remainingBalance) : 0;
+                    trancheAmort[t] += Math.min(trancheAmortThisPeriod, trancheBalances[t]);
+                    trancheBalances[t] = Math.max(0, trancheBalances[t] - trancheAmortThisPeriod);
+                }
+
+                // Update remaining mortgage balance after amortization payment
+                remainingBalance = Math.max(0, remainingBalance - periodDirectAmort);
+
+                // Early refinancing at the end of the year: fixed rates within their term are repaid against the
+                // break penalty and continue at the new rate
+                if (refinancing && year === refinancing.year && period === periodsPerYear) {
+                    // The new rate is the market rate the lender reinvests at, unless a reinvestment rate is given
+                    const penalties = breakPenalties(year, Number.isFinite(breakReinvestmentRate) ? null : refinancing.rate);
+                    tranches.forEach((tranche, t) => {
+                        const end = fixedTermEnd(tranche);
+                        if (end === null || end <= year) return;
+                        yearBreakPenalty += penalties[t];
+                        tranche.refinancing = {
+                            year,
+                            rate: refinancing.rate !== null ? shifted(refinancing.rate, year + 1) : reinvestmentRateFor(tranche, year),
+                            maturityYears: refinancing.fixedTermYears !== null ? year + refinancing.fixedTermYears : null,
+                            breakPenalty: penalties[t]
+                        };
+                        trancheSegments[t].push({
+                            fromYear: year + 1, rate: tranche.refinancing.rate, rateShock: 0, maturityYears: tranche.refinancing.maturityYears
+                        });
+                    });
+                }
+
+                // Renter's contribution for this period based on scenario mode
+                let periodContrib = 0;
+                if (scenarioMode === 'equalSavings' && year <= contributionYears) {
+                    // Equal savings: renter contributes same amount as buyer's amortization
+                    periodContrib = annualAmortization / periodsPerYear;
+                } else if (scenarioMode === 'cashflowParity') {
+                    // Cashflow parity: renter invests the actual difference in cash outflows
+                    const buyerPeriodCash = periodInterest + periodAmort + annualMaintenanceCosts / periodsPerYear + yearCapex / periodsPerYear +
+                                            yearCondominiumCosts / periodsPerYear + (period === periodsPerYear ? yearBreakPenalty : 0) +
+                                            (period === 1 ? yearRenewalFee : 0) - yearRentalIncome / periodsPerYear;
+                    const renterPeriodCash = yearRent / periodsPerYear + yearRentalCosts / periodsPerYear;
+                    periodContrib = buyerPeriodCash - renterPeriodCash; // Can be negative (withdrawal)
+                }
+                // Note: equalConsumption mode has no additional contributions
+
+                // Investment gains on start-of-period portfolio balance, then add contribution
+                // (a negative portfolio is debt: it costs the borrowing rate, deductible like other debt interest)
+                const borrowing = portfolio < 0 && periodBorrowingRate !== null;
+                const periodGains = portfolio * (borrowing ? periodBorrowingRate : yearPeriodYieldRate);
+                if (borrowing && yearReturns) {
+                    investmentIncome += periodGains;
+                } else if (yearReturns) {
+                    investmentIncome += portfolio * yearReturns.incomeYieldRate / periodsPerYear;
+                    investmentCosts += portfolio * (yearReturns.ter + yearReturns.incomeYieldRate * yearReturns.withholdingTaxLeakage) / periodsPerYear;
+                }
+                if (portfolio < 0) borrowingInterest -= periodGains;
+                portfolio = portfolio + periodGains + periodContrib;
+                if (depletion.mode === 'stop' && portfolio < 0) {
+                    // Withdrawals stop at zero: the rest of the rent is unfunded
+                    unfundedShortfall -= portfolio;
+                    unfundedLiability -= portfolio;
+                    portfolio = 0;
+                } else if (depletion.mode === 'stop' && unfundedLiability > 0 && periodContrib > 0) {
+                    // Surplus cash repays the unfunded liability before it is invested
+                    const repayment = Math.min(unfundedLiability, periodContrib, portfolio);
+                    unfundedShortfall -= repayment;
+                    unfundedLiability -= repayment;
+                    portfolio -= repayment;
+                }
+                if (depletionYear === null && (portfolio < 0 || unfundedLiability > 0)) depletionYear = year;
+
+                interest += periodInterest;
+                amort += periodAmort;
+                gains += periodGains;
+                renterContrib += periodContrib;
+
+                periods.push({
+                    year,
+                    period,
+                    periodIndex: periods.length + 1,
+                    startingBalance: periodStartBalance,
+                    mortgageRate: yearMortgageRate,
+                    interest: periodInterest,
+                    amortization: periodAmort,
+                    maintenance: annualMaintenanceCosts / periodsPerYear,
+                    capitalExpenditure: yearCapex / periodsPerYear,
+                    condominiumCosts: yearCondominiumCosts / periodsPerYear,
+                    mortgageBreakPenalty: period === periodsPerYear ? yearBreakPenalty : 0,
+                    mortgageRenewalFee: period === 1 ? yearRenewalFee : 0,
+                    endingBalance: remainingBalance,
+                    rent: yearRent / periodsPerYear,
+                    rentalCosts: yearRentalCosts / periodsPerYear,
+                    renterContribution: periodContrib,
+                    investmentGains: periodGains,
+                    portfolioValueEnd: portfolio
+                });
+            }
+
             interestCosts += interest;
-            
-            // Calculate annual amortization (principal payment)
-            // Only occurs during amortization period, then stops
-            const amort = year <= amortizationYears ? annualAmortization : 0;
             amortizationCosts += amort;
-            
-            // Update remaining mortgage balance after amortization payment
-            remainingBalance = Math.max(0, remainingBalance - amort);
+            totalBorrowingInterest += borrowingInterest;
+            pillar3aContributions += pillar3aContribution;
+            totalCapex += yearCapex;
+            totalCapexDeductible += yearCapexDeductible;
+            totalCondominiumCosts += yearCondominiumCosts;
+            totalSpecialAssessments += specialAssessment;
+            totalBreakPenalties += yearBreakPenalty;
+            totalRenewalFees += yearRenewalFee;
 
             // ------------------------------------------------------------------------
             // TAX CALCULATIONS (Swiss System with Post-Reform Support)
             // ------------------------------------------------------------------------
             
-            // Calculate owner-side tax components based on current or post-reform system
-            // Post-reform (2027+) eliminates Eigenmietwert and related deductions for primary residences
-            const taxImputedRent = postReform ? 0 : (imputedRentalValue * marginalTaxRate);
-            const taxSavingsInterest = postReform ? 0 : (interest * marginalTaxRate);
-            const taxSavingsPropertyExpenses = postReform ? 0 : (propertyTaxDeductions * marginalTaxRate);
+            // Regime of this calendar year: the reform eliminates Eigenmietwert and related deductions for primary
+            // residences from reformEffectiveYear (or in every year with postReform)
+            const calendarYear = firstCalendarYear + year - 1;
+            const yearPostReform = postReform || (reformYear !== null && calendarYear >= reformYear);
+            if (yearPostReform) postReformYears++;
+            // Post-reform: first-time buyers deduct interest up to a cap falling linearly over the first years of ownership
+            const firstTimeBuyerCap = yearPostReform && firstTimeBuyer && year <= firstTimeBuyer.years
+                ? firstTimeBuyer.maxDeduction * (1 - (year - 1) / firstTimeBuyer.years) : 0;
+            const firstTimeBuyerInterest = Math.min(interest, firstTimeBuyerCap);
+            // Post-reform: energy-saving and environmental investments stay deductible at the cantonal level
+            const yearEnergyDeductible = yearPostReform && capex
+                ? capex.energyDeductibleByYear[year - 1] - (condo ? capex.commonEnergyDeductibleByYear[year - 1] : 0) : 0;
+            totalEnergyDeductible += yearEnergyDeductible;
+
+            // With part of the property let, the imputed rental value applies to the owner-occupied share; the let
+            // share's interest and expenses stay deductible after the reform (they relate to taxable rental income)
+            const letShare = rental ? rental.rentedShare : 0;
+            const ownerOccupiedImputedValue = imputedRentalValue * (1 - letShare);
+            const deductibleInterest = yearPostReform
+                ? (letShare > 0 ? interest * letShare + Math.min(interest * (1 - letShare), firstTimeBuyerCap) : firstTimeBuyerInterest)
+                : interest;
+
+            let taxImputedRent = yearPostReform ? 0 : (ownerOccupiedImputedValue * marginalTaxRate);
+            let taxRentalIncome = yearRentalIncome * marginalTaxRate;
+            let taxSavingsInterest = deductibleInterest * marginalTaxRate;
+            // The value-preserving share of component renewals and deductible condominium costs are deducted
+            // on top of the property expense deduction
+            const extraPropertyDeductions = yearCapexDeductible + condominiumDeductible;
+            const deductiblePropertyExpenses = yearPostReform
+                ? (propertyTaxDeductions + extraPropertyDeductions) * letShare
+                : propertyTaxDeductions + extraPropertyDeductions;
+            let taxSavingsPropertyExpenses = yearPostReform
+                ? yearEnergyDeductible * cantonalRate + deductiblePropertyExpenses * marginalTaxRate
+                : (deductiblePropertyExpenses * marginalTaxRate);
+            // Pillar 3a contributions stay deductible after the reform (not tied to Eigenmietwert)
+            let taxSavingsPillar3a = pillar3aContribution * marginalTaxRate;
+
+            // Progressive tariffs: each component is the tax difference it causes in the owner return,
+            // applied in return order (imputed rent and rental income added, then interest, expenses and 3a deducted)
+            let ownerTaxableIncome = null;
+            let ownerIncomeTax = null;
+            if (incomeTax) {
+                const baseIncome = taxProfile.taxableIncome;
+                const withImputedRent = baseIncome + (yearPostReform ? 0 : ownerOccupiedImputedValue);
+                const withRentalIncome = withImputedRent + yearRentalIncome;
+                const afterInterest = withRentalIncome - deductibleInterest;
+                const afterPropertyExpenses = afterInterest - deductiblePropertyExpenses;
+                ownerTaxableIncome = afterPropertyExpenses - pillar3aContribution;
+                const baseTax = incomeTax(baseIncome);
+                const taxWithImputedRent = incomeTax(withImputedRent);
+                const taxWithRentalIncome = rental ? incomeTax(withRentalIncome) : taxWithImputedRent;
+                const taxAfterInterest = incomeTax(afterInterest);
+                const taxAfterPropertyExpenses = incomeTax(afterPropertyExpenses);
+                const taxAfter3a = incomeTax(ownerTaxableIncome);
+                // Energy investments after the reform reduce the cantonal and communal tax only (deducted last)
+                const energyTaxSavings = yearEnergyDeductible > 0
+                    ? subFederalIncomeTax(ownerTaxableIncome) - subFederalIncomeTax(ownerTaxableIncome - yearEnergyDeductible)
+                    : 0;
+                ownerIncomeTax = taxAfter3a - energyTaxSavings;
+                taxImputedRent = taxWithImputedRent - baseTax;
+                taxRentalIncome = taxWithRentalIncome - taxWithImputedRent;
+                taxSavingsInterest = taxWithRentalIncome - taxAfterInterest;
+                taxSavingsPropertyExpenses = taxAfterInterest - taxAfterPropertyExpenses + energyTaxSavings;
+                taxSavingsPillar3a = taxAfterPropertyExpenses - taxAfter3a;
+            }
             
             // Net owner tax burden (positive = costs more than renting)
-            const ownerNetTax = taxImputedRent - taxSavingsInterest - taxSavingsPropertyExpenses;
+            const ownerNetTax = taxImputedRent + taxRentalIncome - taxSavingsInterest - taxSavingsPropertyExpenses - taxSavingsPillar3a;
             totalOwnerNetTax += ownerNetTax;
+            totalRentalIncome += yearRentalIncome;
 
             // ------------------------------------------------------------------------
-            // RENTER SCENARIO CALCULATIONS (Mode-Aware)
+            // INVESTMENT PORTFOLIO TAXATION
             // ------------------------------------------------------------------------
             
-            // Calculate renter's annual investment contribution based on scenario mode
-            let renterContrib = 0;
-            
-            if (scenarioMode === 'equalSavings' && year <= contributionYears) {
-                // Equal savings: renter contributes same amount as buyer's amortization
-                renterContrib = annualAmortization;
-            } else if (scenarioMode === 'cashflowParity') {
-                // Cashflow parity: renter invests the actual difference in annual cash outflows
-                const buyerAnnualCash = interest + (year <= amortizationYears ? annualAmortization : 0) + annualMaintenanceCosts;
-                const renterAnnualCash = (monthlyRent * 12) + annualRentalCosts;
-                renterContrib = buyerAnnualCash - renterAnnualCash; // Can be negative (withdrawal)
-            }
-            // Note: equalConsumption mode has renterContrib = 0 (no additional contributions)
-
-            // ------------------------------------------------------------------------
-            // INVESTMENT PORTFOLIO SIMULATION
-            // ------------------------------------------------------------------------
-            
-            // Calculate investment gains on start-of-year portfolio balance
-            const gains = portfolio * investmentYieldRate;
+            // Gains of the year were accrued per period above; portfolio grows with them
             cumulativeInvestmentGains += gains;
             
             // Calculate tax on investment gains (renter pays tax on investment income)
-            const renterTax = gains * marginalTaxRate;
+            // With a return split only dividends and interest are taxed, capital gains are tax-free
+            // With progressive tariffs the taxable gains are taxed on top of the renter's other income
+            const taxableGains = returns ? investmentIncome : gains;
+            cumulativeInvestmentIncome += investmentIncome;
+            cumulativeInvestmentCosts += investmentCosts;
+            const renterTaxableIncome = incomeTax ? taxProfile.taxableIncome + taxableGains : null;
+            const renterIncomeTax = incomeTax ? incomeTax(renterTaxableIncome) : null;
+            const renterTax = incomeTax ? renterIncomeTax - incomeTax(taxProfile.taxableIncome) : taxableGains * marginalTaxRate;
             cumulativeRenterInvestmentTax += renterTax;
-            
-            // Update portfolio: add gains and contributions (portfolio grows at end of year)
-            portfolio = portfolio + gains + renterContrib;
             cumulativeContribPrincipal += renterContrib;
 
             // ------------------------------------------------------------------------
             // RENTAL COST ACCUMULATION
             // ------------------------------------------------------------------------
             
-            const rent = monthlyRent * 12;      // Annual rent
-            const supp = annualRentalCosts;     // Annual supplemental costs
+            const rent = yearRent;              // Annual rent (indexed)
+            const supp = yearRentalCosts;       // Annual supplemental costs (indexed)
             cumulativeRentalCosts += (rent + supp);
 
             // ------------------------------------------------------------------------
             // YEAR-END ANALYTICS AND REPORTING
             // ------------------------------------------------------------------------
             
+            // 3a and pension money the renter keeps in its accounts (the buyer withdrew it)
+            const retainedPillar3a = funding.pillar3a * Math.pow(1 + pillar3aReturnRate, year);
+            const retainedPension = funding.pensionWithdrawal * Math.pow(1 + pensionFundRate, year);
+
             // Calculate property value and equity at end of current year
-            const propertyValue = purchasePrice * Math.pow(1 + propertyAppreciationRate, year);
+            const propertyValue = propertyBasis * propertyGrowth(year);
             const equity = propertyValue - remainingBalance;
             const ltvPercent = propertyValue > 0 ? (remainingBalance / propertyValue) * 100 : 0;
 
+            // Wealth tax at year-end: property at tax value net of the mortgage vs portfolio at market value
+            // (pledged 3a and pension capital are exempt)
+            const ownerNetWealth = wealthTaxOf ? propertyValue * wealthProfile.propertyTaxValueRatio - remainingBalance + renewalFundShare : null;
+            const renterNetWealth = wealthTaxOf ? portfolio - unfundedLiability : null;
+            const baseWealthTax = wealthTaxOf ? wealthTaxOf(0) : 0;
+            const ownerWealthTax = wealthTaxOf ? wealthTaxOf(ownerNetWealth) - baseWealthTax : 0;
+            const renterWealthTax = wealthTaxOf ? wealthTaxOf(renterNetWealth) - baseWealthTax : 0;
+            totalOwnerWealthTax += ownerWealthTax;
+            totalRenterWealthTax += renterWealthTax;
+
             // Store comprehensive year-by-year data for detailed analysis
             yearly.push({
                 year,
-                startingBalance: year === 1 ? mortgageAmount : yearly[year - 2].endingBalance,
+                startingBalance: yearStartBalance,
+                mortgageRateApplied: yearMortgageRate,
                 annualInterest: interest,
                 annualAmortization: amort,
                 annualMaintenance: annualMaintenanceCosts,
+                capitalExpenditure: yearCapex,              // Component renewals of the year
+                capexDeductible: yearCapexDeductible,       // Value-preserving (deductible) share
+                capexRenewals: capex ? capex.renewalsByYear[year - 1] : [],
+
+                // Condominium (zero for a house)
+                renewalFundContribution: renewalFundContribution, // Owner's contribution to the renewal fund
+                commonCharges: commonCharges,               // Owner's share of common charges
+                renewalFundDraw: renewalFundDraw,           // Common renewals paid from the owner's fund share
+                specialAssessment: specialAssessment,       // Levied when the fund share is short
+                condominiumCosts: yearCondominiumCosts,     // Contributions + charges + special assessments
+                renewalFundShareEndOfYear: renewalFundShare,
+                mortgageBreakPenalty: yearBreakPenalty,     // Break penalty of early refinancing at year-end
+                renewalYear: yearRenewals.length > 0,       // Fixed rates renewed at the start of the year
+                renewedTranches: yearRenewals.map(e => e.tranche),
+                mortgageRenewalFee: yearRenewalFee,         // Fees of the renewals of the year
+                rentalIncomeGross: yearRentalIncomeGross,   // Rent of the let part (zero when fully owner-occupied)
+                rentalVacancyLoss: yearRentalVacancy,       // Rent lost to vacancy
+                rentalMaintenance: yearRentalMaintenance,   // Maintenance of the let part
+                rentalIncome: yearRentalIncome,             // Net rental income (taxable)
+                renewalAffordability: renewalAffordability, // Lender's re-test at renewal (null without affordability)
                 endingBalance: remainingBalance,
                 
+                // Per-tranche interest and balances (one entry per mortgage tranche)
+                trancheBreakdown: tranches.map((tranche, t) => ({
+                    name: tranche.name,
+                    rateType: tranche.rateType,
+                    rate: yearTrancheRates[t],
+                    renewed: (tranche.maturityYears !== null && year > tranche.maturityYears) ||
+                             trancheSegments[t].some(segment => segment.fromYear <= year),
+                    startingBalance: yearTrancheStartBalances[t],
+                    interest: trancheInterest[t],
+                    amortization: trancheAmort[t],
+                    endingBalance: trancheBalances[t]
+                })),
+                
                 // Rental scenario data
                 annualRent: rent,
                 annualRentalCosts: supp,
+                monthlyRentPaid: rent / 12,                 // Monthly rent actually paid this year
+                rentIndexFactor: rentFactor,                // Rent relative to year 1
+                referenceRate: rentIndex.referenceRates ? rentIndex.referenceRates[year - 1] : null,
                 
                 // Tax breakdown (for transparency and debugging)
                 annualTaxDifference: ownerNetTax,           // Net owner tax burden
                 taxImputedRent: taxImputedRent,             // Eigenmietwert tax cost
+                taxRentalIncome: taxRentalIncome,           // Tax on the net rental income (let part only)
                 taxSavingsInterest: taxSavingsInterest,     // Mortgage interest deduction
                 taxSavingsPropertyExpenses: taxSavingsPropertyExpenses, // Property expense deduction
+                taxSavingsPillar3a: taxSavingsPillar3a,     // Pillar 3a contribution deduction (indirect amortization)
+                ownerTaxableIncome: ownerTaxableIncome,     // Owner return taxable income (progressive tax model only)
+                ownerIncomeTax: ownerIncomeTax,             // Owner return total income tax (progressive tax model only)
+                calendarYear: calendarYear,
+                taxRegime: yearPostReform ? 'postReform' : 'current', // Tax system applied in this year
+                firstTimeBuyerInterestDeduction: firstTimeBuyerInterest, // Post-reform first-time buyer deduction
+                energyDeductible: yearEnergyDeductible,     // Post-reform energy investments deducted (cantonal level)
+                renterTaxableIncome: renterTaxableIncome,   // Renter return taxable income (progressive tax model only)
+                renterIncomeTax: renterIncomeTax,           // Renter return total income tax (progressive tax model only)
+                ownerNetWealth: ownerNetWealth,             // Property at tax value minus mortgage (wealth tax only)
+                renterNetWealth: renterNetWealth,           // Portfolio at market value (wealth tax only)
+                ownerWealthTax: ownerWealthTax,             // Owner wealth tax of the year
+                renterWealthTax: renterWealthTax,           // Renter wealth tax of the year
+                
+                // Indirect amortization (pledged Pillar 3a)
+                pillar3aContribution: pillar3aContribution,
+                pillar3aReturn: pillar3aReturn,
+                pillar3aBalanceEndOfYear: pillar3aBalance,
                 
                 // Investment scenario tracking
                 renterContribution: renterContrib,
                 cumulativeRenterPrincipal: cumulativeContribPrincipal,
                 investmentGainsThisYear: gains,
                 investmentIncomeTaxThisYear: renterTax,
+                investmentIncomeThisYear: returns ? investmentIncome : gains, // Taxable part of the gains
+                investmentCapitalGainsThisYear: returns ? gains - (investmentIncome - investmentIncome * returns.withholdingTaxLeakage) : 0, // Tax-free, after TER
+                investmentCostsThisYear: investmentCosts,   // TER and withholding tax leakage (return split only)
                 cumulativeInvestmentGains: cumulativeInvestmentGains,
                 portfolioValueEndOfYear: portfolio,
+                unfundedShortfall: unfundedShortfall,       // Change of the unfunded liability ('stop'; negative = repaid)
+                unfundedLiabilityEndOfYear: unfundedLiability, // Renter withdrawals the portfolio could not fund ('stop')
+                borrowingInterest: borrowingInterest,       // Cost of a negative portfolio ('borrow')
+                portfolioDepleted: portfolio < 0 || unfundedLiability > 0,
+                retainedPillar3aEndOfYear: retainedPillar3a,   // Renter's 3a kept (buyer withdrew it)
+                retainedPensionEndOfYear: retainedPension,     // Renter's pension capital kept (buyer withdrew it)
                 
                 // Property scenario tracking
                 cumulativeAmortizationToDate: amortizationCosts,
@@ -262,8 +968,31 @@ class SwissRentBuyCalculator {
         // ============================================================================
         
         // Calculate final property value and remaining mortgage at end of analysis period
-        const propertyValueEnd = purchasePrice * Math.pow(1 + propertyAppreciationRate, termYears);
-        const mortgageAtEnd = Math.max(0, mortgageAmount - amortizationCosts);
+        const propertyValueEnd = propertyBasis * propertyGrowth(termYears);
+        const mortgageAtEnd = Math.max(0, mortgageAmount - (amortizationCosts - pillar3aContributions));
+
+        // Pledged 3a capital is withdrawn at the end of the term (capital withdrawal tax applies)
+        const pillar3aWithdrawalTax = pillar3aBalance * pillar3aWithdrawalTaxRate;
+        const pillar3aNetAtEnd = pillar3aBalance - pillar3aWithdrawalTax;
+
+        // Renter's retained 3a and pension capital, valued net of the (deferred) withdrawal tax.
+        // Only its growth net of that tax counts, as the capital itself is part of the down payment.
+        const retainedWithdrawn = funding.pillar3a + funding.pensionWithdrawal;
+        const retainedCapitalNetGrowth = SwissRentBuyCalculator.retainedCapitalNetGrowth(
+            funding, termYears, pillar3aReturnRate, pensionFundRate, downPaymentWithdrawalTaxRate);
+
+        // Liquidation at the end of the term: selling costs, property gains tax and mortgage break costs
+        const sale = SwissRentBuyCalculator.simulateSaleAtEnd(saleAtEnd, {
+            salePrice: propertyValueEnd,
+            purchasePrice: propertyBasis,
+            additionalPurchaseCosts,
+            totalRenovations: totalRenovations + (totalCapex - totalCapexDeductible),
+            termYears,
+            breakCosts: breakPenalties(termYears, saleAtEnd && typeof saleAtEnd === 'object' ? saleAtEnd.breakReinvestmentRate : null)
+                .reduce((sum, penalty) => sum + penalty, 0),
+            residence: taxProfile || wealthProfile
+        });
+        const saleCosts = sale ? sale.totalSaleCosts : 0;
 
         // ============================================================================
         // TOTAL COST CALCULATIONS (Scenario-Aware)
@@ -271,14 +1000,16 @@ class SwissRentBuyCalculator {
         
         // Build total costs using single-loop results for perfect consistency
         const purchaseCostsWithinObservationPeriod = interestCosts + supplementalMaintenanceCosts + 
-                                                   amortizationCosts + totalRenovations + additionalPurchaseCosts;
+                                                   amortizationCosts + totalRenovations + additionalPurchaseCosts +
+                                                   downPaymentWithdrawalTax + totalCapex + totalCondominiumCosts + totalBreakPenalties +
+                                                   totalRenewalFees;
         const generalCostOfPurchase = purchaseCostsWithinObservationPeriod;
         const generalCostOfRental = cumulativeRentalCosts;
         const rentalCostsWithinObservationPeriod = generalCostOfRental;
 
         // Calculate net values for final comparison
         const yieldsOnAssets = cumulativeInvestmentGains;       // Pre-tax investment gains
-        const downPaymentOutput = downPayment;                  // Down payment opportunity cost
+        const downPaymentOutput = equityContribution;           // Down payment opportunity cost (excl. pension pledge)
         const savingsContributionsOutput = cumulativeContribPrincipal; // Net renter contributions
         
         // Net tax difference: owner taxes minus renter investment taxes
@@ -289,21 +1020,25 @@ class SwissRentBuyCalculator {
         if (scenarioMode === 'equalConsumption') {
             // Equal consumption: basic comparison with property appreciation and remaining mortgage
             totalPurchaseCost = purchaseCostsWithinObservationPeriod + taxDifferenceToRental - 
-                              propertyValueEnd + mortgageAtEnd;
+                              propertyValueEnd + mortgageAtEnd - pillar3aNetAtEnd - renewalFundShare + totalOwnerWealthTax -
+                              totalRentalIncome;
         } else {
             // Equal savings or cashflow parity: same formula structure
             totalPurchaseCost = generalCostOfPurchase + taxDifferenceToRental - 
-                              propertyValueEnd + mortgageAtEnd;
+                              propertyValueEnd + mortgageAtEnd - pillar3aNetAtEnd - renewalFundShare + totalOwnerWealthTax -
+                              totalRentalIncome;
         }
 
         // Calculate total rental cost based on scenario mode
         let totalRentalCost;
         if (scenarioMode === 'equalSavings' || scenarioMode === 'cashflowParity') {
             // Advanced scenarios: subtract investment gains, down payment, and contributions
-            totalRentalCost = generalCostOfRental - yieldsOnAssets - downPaymentOutput - savingsContributionsOutput;
+            totalRentalCost = generalCostOfRental - yieldsOnAssets - downPaymentOutput - savingsContributionsOutput -
+                              retainedCapitalNetGrowth + totalRenterWealthTax;
         } else {
             // Equal consumption: subtract investment gains and down payment only
-            totalRentalCost = rentalCostsWithinObservationPeriod - yieldsOnAssets - downPaymentOutput;
+            totalRentalCost = rentalCostsWithinObservationPeriod - yieldsOnAssets - downPaymentOutput -
+                              retainedCapitalNetGrowth + totalRenterWealthTax;
         }
 
         // ============================================================================
@@ -311,38 +1046,33 @@ class SwissRentBuyCalculator {
         // ============================================================================
         
         // Calculate final result (positive = buying is better, negative = renting is better)
-        const resultValue = totalRentalCost - totalPurchaseCost;
-        const evenTolerance = 5000; // CHF tolerance for "even" decision
-        
-        let decision = 'EVEN';
-        let compareText = `Buying and renting are effectively even (within CHF ${evenTolerance.toLocaleString()}) over the relevant time frame.`;
-        
-        if (Math.abs(resultValue) >= evenTolerance) {
-            if (resultValue > 0) {
-                decision = 'BUY';
-                compareText = `Buying your home will work out CHF ${resultValue.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')} cheaper than renting over the relevant time frame.`;
-            } else {
-                decision = 'RENT';
-                compareText = `Renting is CHF ${Math.abs(resultValue).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')} cheaper than buying over the relevant time frame.`;
-            }
-        }
+        // Mark-to-market values the property at market value; after a sale the sale costs are deducted
+        const markToMarketResultValue = totalRentalCost - totalPurchaseCost;
+        const totalPurchaseCostAfterSale = sale ? totalPurchaseCost + saleCosts : null;
+        const resultValue = sale ? totalRentalCost - totalPurchaseCostAfterSale : markToMarketResultValue;
+        const { decision, compareText } = SwissRentBuyCalculator.describeResult(resultValue);
 
         // ============================================================================
         // MONTHLY EXPENSE CALCULATIONS (UI Compatibility)
         // ============================================================================
         
-        // Calculate representative monthly expenses for UI display
-        const MonthlyInterestPayment = Math.round((mortgageAmount * mortgageRate) / 12);
+        // Calculate representative monthly expenses for UI display (first-year rate when a path is given)
+        const MonthlyInterestPayment = Math.round((mortgageAmount * firstYearMortgageRate) / 12);
         const MonthlyAmortizationPayment = Math.round(annualAmortization / 12);
         const MonthlyMaintenanceCosts = Math.round(annualMaintenanceCosts / 12);
-        const TotalMonthlyExpenses = MonthlyInterestPayment + MonthlyAmortizationPayment + MonthlyMaintenanceCosts;
+        // Condominium: recurring fund contributions and common charges (0 for a house)
+        const MonthlyCondominiumCosts = condo ? Math.round((condo.renewalFundContribution + condo.commonCharges) / 12) : 0;
+        // Net rental income of the let part in year 1 reduces the owner's monthly outlay
+        const MonthlyRentalIncome = rental && termYears >= 1 ? Math.round(yearly[0].rentalIncome / 12) : 0;
+        const TotalMonthlyExpenses = MonthlyInterestPayment + MonthlyAmortizationPayment + MonthlyMaintenanceCosts + MonthlyCondominiumCosts -
+                                     MonthlyRentalIncome;
         
         const MonthlyRentPayment = Math.round(monthlyRent);
         const MonthlyRentalCosts = Math.round(annualRentalCosts / 12);
         const MonthlySavingsContribution = (scenarioMode === 'equalSavings' && amortizationYears > 0)
             ? Math.round(annualAmortization / 12)
             : (scenarioMode === 'cashflowParity'
-                ? Math.round((MonthlyInterestPayment + MonthlyAmortizationPayment + MonthlyMaintenanceCosts) - 
+                ? Math.round((MonthlyInterestPayment + MonthlyAmortizationPayment + MonthlyMaintenanceCosts + MonthlyCondominiumCosts - MonthlyRentalIncome) - 
                            (MonthlyRentPayment + MonthlyRentalCosts))
                 : 0);
         const TotalMonthlyRentingExpenses = MonthlyRentPayment + MonthlyRentalCosts + MonthlySavingsContribution;
@@ -355,6 +1085,16 @@ class SwissRentBuyCalculator {
         // This ensures the year-by-year breakdown is consistent with final totals
         let cumInterest = 0, cumMaint = 0, cumAmort = 0, cumOwnerNet = 0;
         let cumRent = 0, cumSupp = 0, cumGains = 0, cumRenterTax = 0, cumContrib = 0;
+        let cumOwnerWealthTax = 0, cumRenterWealthTax = 0, cumCapex = 0, cumCondominium = 0, cumBreakPenalty = 0, cumRenewalFee = 0, cumRentalIncome = 0;
+
+        // Real-terms series run alongside: same to-date formulas on deflated flows and stocks
+        const reportReal = Number.isFinite(inflationRate);
+        const realYearly = reportReal ? [] : null;
+        const real = {
+            interest: 0, maintenance: 0, capex: 0, condominium: 0, breakPenalty: 0, renewalFee: 0, rentalIncome: 0, amortization: 0, ownerNetTax: 0, renterTax: 0, rent: 0, rentalCosts: 0,
+            contributions: 0, ownerWealthTax: 0, renterWealthTax: 0, pillar3aContributions: 0
+        };
+        let realEnd = null;
         
         for (let i = 0; i < yearly.length; i++) {
             const y = yearly[i];
@@ -370,13 +1110,28 @@ class SwissRentBuyCalculator {
             cumGains += y.investmentGainsThisYear;
             cumRenterTax += y.investmentIncomeTaxThisYear;
             cumContrib += y.renterContribution;
+            cumOwnerWealthTax += y.ownerWealthTax;
+            cumRenterWealthTax += y.renterWealthTax;
+            cumCapex += y.capitalExpenditure;
+            cumCondominium += y.condominiumCosts;
+            cumBreakPenalty += y.mortgageBreakPenalty;
+            cumRenewalFee += y.mortgageRenewalFee;
+            cumRentalIncome += y.rentalIncome;
 
             // Calculate to-date totals using same formula structure as final calculation
-            const propertyValue = purchasePrice * Math.pow(1 + propertyAppreciationRate, t);
-            const purchaseToDate = (additionalPurchaseCosts + totalRenovations + cumInterest + cumMaint + cumAmort) + 
-                                 (cumOwnerNet - cumRenterTax) - propertyValue + y.endingBalance;
-            const rentalToDate = (cumRent + cumSupp) - cumGains - downPayment - 
-                               ((scenarioMode === 'equalSavings' || scenarioMode === 'cashflowParity') ? cumContrib : 0);
+            const propertyValue = propertyBasis * propertyGrowth(t);
+            // Pledged 3a capital counts net of withdrawal tax, as if withdrawn at the end of this year
+            const pillar3aNetToDate = y.pillar3aBalanceEndOfYear - y.pillar3aBalanceEndOfYear * pillar3aWithdrawalTaxRate;
+            const purchaseToDate = (additionalPurchaseCosts + totalRenovations + cumInterest + cumMaint + cumAmort + cumCapex + cumCondominium +
+                                  cumBreakPenalty + cumRenewalFee) + 
+                                 (cumOwnerNet - cumRenterTax) - propertyValue + y.endingBalance - pillar3aNetToDate - y.renewalFundShareEndOfYear +
+                                 downPaymentWithdrawalTax + cumOwnerWealthTax + (t === termYears ? saleCosts : 0) - cumRentalIncome;
+            // Renter's retained 3a/pension capital to date, net of the deferred withdrawal tax
+            const retainedGross = y.retainedPillar3aEndOfYear + y.retainedPensionEndOfYear;
+            const retainedNetGrowthToDate = (retainedGross - retainedGross * downPaymentWithdrawalTaxRate) - retainedWithdrawn;
+            const rentalToDate = (cumRent + cumSupp) - cumGains - equityContribution - retainedNetGrowthToDate - 
+                               ((scenarioMode === 'equalSavings' || scenarioMode === 'cashflowParity') ? cumContrib : 0) +
+                               cumRenterWealthTax;
             const adv = rentalToDate - purchaseToDate;
             const prev = i > 0 ? (yearly[i - 1].cumulativeAdvantage || 0) : 0;
 
@@ -385,8 +1140,165 @@ class SwissRentBuyCalculator {
             y.totalRentalCostToDate = rentalToDate;
             y.cumulativeAdvantage = adv;
             y.advantageDeltaFromPriorYear = adv - prev;
+
+            if (reportReal) {
+                // Deflate to today's CHF with the price level at the end of year t
+                const deflator = Math.pow(1 + inflationRate, -t);
+                real.interest += y.annualInterest * deflator;
+                real.maintenance += y.annualMaintenance * deflator;
+                real.capex += y.capitalExpenditure * deflator;
+                real.condominium += y.condominiumCosts * deflator;
+                real.breakPenalty += y.mortgageBreakPenalty * deflator;
+                real.renewalFee += y.mortgageRenewalFee * deflator;
+                real.rentalIncome += y.rentalIncome * deflator;
+                real.amortization += y.annualAmortization * deflator;
+                real.ownerNetTax += y.annualTaxDifference * deflator;
+                real.renterTax += y.investmentIncomeTaxThisYear * deflator;
+                real.rent += y.annualRent * deflator;
+                real.rentalCosts += y.annualRentalCosts * deflator;
+                real.contributions += y.renterContribution * deflator;
+                real.ownerWealthTax += y.ownerWealthTax * deflator;
+                real.renterWealthTax += y.renterWealthTax * deflator;
+                real.pillar3aContributions += y.pillar3aContribution * deflator;
+
+                // Portfolio growth in today's CHF: the real portfolio (net of unfunded withdrawals) less the initial
+                // capital and real contributions
+                const realGains = (y.portfolioValueEndOfYear - y.unfundedLiabilityEndOfYear) * deflator - investableInitial - real.contributions;
+                const realRetainedNetGrowth = (retainedGross - retainedGross * downPaymentWithdrawalTaxRate) * deflator - retainedWithdrawn;
+                const realSaleCosts = t === termYears ? saleCosts * deflator : 0;
+                const realPurchaseToDate = (additionalPurchaseCosts + totalRenovations + real.interest + real.maintenance + real.amortization +
+                                          real.capex + real.condominium + real.breakPenalty + real.renewalFee) +
+                                         (real.ownerNetTax - real.renterTax) - propertyValue * deflator + y.endingBalance * deflator -
+                                         pillar3aNetToDate * deflator - y.renewalFundShareEndOfYear * deflator + downPaymentWithdrawalTax + real.ownerWealthTax + realSaleCosts -
+                                         real.rentalIncome;
+                const realRentalToDate = (real.rent + real.rentalCosts) - realGains - equityContribution - realRetainedNetGrowth -
+                                       ((scenarioMode === 'equalSavings' || scenarioMode === 'cashflowParity') ? real.contributions : 0) +
+                                       real.renterWealthTax;
+                const realAdv = realRentalToDate - realPurchaseToDate;
+                const realPrev = i > 0 ? realYearly[i - 1].cumulativeAdvantage : 0;
+                const prevAmortizationToDate = i > 0 ? yearly[i - 1].cumulativeAmortizationToDate : 0;
+
+                realYearly.push({
+                    ...SwissRentBuyCalculator.deflateYearlyRow(y, deflator),
+                    deflator,
+                    cumulativeRenterPrincipal: real.contributions,
+                    cumulativeInvestmentGains: realGains,
+                    cumulativeAmortizationToDate: (i > 0 ? realYearly[i - 1].cumulativeAmortizationToDate : 0) +
+                                                  (y.cumulativeAmortizationToDate - prevAmortizationToDate) * deflator,
+                    totalPurchaseCostToDate: realPurchaseToDate,
+                    totalRentalCostToDate: realRentalToDate,
+                    cumulativeAdvantage: realAdv,
+                    advantageDeltaFromPriorYear: realAdv - realPrev
+                });
+                realEnd = { deflator, realGains, realRetainedNetGrowth, realSaleCosts, realPurchaseToDate, realRentalToDate };
+            }
+        }
+
+        // Cost breakdown and totals in today's CHF (null without an inflation rate)
+        let realTerms = null;
+        if (reportReal && realEnd) {
+            const d = realEnd.deflator;
+            const realPurchaseCostsWithin = real.interest + real.maintenance + real.amortization + totalRenovations +
+                                            additionalPurchaseCosts + downPaymentWithdrawalTax + real.capex + real.condominium + real.breakPenalty +
+                                            real.renewalFee;
+            const realTotalPurchaseCost = realEnd.realPurchaseToDate - realEnd.realSaleCosts;
+            const realResultValue = realEnd.realRentalToDate - realEnd.realPurchaseToDate;
+            realTerms = {
+                InflationRate: inflationRate,
+                ResultValue: realResultValue,
+                InterestCosts: real.interest,
+                SupplementalMaintenanceCosts: real.maintenance,
+                CapitalExpenditure: real.capex,
+                CondominiumCosts: real.condominium,
+                MortgageBreakPenalties: real.breakPenalty,
+                MortgageRenewalFees: real.renewalFee,
+                MinusRentalIncome: -real.rentalIncome,
+                MinusRenewalFundShare: -renewalFundShare * d,
+                AmortizationCosts: real.amortization,
+                GeneralCostOfPurchase: realPurchaseCostsWithin,
+                TaxDifferenceToRental: real.ownerNetTax - real.renterTax,
+                MinusPropertyValue: -propertyValueEnd * d,
+                MortgageAtEndOfRelevantTimePeriod: mortgageAtEnd * d,
+                Pillar3aContributions: real.pillar3aContributions,
+                Pillar3aCapitalAtEnd: pillar3aBalance * d,
+                Pillar3aWithdrawalTax: pillar3aWithdrawalTax * d,
+                MinusPillar3aNetCapital: -pillar3aNetAtEnd * d,
+                OwnerWealthTax: real.ownerWealthTax,
+                TotalPurchaseCost: realEnd.realPurchaseToDate,
+                PropertySaleCosts: realEnd.realSaleCosts,
+                TotalPurchaseCostMarkToMarket: realTotalPurchaseCost,
+                TotalPurchaseCostAfterSale: sale ? realEnd.realPurchaseToDate : null,
+                MarkToMarketResultValue: realResultValue + realEnd.realSaleCosts,
+                NetAfterSaleResultValue: sale ? realResultValue : null,
+                GeneralCostOfRental: real.rent + real.rentalCosts,
+                ExcludingYieldsOnAssets: (scenarioMode === 'equalConsumption') ? 0 : -realEnd.realGains,
+                ExcludingRetainedPensionCapitalGrowth: -realEnd.realRetainedNetGrowth,
+                RenterWealthTax: real.renterWealthTax,
+                ExcludingSavingsContributions: (scenarioMode === 'equalSavings' || scenarioMode === 'cashflowParity') ? -real.contributions : 0,
+                TotalRentalCost: realEnd.realRentalToDate,
+                PurchaseCostsWithinObservationPeriod: realPurchaseCostsWithin,
+                RentalCostsWithinObservationPeriod: real.rent + real.rentalCosts,
+                YearlyBreakdown: realYearly
+            };
         }
 
+        // ============================================================================
+        // CASH FLOWS AND FINANCIAL METRICS
+        // ============================================================================
+
+        // Explicit household cash flows per year (year 0 = purchase, outflows negative, flows at year-end,
+        // terminal values in the last year). Buying: upfront equity and costs, then the equity at the end
+        // (net of sale costs after a sale). Renting: the same starting capital invested (3a and pension money
+        // kept in its accounts), rent, investment taxes and contributions, then portfolio and retained capital.
+        const ownerUpfront = equityContribution + additionalPurchaseCosts + totalRenovations + downPaymentWithdrawalTax;
+        const ownerTerminal = propertyValueEnd - mortgageAtEnd + pillar3aNetAtEnd + renewalFundShare - saleCosts;
+        const renterTerminal = portfolio - unfundedLiability + retainedWithdrawn + retainedCapitalNetGrowth;
+        const cashFlows = [{
+            year: 0,
+            buy: -ownerUpfront,
+            rent: -(investableInitial + retainedWithdrawn),
+            ownerEquity: -ownerUpfront,
+            portfolio: -investableInitial
+        }];
+        yearly.forEach((y, i) => {
+            const isLast = i === yearly.length - 1;
+            const ownerCosts = y.annualInterest + y.annualAmortization + y.annualMaintenance + y.capitalExpenditure +
+                               y.condominiumCosts + y.mortgageBreakPenalty + y.mortgageRenewalFee +
+                               y.annualTaxDifference + y.ownerWealthTax - y.rentalIncome;
+            const rentPaid = y.annualRent + y.annualRentalCosts;
+            const buy = -ownerCosts + (isLast ? ownerTerminal : 0);
+            cashFlows.push({
+                year: y.year,
+                buy,
+                rent: -(rentPaid + y.investmentIncomeTaxThisYear + y.renterWealthTax + y.renterContribution) + (isLast ? renterTerminal : 0),
+                // Equity invested in the home earns the rent it saves
+                ownerEquity: buy + rentPaid,
+                // Renter portfolio: contributions in, value out (taxes are paid from income, not the portfolio;
+                // unfunded withdrawals never left it)
+                portfolio: -(y.renterContribution + y.unfundedShortfall) + (isLast ? portfolio : 0)
+            });
+        });
+        const discount = Number.isFinite(discountRate) ? discountRate : investmentYieldRate;
+        const npvBuy = SwissRentBuyCalculator.npv(discount, cashFlows.map(f => f.buy));
+        const npvRent = SwissRentBuyCalculator.npv(discount, cashFlows.map(f => f.rent));
+        const financialMetrics = {
+            discountRate: discount,
+            npvBuy,
+            npvRent,
+            npvDifference: npvBuy - npvRent,
+            // Contributions ResultValue nets out of the rental cost (basis difference to npvDifference, 0 without)
+            savingsContributions: (scenarioMode === 'equalSavings' || scenarioMode === 'cashflowParity') ? savingsContributionsOutput : 0,
+            equityIrr: SwissRentBuyCalculator.irr(cashFlows.map(f => f.ownerEquity)),
+            portfolioMoneyWeightedReturn: SwissRentBuyCalculator.irr(cashFlows.map(f => f.portfolio))
+        };
+
+        // Affordability (Tragbarkeit) of the initial mortgage, as tested by the lender at purchase
+        const affordabilityCheck = affordabilityRules ? {
+            ...SwissRentBuyCalculator.checkAffordability(purchasePrice, mortgageAmount, affordabilityRules),
+            maxFinanceablePrice: SwissRentBuyCalculator.maxFinanceablePrice(equityContribution, affordabilityRules),
+            rentalIncomeCounted: affordabilityRules.rentalIncomeCounted
+        } : null;
+
         // ============================================================================
         // RETURN COMPREHENSIVE RESULTS
         // ============================================================================
@@ -407,8 +1319,12 @@ class SwissRentBuyCalculator {
             MarginalTaxRatePercent: Math.round(marginalTaxRate * 100),
             AnnualPropertyValueIncreasePercent: propertyAppreciationRate * 100,
             MonthlyRentDue: Math.round(monthlyRent),
+            RentIndexation: rentIndex.type === 'none' ? null : rentIndex,
             AnnualSupplementalCostsRent: Math.round(annualRentalCosts),
             InvestmentYieldRatePercent: investmentYieldRate * 100,
+            PortfolioReturns: returns,
+            InvestmentIncome: returns ? cumulativeInvestmentIncome : cumulativeInvestmentGains,
+            InvestmentCosts: cumulativeInvestmentCosts,
             TermYears: Math.round(termYears),
 
             // Main results
@@ -416,10 +1332,31 @@ class SwissRentBuyCalculator {
             ResultValue: resultValue,
             Decision: decision,
             PostReform: postReform,
+            StartYear: firstCalendarYear,
+            ReformEffectiveYear: postReform ? null : reformYear,
+            PostReformYears: postReformYears,
+            FirstTimeBuyerDeduction: firstTimeBuyer,
+            EnergyDeductible: totalEnergyDeductible,
+            TaxModel: taxProfile ? { ...taxProfile } : null,
+            WealthTax: wealthProfile ? { ...wealthProfile } : null,
 
             // Purchase cost breakdown
             InterestCosts: interestCosts,
             SupplementalMaintenanceCosts: supplementalMaintenanceCosts,
+            CapitalExpenditure: totalCapex,
+            CapitalExpenditureDeductible: totalCapexDeductible,
+            CapexSchedule: capex,
+            PropertyType: condo ? 'condominium' : 'house',
+            Condominium: condo,
+            CondominiumCosts: totalCondominiumCosts,
+            SpecialAssessments: totalSpecialAssessments,
+            MortgageBreakPenalties: totalBreakPenalties,
+            EarlyRefinancing: refinancing,
+            MortgageRenewal: renewal,
+            MortgageRenewals: renewalEvents.map(({ trancheIndex, ...event }) => event),
+            MortgageRenewalFees: totalRenewalFees,
+            RenewalFundShareAtStart: initialRenewalFundShare,
+            MinusRenewalFundShare: -renewalFundShare,
             AmortizationCosts: amortizationCosts,
             RenovationExpenses: totalRenovations,
             AdditionalPurchaseExpensesOutput: additionalPurchaseCosts,
@@ -427,12 +1364,41 @@ class SwissRentBuyCalculator {
             TaxDifferenceToRental: taxDifferenceToRental,
             MinusPropertyValue: -propertyValueEnd,
             MortgageAtEndOfRelevantTimePeriod: mortgageAtEnd,
-            TotalPurchaseCost: totalPurchaseCost,
+            DownPaymentFunding: { ...funding },
+            DownPaymentWithdrawalTax: downPaymentWithdrawalTax,
+            Affordability: affordabilityCheck,
+            RentalIncome: rental,
+            PortfolioDepletion: SwissRentBuyCalculator.describePortfolioDepletion(depletion, {
+                depletionYear, unfundedLiability, borrowingInterest: totalBorrowingInterest,
+                lowestPortfolioValue: Math.min(investableInitial, ...yearly.map(y => y.portfolioValueEndOfYear))
+            }),
+            MinusRentalIncome: -totalRentalIncome,
+            AmortizationMethod: isIndirect ? 'indirect3a' : 'direct',
+            Pillar3aContributions: pillar3aContributions,
+            Pillar3aCapitalAtEnd: pillar3aBalance,
+            Pillar3aWithdrawalTax: pillar3aWithdrawalTax,
+            MinusPillar3aNetCapital: -pillar3aNetAtEnd,
+            OwnerWealthTax: totalOwnerWealthTax,
+            TotalPurchaseCost: sale ? totalPurchaseCostAfterSale : totalPurchaseCost,
+
+            // Mark-to-market vs net-after-sale comparison (sale figures null without liquidation)
+            SaleAtEnd: sale,
+            PropertySaleCosts: saleCosts,
+            TotalPurchaseCostMarkToMarket: totalPurchaseCost,
+            TotalPurchaseCostAfterSale: totalPurchaseCostAfterSale,
+            MarkToMarketResultValue: markToMarketResultValue,
+            NetAfterSaleResultValue: sale ? resultValue : null,
+
+            // Cash flows per year (nominal) and the metrics derived from them
+            CashFlows: cashFlows,
+            FinancialMetrics: financialMetrics,
 
             // Monthly expenses for buying scenario
             MonthlyInterestPayment,
             MonthlyAmortizationPayment,
             MonthlyMaintenanceCosts,
+            MonthlyCondominiumCosts,
+            MonthlyRentalIncome,
             TotalMonthlyExpenses,
 
             // Monthly expenses for renting scenario
@@ -445,6 +1411,8 @@ class SwissRentBuyCalculator {
             GeneralCostOfRental: generalCostOfRental,
             ExcludingYieldsOnAssets: (scenarioMode === 'equalConsumption') ? 0 : -yieldsOnAssets,
             ExcludingDownPayment: -downPaymentOutput,
+            ExcludingRetainedPensionCapitalGrowth: -retainedCapitalNetGrowth,
+            RenterWealthTax: totalRenterWealthTax,
             ExcludingSavingsContributions: (scenarioMode === 'equalSavings' || scenarioMode === 'cashflowParity') ? -savingsContributionsOutput : 0,
             TotalRentalCost: totalRentalCost,
             PurchaseCostsWithinObservationPeriod: purchaseCostsWithinObservationPeriod,
@@ -453,8 +1421,1097 @@ class SwissRentBuyCalculator {
             // Metadata and detailed breakdown
             MortgageAmount: Math.round(mortgageAmount),
             YearlyBreakdown: yearly,
+            PeriodBreakdown: periods,
+            CalculationResolution: SwissRentBuyCalculator.PERIODS_PER_YEAR[calculationResolution] ? calculationResolution : 'yearly',
+            PeriodsPerYear: periodsPerYear,
+            MortgageRatePath: appliedRatesByYear,
+            MortgageTranches: tranches.map(t => ({ ...t })),
             ScenarioMode: scenarioMode,
-            ErrorMsg: null
+            ValueBasis: 'nominal',
+            InflationRate: reportReal ? inflationRate : null,
+            RealTerms: realTerms,
+            // Input checks: the result is calculated regardless, ErrorMsg summarizes the errors
+            Validation: validation,
+            ErrorMsg: validation.valid ? null : Object.values(validation.errors).join(' ')
+        };
+    }
+
+    /**
+     * Decision and summary sentence for a result value (positive = buying is better)
+     * 
+     * @param {number} resultValue - Total rental cost minus total purchase cost in CHF
+     * @param {string} suffix - Optional text appended before the final period (e.g. " in today's CHF")
+     * @returns {Object} { decision: 'BUY'|'RENT'|'EVEN', compareText }
+     */
+    static describeResult(resultValue, suffix = '') {
+        const evenTolerance = 5000; // CHF tolerance for "even" decision
+        
+        let decision = 'EVEN';
+        let compareText = `Buying and renting are effectively even (within CHF ${evenTolerance.toLocaleString()}) over the relevant time frame${suffix}.`;
+        
+        if (Math.abs(resultValue) >= evenTolerance) {
+            if (resultValue > 0) {
+                decision = 'BUY';
+                compareText = `Buying your home will work out CHF ${resultValue.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')} cheaper than renting over the relevant time frame${suffix}.`;
+            } else {
+                decision = 'RENT';
+                compareText = `Renting is CHF ${Math.abs(resultValue).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')} cheaper than buying over the relevant time frame${suffix}.`;
+            }
+        }
+        return { decision, compareText };
+    }
+
+    /**
+     * Plausible ranges of the numeric inputs of calculate(). Values outside [min, max] are errors, values
+     * outside [warnMin, warnMax] warnings; unit formats the limits in messages ('chf', 'rate' or 'years').
+     * @returns {Object} Rules keyed by parameter name
+     */
+    static get VALIDATION_RULES() {
+        return {
+            purchasePrice: { label: 'Purchase price', unit: 'chf', min: 1, warnMin: 100000, warnMax: 20000000 },
+            downPayment: { label: 'Down payment', unit: 'chf', min: 0 },
+            mortgageRate: { label: 'Mortgage rate', unit: 'rate', min: -0.05, max: 0.25, warnMin: 0, warnMax: 0.08 },
+            annualMaintenanceCosts: { label: 'Maintenance costs', unit: 'chf', min: 0 },
+            amortizationYears: { label: 'Amortization period', unit: 'years', min: 1, max: 50, integer: true },
+            annualAmortization: { label: 'Annual amortization', unit: 'chf', min: 0 },
+            totalRenovations: { label: 'Renovations', unit: 'chf', min: 0 },
+            additionalPurchaseCosts: { label: 'Purchase costs', unit: 'chf', min: 0 },
+            imputedRentalValue: { label: 'Imputed rental value', unit: 'chf', min: 0 },
+            propertyTaxDeductions: { label: 'Property tax deductions', unit: 'chf', min: 0 },
+            marginalTaxRate: { label: 'Marginal tax rate', unit: 'rate', min: 0, max: 1, warnMax: 0.5 },
+            propertyAppreciationRate: { label: 'Property appreciation', unit: 'rate', min: -0.5, max: 0.5, warnMin: -0.05, warnMax: 0.08 },
+            monthlyRent: { label: 'Monthly rent', unit: 'chf', min: 0, warnMax: 50000 },
+            annualRentalCosts: { label: 'Rental supplemental costs', unit: 'chf', min: 0 },
+            investmentYieldRate: { label: 'Investment yield', unit: 'rate', min: -0.5, max: 0.5, warnMin: -0.05, warnMax: 0.12 },
+            termYears: { label: 'Term', unit: 'years', min: 1, max: 100, integer: true, warnMax: 50 },
+            pillar3aReturnRate: { label: 'Pillar 3a return', unit: 'rate', min: -0.5, max: 0.5 },
+            pillar3aAnnualCap: { label: 'Pillar 3a annual cap', unit: 'chf', min: 0 },
+            pillar3aWithdrawalTaxRate: { label: 'Pillar 3a withdrawal tax', unit: 'rate', min: 0, max: 1 },
+            pensionFundRate: { label: 'Pension fund interest', unit: 'rate', min: -0.5, max: 0.5 },
+            downPaymentWithdrawalTaxRate: { label: 'Withdrawal tax', unit: 'rate', min: 0, max: 1 },
+            discountRate: { label: 'Discount rate', unit: 'rate', min: -0.5, max: 1, optional: true },
+            inflationRate: { label: 'Inflation rate', unit: 'rate', min: -0.5, max: 0.5, warnMin: -0.02, warnMax: 0.1, optional: true }
+        };
+    }
+
+    /**
+     * Check the inputs of calculate() against plausible ranges and Swiss lending rules: at least 10% of the
+     * price in hard equity (not from the pension fund), a mortgage of at most 80% and the part above 2/3
+     * amortized within 15 years (the last two as warnings). Omitted inputs take the defaults and are not checked;
+     * the lending rules apply when the price and the down payment are given.
+     *
+     * @param {Object} params - Parameters as passed to calculate()
+     * @returns {Object} { valid, errors, warnings }: one message per parameter name
+     */
+    static validateInputs(params) {
+        const errors = {};
+        const warnings = {};
+        const source = params && typeof params === 'object' ? params : {};
+        const rules = SwissRentBuyCalculator.VALIDATION_RULES;
+        const format = (value, unit) => unit === 'rate' ? `${+(value * 100).toFixed(2)}%`
+            : unit === 'years' ? `${value} year${value === 1 ? '' : 's'}` : `CHF ${value.toLocaleString()}`;
+        const numbers = {};
+
+        Object.keys(rules).forEach(name => {
+            const rule = rules[name];
+            const value = source[name];
+            if (value === undefined || (rule.optional && value === null)) return;
+            const number = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+            if (!Number.isFinite(number)) {
+                errors[name] = `${rule.label} must be a number.`;
+            } else if (rule.integer && !Number.isInteger(number)) {
+                errors[name] = `${rule.label} must be a whole number of years.`;
+            } else if (rule.min !== undefined && number < rule.min) {
+                errors[name] = `${rule.label} must be at least ${format(rule.min, rule.unit)}.`;
+            } else if (rule.max !== undefined && number > rule.max) {
+                errors[name] = `${rule.label} must be at most ${format(rule.max, rule.unit)}.`;
+            } else {
+                numbers[name] = number;
+                if ((rule.warnMin !== undefined && number < rule.warnMin) || (rule.warnMax !== undefined && number > rule.warnMax)) {
+                    const range = rule.warnMin !== undefined && rule.warnMax !== undefined
+                        ? `${format(rule.warnMin, rule.unit)} to ${format(rule.warnMax, rule.unit)}`
+                        : rule.warnMin !== undefined ? `at least ${format(rule.warnMin, rule.unit)}` : `up to ${format(rule.warnMax, rule.unit)}`;
+                    warnings[name] = `${rule.label} of ${format(number, rule.unit)} is outside the usual range (${range}).`;
+                }
+            }
+        });
+
+        const choices = {
+            scenarioMode: ['equalConsumption', 'cashflowParity', 'equalSavings'],
+            calculationResolution: Object.keys(SwissRentBuyCalculator.PERIODS_PER_YEAR),
+            amortizationMethod: ['direct', 'indirect3a'],
+            propertyType: ['house', 'condominium']
+        };
+        Object.keys(choices).forEach(name => {
+            if (source[name] !== undefined && !choices[name].includes(source[name])) {
+                errors[name] = `Unknown ${name} '${source[name]}' (expected ${choices[name].join(', ')}).`;
+            }
+        });
+
+        // Lending rules on the price and the down payment
+        const price = numbers.purchasePrice;
+        const downPayment = numbers.downPayment;
+        if (price !== undefined && downPayment !== undefined) {
+            const funding = SwissRentBuyCalculator.resolveDownPaymentFunding(source.downPaymentFunding, downPayment);
+            const hardEquity = downPayment - funding.pensionWithdrawal - funding.pensionPledge;
+            const mortgage = price - (downPayment - funding.pensionPledge);
+            if (downPayment > price) {
+                errors.downPayment = `Down payment of ${format(downPayment, 'chf')} exceeds the purchase price.`;
+            } else if (hardEquity < price * 0.1) {
+                const field = hardEquity < downPayment ? 'downPaymentFunding' : 'downPayment';
+                errors[field] = `At least 10% of the price (${format(Math.ceil(price * 0.1), 'chf')}) must be hard equity not from the pension fund; ` +
+                                `${format(Math.round(hardEquity), 'chf')} is.`;
+            } else if (mortgage > price * 0.8 + 1) {
+                warnings.downPayment = `The mortgage is ${+(mortgage / price * 100).toFixed(1)}% of the price; lenders finance up to 80%.`;
+            }
+            const amortized = numbers.annualAmortization * Math.min(numbers.amortizationYears, 15);
+            const secondRank = mortgage - price * 2 / 3;
+            if (Number.isFinite(amortized) && downPayment <= price && secondRank > 1 && amortized < secondRank - 1) {
+                warnings.annualAmortization = `The mortgage above 2/3 of the price (${format(Math.round(secondRank), 'chf')}) must be ` +
+                                              `amortized within 15 years; ${format(Math.round(amortized), 'chf')} is.`;
+            }
+        }
+
+        return { valid: Object.keys(errors).length === 0, errors, warnings };
+    }
+
+    /**
+     * Result fields of a YearlyBreakdown row that are not CHF amounts and stay unchanged in real terms
+     * @returns {Set<string>} Field names (trancheBreakdown entries keep their 'rate')
+     */
+    static get NON_MONETARY_YEARLY_FIELDS() {
+        return new Set(['year', 'calendarYear', 'mortgageRateApplied', 'rentIndexFactor', 'referenceRate', 'ltvPercentEndOfYear', 'deflator']);
+    }
+
+    /**
+     * Copy of a YearlyBreakdown row with every CHF amount multiplied by the deflator.
+     * Cumulative and to-date fields are recomputed by calculate() and overwrite the deflated copies.
+     * 
+     * @param {Object} row - Nominal YearlyBreakdown row
+     * @param {number} deflator - Price level factor (1 + inflation)^-year
+     * @returns {Object} Deflated row
+     */
+    static deflateYearlyRow(row, deflator) {
+        const nonMonetary = SwissRentBuyCalculator.NON_MONETARY_YEARLY_FIELDS;
+        const deflated = {};
+        Object.keys(row).forEach(key => {
+            const value = row[key];
+            if (key === 'trancheBreakdown') {
+                deflated[key] = value.map(tranche => ({
+                    ...tranche,
+                    startingBalance: tranche.startingBalance * deflator,
+                    interest: tranche.interest * deflator,
+                    amortization: tranche.amortization * deflator,
+                    endingBalance: tranche.endingBalance * deflator
+                }));
+            } else {
+                deflated[key] = typeof value === 'number' && !nonMonetary.has(key) ? value * deflator : value;
+            }
+        });
+        return deflated;
+    }
+
+    /**
+     * Real-terms view of a result: the totals, cost breakdown and YearlyBreakdown are replaced by their values
+     * in today's CHF, everything else (inputs, monthly year-1 expenses, PeriodBreakdown) stays nominal.
+     * Returns the result unchanged when it was calculated without an inflation rate.
+     * 
+     * @param {Object} result - Result of calculate() with inflationRate set
+     * @returns {Object} Result with ValueBasis 'real'
+     */
+    static inRealTerms(result) {
+        if (!result || !result.RealTerms) return result;
+        const { InflationRate, ...realFields } = result.RealTerms;
+        const { decision, compareText } = SwissRentBuyCalculator.describeResult(realFields.ResultValue, " in today's CHF");
+        return {
+            ...result,
+            ...realFields,
+            CompareText: compareText,
+            Decision: decision,
+            ValueBasis: 'real'
+        };
+    }
+
+    /**
+     * Calendar year of year 1 when no startYear is given (reform year, capex purchase year)
+     * @returns {number} Default start year
+     */
+    static get DEFAULT_START_YEAR() {
+        return 2026;
+    }
+
+    /**
+     * Number of engine periods per year for each supported calculation resolution
+     * @returns {Object} Map of resolution name to periods per year
+     */
+    static get PERIODS_PER_YEAR() {
+        return { yearly: 1, quarterly: 4, monthly: 12 };
+    }
+
+    /**
+     * Resolve a mortgage rate path into the annual rate applied in each year of the term.
+     * 
+     * Accepted path formats:
+     * - Array of decimals, one per year (index 0 = year 1); years beyond the array keep the last rate
+     * - Array of segments { fromYear, rate } or { fromYear, saron, margin } (SARON mortgage = SARON + margin);
+     *   each segment applies from fromYear until the next segment, years before the first segment use baseRate
+     * 
+     * Missing, empty or non-numeric entries fall back to baseRate so a flat rate is always the default.
+     * 
+     * @param {Array<number|Object>|null} path - Rate path as described above
+     * @param {number} baseRate - Flat annual mortgage rate as decimal
+     * @param {number} termYears - Number of years to resolve
+     * @returns {number[]} Annual mortgage rate as decimal for years 1..termYears
+     */
+    static resolveMortgageRatePath(path, baseRate, termYears) {
+        const years = Math.max(0, Math.floor(termYears) || 0);
+        const rates = new Array(years).fill(baseRate);
+        if (!Array.isArray(path) || path.length === 0) return rates;
+
+        if (path.every(entry => typeof entry === 'number')) {
+            // Per-year array: last entry carries forward
+            for (let i = 0; i < years; i++) {
+                const rate = path[Math.min(i, path.length - 1)];
+                rates[i] = Number.isFinite(rate) ? rate : baseRate;
+            }
+            return rates;
+        }
+
+        // Piecewise segments, applied in order of their start year
+        const segments = path
+            .filter(seg => seg && typeof seg === 'object')
+            .map(seg => {
+                const isSaron = seg.type === 'saron' || (seg.rate === undefined && seg.saron !== undefined);
+                const rate = isSaron ? (Number(seg.saron) || 0) + (Number(seg.margin) || 0) : Number(seg.rate);
+                return { fromYear: Math.max(1, Math.floor(Number(seg.fromYear)) || 1), rate };
+            })
+            .filter(seg => Number.isFinite(seg.rate))
+            .sort((a, b) => a.fromYear - b.fromYear);
+        for (const seg of segments) {
+            for (let year = seg.fromYear; year <= years; year++) {
+                rates[year - 1] = seg.rate;
+            }
+        }
+        return rates;
+    }
+
+    /**
+     * Market shift of the mortgage rates per year (see mortgageRateShift in calculate())
+     *
+     * @param {number|Array<number|Object>|null} shift - One decimal for every year or a path in the format of mortgageRatePath
+     * @param {number} years - Number of years to resolve
+     * @returns {number[]} Shift as decimal for years 1..years (zeros without a shift)
+     */
+    static resolveMortgageRateShift(shift, years) {
+        if (Array.isArray(shift)) return SwissRentBuyCalculator.resolveMortgageRatePath(shift, 0, years);
+        const value = shift !== null && shift !== '' && Number.isFinite(Number(shift)) ? Number(shift) : 0;
+        return new Array(Math.max(0, Math.floor(years) || 0)).fill(value);
+    }
+
+    /**
+     * Capital expenditure per year of the term from a component renewal schedule. A component is renewed every
+     * lifespan years counted from its last renewal (the building year unless given); renewals due in a year of the
+     * term (year 1 = purchase year) cost the component's cost grown by costGrowthRate since the purchase year.
+     *
+     * @param {Object|null} schedule - { buildingYear, purchaseYear, costGrowthRate, components } as described in calculate()
+     * @param {number} termYears - Analysis period in years
+     * @param {number} startYear - Default purchase year (default: DEFAULT_START_YEAR)
+     * @returns {Object|null} { buildingYear, purchaseYear, costGrowthRate, components, capexByYear, deductibleByYear,
+     *          commonByYear, commonDeductibleByYear, energyDeductibleByYear, commonEnergyDeductibleByYear, renewalsByYear }
+     *          or null without a schedule or valid components. The common* arrays hold the part of the totals from
+     *          components flagged common (whole-building cost), the energy* arrays the deductible share of components
+     *          flagged energy.
+     */
+    static resolveCapexSchedule(schedule, termYears, startYear = null) {
+        if (!schedule || typeof schedule !== 'object' || !Array.isArray(schedule.components)) return null;
+        const years = Math.max(0, Math.floor(termYears) || 0);
+        const numberOr = (value, fallback) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))
+            ? Number(value) : fallback;
+        const purchaseYear = Math.round(numberOr(schedule.purchaseYear, numberOr(startYear, SwissRentBuyCalculator.DEFAULT_START_YEAR)));
+        const buildingYear = Math.round(numberOr(schedule.buildingYear, purchaseYear));
+        const costGrowthRate = numberOr(schedule.costGrowthRate, 0);
+        const components = schedule.components
+            .map((component, i) => ({
+                name: component.name || `Component ${i + 1}`,
+                lifespan: Math.round(numberOr(component.lifespan, 0)),
+                cost: Math.max(0, numberOr(component.cost, 0)),
+                lastRenewalYear: Math.round(numberOr(component.lastRenewalYear, buildingYear)),
+                valuePreservingShare: Math.min(1, Math.max(0, numberOr(component.valuePreservingShare, numberOr(schedule.valuePreservingShare, 1)))),
+                common: component.common === true,
+                energy: component.energy === true
+            }))
+            .filter(component => component.lifespan > 0 && component.cost > 0);
+        if (components.length === 0) return null;
+
+        const capexByYear = new Array(years).fill(0);
+        const deductibleByYear = new Array(years).fill(0);
+        const commonByYear = new Array(years).fill(0);
+        const commonDeductibleByYear = new Array(years).fill(0);
+        const energyDeductibleByYear = new Array(years).fill(0);
+        const commonEnergyDeductibleByYear = new Array(years).fill(0);
+        const renewalsByYear = Array.from({ length: years }, () => []);
+        for (let i = 0; i < years; i++) {
+            const calendarYear = purchaseYear + i;
+            const costFactor = Math.pow(1 + costGrowthRate, i);
+            components.forEach(component => {
+                const age = calendarYear - component.lastRenewalYear;
+                if (age > 0 && age % component.lifespan === 0) {
+                    const cost = component.cost * costFactor;
+                    capexByYear[i] += cost;
+                    deductibleByYear[i] += cost * component.valuePreservingShare;
+                    if (component.common) {
+                        commonByYear[i] += cost;
+                        commonDeductibleByYear[i] += cost * component.valuePreservingShare;
+                    }
+                    if (component.energy) {
+                        energyDeductibleByYear[i] += cost * component.valuePreservingShare;
+                        if (component.common) commonEnergyDeductibleByYear[i] += cost * component.valuePreservingShare;
+                    }
+                    renewalsByYear[i].push(component.name);
+                }
+            });
+        }
+        return {
+            buildingYear, purchaseYear, costGrowthRate, components,
+            capexByYear, deductibleByYear, commonByYear, commonDeductibleByYear,
+            energyDeductibleByYear, commonEnergyDeductibleByYear, renewalsByYear
+        };
+    }
+
+    /**
+     * Resolve the post-reform interest deduction for first-time buyers
+     *
+     * @param {boolean|Object|null} option - true or { maxDeduction, years }; null/false for none
+     * @param {Object|null} taxProfile - Resolved income tax profile (civil status sets the default cap), if any
+     * @returns {Object|null} { maxDeduction, years } or null
+     */
+    static resolveFirstTimeBuyerDeduction(option, taxProfile) {
+        if (!option) return null;
+        const options = typeof option === 'object' ? option : {};
+        const maxDeduction = Number(options.maxDeduction);
+        const years = Math.round(Number(options.years));
+        return {
+            // CHF 10,000 for married couples, CHF 5,000 otherwise (flat model: married)
+            maxDeduction: Number.isFinite(maxDeduction) && options.maxDeduction !== undefined && options.maxDeduction !== null && options.maxDeduction !== ''
+                ? Math.max(0, maxDeduction)
+                : (taxProfile && taxProfile.civilStatus === 'single' ? 5000 : 10000),
+            years: Number.isFinite(years) && years > 0 ? years : 10
+        };
+    }
+
+    /**
+     * Resolve the condominium (Stockwerkeigentum) cost structure; null for a house
+     *
+     * @param {string} propertyType - 'house' or 'condominium'
+     * @param {Object|null} condominium - Condominium options as described in calculate()
+     * @param {number} purchasePrice - Purchase price in CHF (basis for the default fund contribution)
+     * @returns {Object|null} { ownershipShare, renewalFundBalance, renewalFundShareAtStart, renewalFundContribution,
+     *          commonCharges, commonChargesDeductibleShare, renewalFundReturnRate }
+     */
+    static resolveCondominium(propertyType, condominium, purchasePrice) {
+        if (propertyType !== 'condominium') return null;
+        const options = condominium && typeof condominium === 'object' ? condominium : {};
+        const numberOr = (value, fallback) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))
+            ? Number(value) : fallback;
+        const ownershipShare = Math.min(1, Math.max(0, numberOr(options.ownershipShare, 0.05)));
+        const renewalFundBalance = Math.max(0, numberOr(options.renewalFundBalance, 0));
+        return {
+            ownershipShare,
+            renewalFundBalance,
+            // The owner's share of the existing fund, capped at the purchase price it is paid with
+            renewalFundShareAtStart: Math.min(renewalFundBalance * ownershipShare, Math.max(0, purchasePrice)),
+            renewalFundContribution: Math.max(0, numberOr(options.renewalFundContribution, purchasePrice * 0.0025)),
+            commonCharges: Math.max(0, numberOr(options.commonCharges, 0)),
+            commonChargesDeductibleShare: Math.min(1, Math.max(0, numberOr(options.commonChargesDeductibleShare, 0))),
+            renewalFundReturnRate: numberOr(options.renewalFundReturnRate, 0)
+        };
+    }
+
+    /**
+     * Rent and rental cost index per year under Swiss tenancy law adjustments. Year 1 is the base (factor 1);
+     * each following year applies the growth of that year to the previous factor.
+     *
+     * @param {Object|null} indexation - { type: 'fixed'|'cpi'|'referenceRate'|'index', ... } as described in calculate()
+     * @param {number} termYears - Analysis period in years
+     * @returns {Object} { type, rentFactors, rentalCostsFactors, referenceRates } (type 'none' without indexation)
+     */
+    static resolveRentIndexation(indexation, termYears) {
+        const years = Math.max(0, Math.floor(termYears) || 0);
+        const type = indexation && typeof indexation === 'object' ? indexation.type : null;
+        const perYear = (value, fallback) => Array.isArray(value)
+            ? SwissRentBuyCalculator.resolveMortgageRatePath(value, fallback, years)
+            : new Array(years).fill(Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : fallback);
+        const share = (value, fallback) => Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : fallback;
+
+        let rentGrowth;
+        let rentalCostsGrowth;
+        let referenceRates = null;
+        if (type === 'fixed') {
+            const rate = share(indexation.rate, 0.01);
+            rentGrowth = () => 1 + rate;
+            rentalCostsGrowth = rentGrowth;
+        } else if (type === 'cpi') {
+            const cpi = perYear(indexation.cpiRate, 0.01);
+            const cpiShare = share(indexation.cpiShare, 1);
+            rentGrowth = i => 1 + cpiShare * cpi[i];
+            rentalCostsGrowth = i => 1 + cpi[i];
+        } else if (type === 'referenceRate') {
+            const cpi = perYear(indexation.cpiRate, 0.01);
+            const cpiShare = share(indexation.cpiShare, 0.4);
+            const costIncrease = share(indexation.costIncreaseRate, 0.005);
+            referenceRates = perYear(indexation.referenceRates, 0.0125);
+            rentGrowth = i => {
+                // Reference rate moves in 0.25pp steps: +3% rent per step up, -2.91% per step down
+                const steps = (referenceRates[i] - referenceRates[i - 1]) / 0.0025;
+                const referenceStep = steps >= 0 ? Math.pow(1.03, steps) : Math.pow(1 - 0.0291, -steps);
+                return referenceStep * (1 + cpiShare * cpi[i]) * (1 + costIncrease);
+            };
+            rentalCostsGrowth = i => 1 + cpi[i];
+        } else if (type === 'index') {
+            // Observed rent index (e.g. historical rents of sitting tenants); rental costs follow CPI
+            const rentRates = perYear(indexation.rentRates, 0.01);
+            const cpi = perYear(indexation.cpiRate, 0.01);
+            rentGrowth = i => 1 + rentRates[i];
+            rentalCostsGrowth = i => 1 + cpi[i];
+        } else {
+            return { type: 'none', rentFactors: new Array(years).fill(1), rentalCostsFactors: new Array(years).fill(1), referenceRates: null };
+        }
+
+        const rentFactors = [];
+        const rentalCostsFactors = [];
+        for (let i = 0; i < years; i++) {
+            rentFactors.push(i === 0 ? 1 : rentFactors[i - 1] * rentGrowth(i));
+            rentalCostsFactors.push(i === 0 ? 1 : rentalCostsFactors[i - 1] * rentalCostsGrowth(i));
+        }
+        return { type, rentFactors, rentalCostsFactors, referenceRates };
+    }
+
+    /**
+     * Split the down payment into funding sources. Amounts are capped so they never exceed the
+     * down payment (3a first, then pension withdrawal, then pension pledge); the remainder is cash.
+     * 
+     * @param {Object|null} funding - { pillar3a, pensionWithdrawal, pensionPledge } in CHF
+     * @param {number} downPayment - Total down payment in CHF
+     * @returns {Object} { cash, pillar3a, pensionWithdrawal, pensionPledge } in CHF
+     */
+    static resolveDownPaymentFunding(funding, downPayment) {
+        const source = funding && typeof funding === 'object' ? funding : {};
+        let available = Math.max(0, downPayment);
+        const take = amount => {
+            const taken = Math.min(Math.max(0, Number(amount) || 0), available);
+            available -= taken;
+            return taken;
+        };
+        const pillar3a = take(source.pillar3a);
+        const pensionWithdrawal = take(source.pensionWithdrawal);
+        const pensionPledge = take(source.pensionPledge);
+        return { cash: downPayment - pillar3a - pensionWithdrawal - pensionPledge, pillar3a, pensionWithdrawal, pensionPledge };
+    }
+
+    /**
+     * Growth of the 3a and pension capital a renter keeps (instead of withdrawing it for the down payment),
+     * net of the capital withdrawal tax that is deferred until it is eventually withdrawn
+     * 
+     * @param {Object} funding - Resolved down payment funding
+     * @param {number} years - Holding period in years
+     * @param {number} pillar3aRate - Annual 3a return as decimal
+     * @param {number} pensionRate - Annual pension fund interest as decimal
+     * @param {number} withdrawalTaxRate - Capital withdrawal tax as decimal
+     * @returns {number} Net growth in CHF (negative when the tax exceeds the growth)
+     */
+    static retainedCapitalNetGrowth(funding, years, pillar3aRate, pensionRate, withdrawalTaxRate) {
+        const withdrawn = funding.pillar3a + funding.pensionWithdrawal;
+        if (withdrawn === 0) return 0;
+        const gross = funding.pillar3a * Math.pow(1 + pillar3aRate, years) +
+                      funding.pensionWithdrawal * Math.pow(1 + pensionRate, years);
+        return (gross - gross * withdrawalTaxRate) - withdrawn;
+    }
+
+    /**
+     * Resolve the lender affordability rules; null when no household income is given
+     *
+     * @param {Object|null} affordability - { householdIncome, stressRate, maintenanceRate, maxIncomeRatio,
+     *        requiredAmortizationYears, maxLtv } as described in calculate()
+     * @param {Object|null} rentalIncome - Rental income of a let part (raw or resolved, see resolveRentalIncome);
+     *        lenders add its income share of the rent to the income and cap a separate unit's share at its LTV
+     * @returns {Object|null} Resolved rules with Swiss bank defaults (rentalIncomeCounted in CHF), or null
+     */
+    static resolveAffordability(affordability, rentalIncome = null) {
+        if (!affordability || typeof affordability !== 'object') return null;
+        const numberOr = (value, fallback) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))
+            ? Number(value) : fallback;
+        const householdIncome = numberOr(affordability.householdIncome, null);
+        if (householdIncome === null) return null;
+        const maxIncomeRatio = numberOr(affordability.maxIncomeRatio, 1 / 3);
+        const maxLtv = Math.min(1, Math.max(0, numberOr(affordability.maxLtv, 0.8)));
+        const rental = SwissRentBuyCalculator.resolveRentalIncome(rentalIncome);
+        const rentalIncomeCounted = rental ? rental.monthlyRent * 12 * rental.lenderIncomeShare : 0;
+        return {
+            householdIncome: Math.max(0, householdIncome) + rentalIncomeCounted,
+            rentalIncomeCounted,
+            stressRate: Math.max(0, numberOr(affordability.stressRate, 0.05)),
+            maintenanceRate: Math.max(0, numberOr(affordability.maintenanceRate, 0.01)),
+            maxIncomeRatio: maxIncomeRatio > 0 ? maxIncomeRatio : 1 / 3,
+            requiredAmortizationYears: Math.max(1, numberOr(affordability.requiredAmortizationYears, 15)),
+            // Income property: the let share of a separate unit is financed up to the lower income-property cap
+            maxLtv: rental && rental.separateUnit
+                ? maxLtv * (1 - rental.rentedShare) + Math.min(maxLtv, rental.incomePropertyMaxLtv) * rental.rentedShare
+                : maxLtv
+        };
+    }
+
+    /**
+     * Resolve the owner-side rental income of a let part of the property; null without a rent
+     *
+     * @param {Object|null} rentalIncome - { monthlyRent, rentedShare, vacancyRate, annualMaintenance, separateUnit,
+     *        lenderIncomeShare, incomePropertyMaxLtv } as described in calculate()
+     * @returns {Object|null} Resolved rental income with defaults (shares and rates as decimals), or null
+     */
+    static resolveRentalIncome(rentalIncome) {
+        if (!rentalIncome || typeof rentalIncome !== 'object') return null;
+        const numberOr = (value, fallback) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))
+            ? Number(value) : fallback;
+        const share = (value, fallback) => Math.min(1, Math.max(0, numberOr(value, fallback)));
+        const monthlyRent = numberOr(rentalIncome.monthlyRent, 0);
+        if (monthlyRent <= 0) return null;
+        return {
+            monthlyRent,
+            rentedShare: share(rentalIncome.rentedShare, 0),
+            vacancyRate: share(rentalIncome.vacancyRate, 0.02),
+            annualMaintenance: Math.max(0, numberOr(rentalIncome.annualMaintenance, 0)),
+            separateUnit: !!rentalIncome.separateUnit,
+            lenderIncomeShare: share(rentalIncome.lenderIncomeShare, 0.8),
+            incomePropertyMaxLtv: share(rentalIncome.incomePropertyMaxLtv, 0.75)
+        };
+    }
+
+    /**
+     * Lender affordability test (Tragbarkeit): imputed interest, maintenance and the amortization required to
+     * reach 2/3 loan-to-value within the required period, compared with the gross household income
+     *
+     * @param {number} purchasePrice - Purchase price in CHF
+     * @param {number} mortgageAmount - Initial mortgage in CHF
+     * @param {Object} rules - Resolved rules (see resolveAffordability)
+     * @returns {Object} { householdIncome, imputedInterest, imputedMaintenance, requiredAmortization, annualCost,
+     *          incomeRatio, maxIncomeRatio, maxAnnualCost, loanToValue, pass }
+     */
+    static checkAffordability(purchasePrice, mortgageAmount, rules) {
+        const mortgage = Math.max(0, mortgageAmount);
+        const imputedInterest = mortgage * rules.stressRate;
+        const imputedMaintenance = Math.max(0, purchasePrice) * rules.maintenanceRate;
+        // Second-rank mortgage above 2/3 of the price must be paid off within the required period
+        const requiredAmortization = Math.max(0, mortgage - purchasePrice * (2 / 3)) / rules.requiredAmortizationYears;
+        const annualCost = imputedInterest + imputedMaintenance + requiredAmortization;
+        const maxAnnualCost = rules.householdIncome * rules.maxIncomeRatio;
+        return {
+            householdIncome: rules.householdIncome,
+            imputedInterest,
+            imputedMaintenance,
+            requiredAmortization,
+            annualCost,
+            incomeRatio: rules.householdIncome > 0 ? annualCost / rules.householdIncome : (annualCost > 0 ? Infinity : 0),
+            maxIncomeRatio: rules.maxIncomeRatio,
+            maxAnnualCost,
+            loanToValue: purchasePrice > 0 ? mortgage / purchasePrice : 0,
+            pass: annualCost <= maxAnnualCost + 1e-6
+        };
+    }
+
+    /**
+     * Highest purchase price a lender would finance with the given equity: the mortgage (price - equity) must
+     * pass the affordability test and stay within the loan-to-value cap. The affordability cost rises
+     * piecewise linearly with the price (no mortgage up to the equity, no amortization up to 3x the equity).
+     *
+     * @param {number} equity - Own funds towards the price in CHF (down payment without pension pledges)
+     * @param {Object} rules - Resolved rules (see resolveAffordability)
+     * @returns {number} Maximum financeable price in CHF (rounded down)
+     */
+    static maxFinanceablePrice(equity, rules) {
+        const ownFunds = Math.max(0, equity);
+        const maxAnnualCost = rules.householdIncome * rules.maxIncomeRatio;
+        const cost = price => SwissRentBuyCalculator.checkAffordability(price, price - ownFunds, rules).annualCost;
+        const breakpoints = [0, ownFunds, ownFunds * 3];
+        const slopes = [
+            rules.maintenanceRate,
+            rules.maintenanceRate + rules.stressRate,
+            rules.maintenanceRate + rules.stressRate + (1 / 3) / rules.requiredAmortizationYears
+        ];
+        let affordablePrice = Infinity;
+        for (let i = breakpoints.length - 1; i >= 0; i--) {
+            const start = breakpoints[i];
+            if (cost(start) > maxAnnualCost) continue;
+            const end = i + 1 < breakpoints.length ? breakpoints[i + 1] : Infinity;
+            affordablePrice = slopes[i] > 0 ? Math.min(end, start + (maxAnnualCost - cost(start)) / slopes[i]) : end;
+            break;
+        }
+        const ltvCapPrice = rules.maxLtv < 1 ? ownFunds / (1 - rules.maxLtv) : Infinity;
+        return Math.floor(Math.min(affordablePrice, ltvCapPrice));
+    }
+
+    /**
+     * Normalize mortgage tranches to CHF amounts that add up to the mortgage amount.
+     * 
+     * Tranches may give an absolute amount (CHF) or a share (decimal); both are used as weights
+     * and scaled to mortgageAmount. Fixed tranches use rate, SARON tranches saron + margin.
+     * Without maturityYears a tranche keeps its rate for the whole term; renewalRate defaults
+     * to the initial rate.
+     * 
+     * @param {Array<Object>|null} tranches - Tranche definitions as passed to calculate()
+     * @param {number} mortgageAmount - Total mortgage amount in CHF
+     * @returns {Array<Object>|null} Resolved tranches, or null when no usable tranche is given
+     */
+    static resolveMortgageTranches(tranches, mortgageAmount) {
+        if (!Array.isArray(tranches)) return null;
+        const resolved = tranches
+            .filter(t => t && typeof t === 'object')
+            .map((t, i) => {
+                const rateType = t.rateType === 'saron' ? 'saron' : 'fixed';
+                const initialRate = rateType === 'saron'
+                    ? (Number(t.saron) || 0) + (Number(t.margin) || 0)
+                    : (Number(t.rate) || 0);
+                const maturity = Number(t.maturityYears);
+                const renewal = Number(t.renewalRate);
+                return {
+                    name: t.name || `Tranche ${i + 1}`,
+                    rateType,
+                    weight: Math.max(0, Number(t.amount !== undefined ? t.amount : t.share) || 0),
+                    initialRate,
+                    maturityYears: Number.isFinite(maturity) && maturity > 0 ? Math.floor(maturity) : null,
+                    renewalRate: t.renewalRate !== undefined && t.renewalRate !== null && Number.isFinite(renewal) ? renewal : initialRate
+                };
+            });
+        const totalWeight = resolved.reduce((sum, t) => sum + t.weight, 0);
+        if (resolved.length === 0 || totalWeight <= 0) return null;
+        return resolved.map(({ weight, ...t }) => ({ ...t, amount: mortgageAmount * (weight / totalWeight) }));
+    }
+
+    /**
+     * Annual rate of a resolved tranche in a given year: the initial rate until maturity,
+     * the assumed renewal rate afterwards
+     * 
+     * @param {Object} tranche - Tranche as returned by resolveMortgageTranches()
+     * @param {number} year - Year of the analysis period (1-based)
+     * @returns {number} Annual rate as decimal
+     */
+    static trancheRateForYear(tranche, year) {
+        if (tranche.maturityYears !== null && year > tranche.maturityYears) return tranche.renewalRate;
+        return tranche.initialRate;
+    }
+
+    /**
+     * Balance-weighted average of tranche rates; falls back to the simple average once
+     * all balances are repaid
+     * 
+     * @param {number[]} balances - Tranche balances in CHF
+     * @param {number[]} rates - Tranche rates as decimals
+     * @returns {number} Blended annual rate as decimal
+     */
+    static blendedRate(balances, rates) {
+        if (rates.length === 1) return rates[0];
+        const total = balances.reduce((sum, b) => sum + b, 0);
+        if (total <= 0) return rates.reduce((sum, r) => sum + r, 0) / rates.length;
+        return balances.reduce((sum, b, i) => sum + b * rates[i], 0) / total;
+    }
+
+    /**
+     * Convert an annual rate into the equivalent compounding rate per period.
+     * Yearly resolution returns the annual rate unchanged so results stay bit-identical
+     * to the classic annual loop.
+     * 
+     * @param {number} annualRate - Annual rate as decimal
+     * @param {number} periodsPerYear - Number of periods per year (1, 4 or 12)
+     * @returns {number} Equivalent rate per period as decimal
+     */
+    static periodicRate(annualRate, periodsPerYear) {
+        if (periodsPerYear === 1) return annualRate;
+        return Math.pow(1 + annualRate, 1 / periodsPerYear) - 1;
+    }
+
+    /**
+     * Break penalty (Vorfälligkeitsentschädigung) for repaying a fixed rate before maturity: the lender's lost
+     * margin, i.e. the balance times the difference between the contract rate and the rate at which it can
+     * reinvest the money, for each remaining year of the fixed term (nothing when rates have risen)
+     *
+     * @param {number} balance - Balance repaid early in CHF
+     * @param {number} contractRate - Fixed rate of the mortgage as decimal
+     * @param {number} reinvestmentRate - Lender's reinvestment rate for the remaining term as decimal
+     * @param {number} remainingYears - Years left until maturity
+     * @returns {number} Break penalty in CHF
+     */
+    static breakPenalty(balance, contractRate, reinvestmentRate, remainingYears) {
+        return Math.max(0, balance) * Math.max(0, contractRate - reinvestmentRate) * Math.max(0, remainingYears);
+    }
+
+    /**
+     * Normalize the early refinancing option
+     *
+     * @param {Object|null} option - { year, rate, fixedTermYears } as described in calculate()
+     * @param {number} termYears - Analysis period in years
+     * @returns {Object|null} { year, rate, fixedTermYears } (rate and fixedTermYears may be null), or null when the
+     *          refinancing year is not within the term (before its last year)
+     */
+    static resolveEarlyRefinancing(option, termYears) {
+        if (!option || typeof option !== 'object') return null;
+        const year = Math.floor(Number(option.year));
+        if (!Number.isFinite(year) || year < 1 || year >= termYears) return null;
+        const rate = Number(option.rate);
+        const fixedTermYears = Math.floor(Number(option.fixedTermYears));
+        return {
+            year,
+            rate: option.rate !== null && option.rate !== undefined && option.rate !== '' && Number.isFinite(rate) ? rate : null,
+            fixedTermYears: fixedTermYears > 0 ? fixedTermYears : null
+        };
+    }
+
+    /**
+     * Normalize the mortgage renewal option
+     *
+     * @param {Object|null} option - { rates, rateShock, fixedTermYears, fee, feeRate } as described in calculate()
+     * @returns {Object|null} { rates (array, empty = default rates), rateShock, fixedTermYears (null = none), fee,
+     *          feeRate }, or null without the option
+     */
+    static resolveMortgageRenewal(option) {
+        if (!option || typeof option !== 'object') return null;
+        const numberOr = (value, fallback) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))
+            ? Number(value) : fallback;
+        const rates = Array.isArray(option.rates) ? option.rates : [option.rates];
+        const fixedTermYears = Math.floor(Number(option.fixedTermYears));
+        return {
+            rates: rates.map(rate => numberOr(rate, null)).filter(rate => rate !== null),
+            rateShock: numberOr(option.rateShock, 0),
+            fixedTermYears: fixedTermYears > 0 ? fixedTermYears : null,
+            fee: Math.max(0, numberOr(option.fee, 0)),
+            feeRate: Math.max(0, numberOr(option.feeRate, 0))
+        };
+    }
+
+    /**
+     * Normalize the portfolio depletion rule
+     *
+     * @param {string|Object|null} option - 'borrow', 'stop' or { mode, borrowingRate } as described in calculate()
+     * @returns {Object} { mode: 'borrow'|'stop', borrowingRate (null = the investment return) }
+     */
+    static resolvePortfolioDepletion(option) {
+        const settings = typeof option === 'string' ? { mode: option } : (option && typeof option === 'object' ? option : {});
+        const rate = Number(settings.borrowingRate);
+        const mode = settings.mode === 'stop' ? 'stop' : 'borrow';
+        return {
+            mode,
+            borrowingRate: mode === 'borrow' && settings.borrowingRate !== null && settings.borrowingRate !== undefined &&
+                settings.borrowingRate !== '' && Number.isFinite(rate) ? rate : null
+        };
+    }
+
+    /**
+     * Summarize a depleted renter portfolio with a warning for the result
+     *
+     * @param {Object} depletion - Resolved rule (see resolvePortfolioDepletion)
+     * @param {Object} outcome - { depletionYear, unfundedLiability, borrowingInterest, lowestPortfolioValue }
+     * @returns {Object} { mode, borrowingRate, depleted, depletionYear, unfundedLiability, borrowingInterest,
+     *          lowestPortfolioValue, warning (null when the portfolio lasted) }
+     */
+    static describePortfolioDepletion(depletion, outcome) {
+        const depleted = outcome.depletionYear !== null;
+        const chf = value => `CHF ${Math.round(value).toLocaleString()}`;
+        let warning = null;
+        if (depleted && depletion.mode === 'stop') {
+            warning = `The renter's portfolio is depleted in year ${outcome.depletionYear}: withdrawals stop at zero, ` +
+                      `leaving ${chf(outcome.unfundedLiability)} of unfunded rent at the end of the term.`;
+        } else if (depleted) {
+            const rate = depletion.borrowingRate !== null ? `${(depletion.borrowingRate * 100).toFixed(2)}%` : 'the investment return';
+            warning = `The renter's portfolio is depleted in year ${outcome.depletionYear}: further withdrawals are borrowed ` +
+                      `at ${rate} (${chf(outcome.borrowingInterest)} interest, lowest value ${chf(outcome.lowestPortfolioValue)}).`;
+        }
+        return {
+            mode: depletion.mode,
+            borrowingRate: depletion.borrowingRate,
+            depleted,
+            depletionYear: outcome.depletionYear,
+            unfundedLiability: outcome.unfundedLiability,
+            borrowingInterest: outcome.borrowingInterest,
+            lowestPortfolioValue: outcome.lowestPortfolioValue,
+            warning
+        };
+    }
+
+    /**
+     * Net present value of annual cash flows (index 0 = today, undiscounted)
+     *
+     * @param {number} rate - Discount rate per year as decimal
+     * @param {number[]} cashFlows - Cash flow at the end of each year
+     * @returns {number} Net present value in CHF
+     */
+    static npv(rate, cashFlows) {
+        return cashFlows.reduce((sum, flow, t) => sum + flow / Math.pow(1 + rate, t), 0);
+    }
+
+    /**
+     * Internal rate of return of annual cash flows: the rate at which their net present value is zero.
+     * Brackets are scanned outward from 0%, so with several sign changes the root closest to 0% is returned.
+     *
+     * @param {number[]} cashFlows - Cash flow at the end of each year (index 0 = today)
+     * @returns {number|null} Rate per year as decimal, or null without both an outflow and an inflow or a sign change
+     */
+    static irr(cashFlows) {
+        if (!cashFlows.some(flow => flow < 0) || !cashFlows.some(flow => flow > 0)) return null;
+        const value = rate => SwissRentBuyCalculator.npv(rate, cashFlows);
+        const grid = [0, 0.02, -0.02, 0.05, -0.05, 0.1, -0.1, 0.2, -0.2, 0.5, -0.5, 1, -0.9, 2, -0.99, 5, 10];
+        const points = [...grid].sort((a, b) => a - b).map(rate => ({ rate, npv: value(rate) }));
+        const brackets = [];
+        for (let i = 1; i < points.length; i++) {
+            if (points[i - 1].npv === 0) return points[i - 1].rate;
+            if (Math.sign(points[i - 1].npv) !== Math.sign(points[i].npv)) brackets.push([points[i - 1], points[i]]);
+        }
+        if (brackets.length === 0) return points[points.length - 1].npv === 0 ? points[points.length - 1].rate : null;
+        brackets.sort((a, b) => Math.abs(a[0].rate + a[1].rate) - Math.abs(b[0].rate + b[1].rate));
+        let [low, high] = brackets[0];
+        for (let i = 0; i < 200 && high.rate - low.rate > 1e-12; i++) {
+            const rate = (low.rate + high.rate) / 2;
+            const mid = { rate, npv: value(rate) };
+            if (Math.sign(mid.npv) === Math.sign(low.npv)) low = mid; else high = mid;
+        }
+        return (low.rate + high.rate) / 2;
+    }
+
+    /**
+     * Cumulative growth factors of a series of annual rates
+     *
+     * @param {number[]} rates - Annual rates as decimals for years 1..n
+     * @returns {number[]} Factor at the end of year t for t = 0..n (1 at t = 0)
+     */
+    static growthFactors(rates) {
+        const factors = [1];
+        for (const rate of rates) {
+            factors.push(factors[factors.length - 1] * (1 + rate));
+        }
+        return factors;
+    }
+
+    /**
+     * Resolve the split of the renter's return into taxable income and tax-free capital growth
+     *
+     * @param {Object|null} portfolioReturns - { incomeYieldRate, ter, withholdingTaxLeakage }
+     * @param {number} investmentYieldRate - Total gross return as decimal (capital growth = total - income yield)
+     * @returns {Object|null} { incomeYieldRate, capitalGrowthRate, ter, withholdingTaxLeakage, netReturnRate } or null
+     */
+    static resolvePortfolioReturns(portfolioReturns, investmentYieldRate) {
+        if (!portfolioReturns || typeof portfolioReturns !== 'object') return null;
+        const numberOr = (value, fallback) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))
+            ? Number(value) : fallback;
+        const incomeYieldRate = numberOr(portfolioReturns.incomeYieldRate, 0.02);
+        // The split always adds up to the total return, so a different yield (sweeps, simulations) changes the result
+        const capitalGrowthRate = investmentYieldRate - incomeYieldRate;
+        const ter = Math.max(0, numberOr(portfolioReturns.ter, 0));
+        const withholdingTaxLeakage = Math.min(1, Math.max(0, numberOr(portfolioReturns.withholdingTaxLeakage, 0)));
+        return {
+            incomeYieldRate,
+            capitalGrowthRate,
+            ter,
+            withholdingTaxLeakage,
+            // Return the portfolio actually earns after fund costs and withholding tax that cannot be reclaimed
+            netReturnRate: incomeYieldRate * (1 - withholdingTaxLeakage) + capitalGrowthRate - ter
+        };
+    }
+
+    /**
+     * Progressive tax module (tax-module.js): window.SwissTaxModule in browsers, required in Node.js
+     * @returns {Function|null} SwissTaxModule class, or null when it is not loaded
+     */
+    static get TAX_MODULE() {
+        if (typeof window !== 'undefined' && window.SwissTaxModule) return window.SwissTaxModule;
+        if (typeof require === 'function') return require('./tax-module.js');
+        return null;
+    }
+
+    /**
+     * Normalize a progressive tax profile. Unknown cantons throw (see SwissTaxModule.getCanton).
+     *
+     * @param {Object|null} taxModel - { canton, civilStatus, taxableIncome, communeMultiplier, churchTax }
+     * @returns {Object|null} Resolved profile, or null for the flat marginal tax rate
+     */
+    static resolveTaxModel(taxModel) {
+        if (!taxModel || typeof taxModel !== 'object') return null;
+        const taxModule = SwissRentBuyCalculator.TAX_MODULE;
+        if (!taxModule) throw new Error('Progressive tax model requires tax-module.js to be loaded');
+        const canton = String(taxModel.canton || 'ZH').toUpperCase();
+        const cantonDef = taxModule.getCanton(canton);
+        const communeMultiplier = Number(taxModel.communeMultiplier);
+        return {
+            canton,
+            civilStatus: taxModel.civilStatus === 'married' ? 'married' : 'single',
+            taxableIncome: Math.max(0, Number(taxModel.taxableIncome) || 0),
+            communeMultiplier: Number.isFinite(communeMultiplier) && taxModel.communeMultiplier !== null && taxModel.communeMultiplier !== ''
+                ? communeMultiplier
+                : cantonDef.defaultCommuneMultiplier,
+            churchTax: Boolean(taxModel.churchTax)
+        };
+    }
+
+    /**
+     * Normalize a wealth tax profile; residence fields not given fall back to the income tax profile.
+     *
+     * @param {Object|null} wealthTax - { canton, civilStatus, communeMultiplier, churchTax, propertyTaxValueRatio, otherWealth }
+     * @param {Object|null} taxProfile - Resolved income tax profile (see resolveTaxModel), if any
+     * @returns {Object|null} Resolved profile, or null when wealth tax is ignored
+     */
+    static resolveWealthTax(wealthTax, taxProfile = null) {
+        if (!wealthTax || typeof wealthTax !== 'object') return null;
+        const residence = SwissRentBuyCalculator.resolveTaxModel({ ...(taxProfile || {}), ...wealthTax });
+        const ratio = Number(wealthTax.propertyTaxValueRatio);
+        return {
+            canton: residence.canton,
+            civilStatus: residence.civilStatus,
+            communeMultiplier: residence.communeMultiplier,
+            churchTax: residence.churchTax,
+            propertyTaxValueRatio: Number.isFinite(ratio) && wealthTax.propertyTaxValueRatio !== null ? Math.max(0, ratio) : 0.7,
+            otherWealth: Math.max(0, Number(wealthTax.otherWealth) || 0)
+        };
+    }
+
+    /**
+     * Sale of the property at the end of the term: selling costs, property gains tax and mortgage break costs.
+     * Break costs are the break penalties of fixed rates still within their term (estimated by calculate()),
+     * unless given explicitly.
+     *
+     * @param {Object|boolean|null} saleAtEnd - Sale assumptions (see calculate()), true for defaults, null for no sale
+     * @param {Object} context - { salePrice, purchasePrice, additionalPurchaseCosts, totalRenovations, termYears,
+     *        breakCosts, residence } from the calculation
+     * @returns {Object|null} Sale breakdown in CHF, or null without liquidation
+     */
+    static simulateSaleAtEnd(saleAtEnd, context) {
+        if (!saleAtEnd) return null;
+        const options = typeof saleAtEnd === 'object' ? saleAtEnd : {};
+        const rateOr = (value, fallback) => {
+            const number = Number(value);
+            return value !== undefined && value !== null && value !== '' && Number.isFinite(number) ? Math.max(0, number) : fallback;
+        };
+        const { salePrice, purchasePrice, additionalPurchaseCosts, totalRenovations, termYears } = context;
+
+        const brokerCommission = salePrice * rateOr(options.brokerCommissionRate, 0.02);
+        const notaryFees = salePrice * rateOr(options.notaryFeeRate, 0.005);
+        const sellingCosts = brokerCommission + notaryFees;
+
+        // Gain net of acquisition costs, selling costs and value-enhancing investments
+        const valueEnhancingInvestments = rateOr(options.valueEnhancingInvestments, totalRenovations);
+        const propertyGain = salePrice - purchasePrice - additionalPurchaseCosts - valueEnhancingInvestments - sellingCosts;
+        const residence = { ...(context.residence || {}) };
+        if (options.canton) residence.canton = String(options.canton).toUpperCase();
+        if (options.communeMultiplier !== undefined) residence.communeMultiplier = options.communeMultiplier;
+        const profile = SwissRentBuyCalculator.resolveTaxModel(residence) || SwissRentBuyCalculator.resolveTaxModel({});
+        const propertyGainsTax = SwissRentBuyCalculator.TAX_MODULE.propertyGainsTax(propertyGain, termYears, profile);
+
+        // Fixed rates maturing after the sale are broken early
+        const mortgageBreakCosts = rateOr(options.mortgageBreakCosts, context.breakCosts || 0);
+
+        const totalSaleCosts = sellingCosts + propertyGainsTax + mortgageBreakCosts;
+        return {
+            salePrice,
+            brokerCommission,
+            notaryFees,
+            valueEnhancingInvestments,
+            propertyGain,
+            holdingYears: termYears,
+            canton: profile.canton,
+            propertyGainsTax,
+            mortgageBreakCosts,
+            totalSaleCosts,
+            netSaleProceeds: salePrice - totalSaleCosts
+        };
+    }
+
+    /**
+     * Holding-period analysis: the result if the property is sold at the end of any year 1..termYears.
+     * Each year is a full calculation over that shorter term with a sale at its end, so selling costs, property
+     * gains tax (with the holding period's rates) and mortgage break costs apply as they would on that exit.
+     * The minimum holding period is the first year from which selling in that or any later year favours buying.
+     *
+     * @param {Object} params - Parameters as for calculate(); saleAtEnd sets the sale assumptions (default: true)
+     * @returns {Object} { termYears, valueBasis, years: [{ year, resultValue, markToMarketResultValue, salePrice,
+     *          sellingCosts, propertyGainsTax, mortgageBreakCosts, saleCosts, buyWins }], minimumHoldingYears,
+     *          firstWinningYear } in the result's value basis (real with inflationRate set); years null when never
+     */
+    static holdingPeriodAnalysis(params) {
+        const termYears = Math.max(1, parseInt(params.termYears) || 10);
+        const saleAtEnd = params.saleAtEnd || true;
+        const years = [];
+        let valueBasis = 'nominal';
+        for (let year = 1; year <= termYears; year++) {
+            const result = SwissRentBuyCalculator.inRealTerms(
+                SwissRentBuyCalculator.calculate({ ...params, termYears: year, saleAtEnd }));
+            const sale = result.SaleAtEnd;
+            const deflator = result.ValueBasis === 'real' ? result.YearlyBreakdown[year - 1].deflator : 1;
+            valueBasis = result.ValueBasis;
+            years.push({
+                year,
+                resultValue: result.ResultValue,
+                markToMarketResultValue: result.MarkToMarketResultValue,
+                salePrice: sale.salePrice * deflator,
+                sellingCosts: (sale.brokerCommission + sale.notaryFees) * deflator,
+                propertyGainsTax: sale.propertyGainsTax * deflator,
+                mortgageBreakCosts: sale.mortgageBreakCosts * deflator,
+                saleCosts: result.PropertySaleCosts,
+                buyWins: result.ResultValue > 0
+            });
+        }
+
+        let minimumHoldingYears = null;
+        for (let i = years.length - 1; i >= 0 && years[i].buyWins; i--) minimumHoldingYears = years[i].year;
+        const firstWinning = years.find(y => y.buyWins);
+        return {
+            termYears,
+            valueBasis,
+            years,
+            minimumHoldingYears,
+            firstWinningYear: firstWinning ? firstWinning.year : null
+        };
+    }
+
+    /**
+     * Renewal rate sensitivity: the result with the renewal rates shifted by each of the given amounts, the change
+     * of the result per percentage point of renewal rates and the shift at which buying stops (or starts) to win.
+     * Renewal applies the mortgageRenewal assumptions of params (or the default renewal rates without them); the
+     * result does not depend on renewal rates when no fixed rate matures within the term.
+     *
+     * @param {Object} params - Parameters as for calculate()
+     * @param {number[]} shifts - Shifts of the renewal rates as decimals (default: -1, 0, +1 and +2 percentage points)
+     * @returns {Object} { valueBasis, renewalYears, baseResultValue, scenarios: [{ shift, resultValue, buyWins }],
+     *          impactPerPercentagePoint, breakEvenShift } in the result's value basis; breakEvenShift null when the
+     *          outcome does not change sign between -5 and +10 percentage points
+     */
+    static renewalSensitivity(params, shifts = [-0.01, 0, 0.01, 0.02]) {
+        const renewal = params.mortgageRenewal && typeof params.mortgageRenewal === 'object' ? params.mortgageRenewal : {};
+        const baseShock = Number.isFinite(Number(renewal.rateShock)) && renewal.rateShock !== null && renewal.rateShock !== ''
+            ? Number(renewal.rateShock) : 0;
+        const run = shift => SwissRentBuyCalculator.inRealTerms(SwissRentBuyCalculator.calculate({
+            ...params, mortgageRenewal: { ...renewal, rateShock: baseShock + shift }
+        }));
+        const base = run(0);
+        const renewalYears = [...new Set(base.MortgageRenewals.map(e => e.year))];
+        const resultAt = shift => run(shift).ResultValue;
+
+        // Buying wins less the higher the renewal rates: bisect for the sign change of the result
+        let breakEvenShift = null;
+        let low = -0.05;
+        let high = 0.10;
+        const lowSign = renewalYears.length > 0 ? Math.sign(resultAt(low)) : 0;
+        if (renewalYears.length > 0 && lowSign !== Math.sign(resultAt(high))) {
+            for (let i = 0; i < 40; i++) {
+                const mid = (low + high) / 2;
+                if (Math.sign(resultAt(mid)) === lowSign) low = mid; else high = mid;
+            }
+            breakEvenShift = (low + high) / 2;
+        }
+
+        return {
+            valueBasis: base.ValueBasis,
+            renewalYears,
+            baseResultValue: base.ResultValue,
+            scenarios: shifts.map(shift => {
+                const resultValue = shift === 0 ? base.ResultValue : resultAt(shift);
+                return { shift, resultValue, buyWins: resultValue > 0 };
+            }),
+            impactPerPercentagePoint: resultAt(0.01) - base.ResultValue,
+            breakEvenShift
         };
     }
 }
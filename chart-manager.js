@@ -49,6 +49,12 @@ class SwissChartManager {
                 backgroundColor: 'rgba(13, 110, 253, 0.1)',
                 yAxisID: 'y'
             },
+            monthlyRent: {
+                label: 'Monthly Rent',
+                borderColor: '#0a58ca',
+                backgroundColor: 'rgba(10, 88, 202, 0.1)',
+                yAxisID: 'y'
+            },
             renterContribWithdrawal: {
                 label: 'Renter Investment Contrib./Withdrawal',
                 borderColor: '#6f42c1',
@@ -73,6 +79,12 @@ class SwissChartManager {
                 backgroundColor: 'rgba(25, 135, 84, 0.1)',
                 yAxisID: 'y'
             },
+            advantageIfSold: {
+                label: 'Advantage if Sold (net)',
+                borderColor: '#0f5132',
+                backgroundColor: 'rgba(15, 81, 50, 0.1)',
+                yAxisID: 'y'
+            },
             // Advanced mode columns
             interest: {
                 label: 'Interest',
@@ -92,6 +104,24 @@ class SwissChartManager {
                 backgroundColor: 'rgba(214, 51, 132, 0.1)',
                 yAxisID: 'y'
             },
+            capitalExpenditure: {
+                label: 'Capex (Renewals)',
+                borderColor: '#a61e4d',
+                backgroundColor: 'rgba(166, 30, 77, 0.1)',
+                yAxisID: 'y'
+            },
+            condominiumCosts: {
+                label: 'Condo Costs',
+                borderColor: '#7048e8',
+                backgroundColor: 'rgba(112, 72, 232, 0.1)',
+                yAxisID: 'y'
+            },
+            renewalFundShare: {
+                label: 'Renewal Fund (End)',
+                borderColor: '#4c6ef5',
+                backgroundColor: 'rgba(76, 110, 245, 0.1)',
+                yAxisID: 'y'
+            },
             ownerNetTax: {
                 label: 'Owner Tax (Net)',
                 borderColor: '#ffc107',
@@ -116,6 +146,12 @@ class SwissChartManager {
                 backgroundColor: 'rgba(23, 162, 184, 0.1)',
                 yAxisID: 'y'
             },
+            pillar3aBalance: {
+                label: 'Pillar 3a (End)',
+                borderColor: '#b8860b',
+                backgroundColor: 'rgba(184, 134, 11, 0.1)',
+                yAxisID: 'y'
+            },
             propertyValue: {
                 label: 'Property Value (End)',
                 borderColor: '#6f42c1',
@@ -386,7 +422,8 @@ class SwissChartManager {
     updateFromCalculation(calculationResult) {
         if (!calculationResult || !calculationResult.YearlyBreakdown) return;
         
-        this.chartData = this.processYearByYearData(calculationResult.YearlyBreakdown);
+        this.chartData = this.processYearByYearData(calculationResult.YearlyBreakdown, calculationResult.HoldingPeriod);
+        this.valueBasis = calculationResult.ValueBasis === 'real' ? 'real' : 'nominal';
         
         // Auto-reset zoom when new calculation data comes in
         if (this.chart && this.chart.resetZoom) {
@@ -397,7 +434,7 @@ class SwissChartManager {
         this.updateChart();
     }
     
-    processYearByYearData(yearByYearArray) {
+    processYearByYearData(yearByYearArray, holdingPeriod = null) {
         if (!Array.isArray(yearByYearArray) || yearByYearArray.length === 0) {
             return { labels: [], datasets: {} };
         }
@@ -410,19 +447,16 @@ class SwissChartManager {
             datasets[key] = [];
         });
         
-        yearByYearArray.forEach(row => {
+        yearByYearArray.forEach((row, index) => {
             labels.push(row.year.toString());
             
             // Calculate values exactly as the HTML table does
-            const ownerNetTax = (row.taxImputedRent || 0) - (row.taxSavingsInterest || 0) - (row.taxSavingsPropertyExpenses || 0);
-            const buyOutlayNet = (row.annualInterest || 0) + (row.annualAmortization || 0) + (row.annualMaintenance || 0) + ownerNetTax;
+            const ownerNetTax = (row.taxImputedRent || 0) + (row.taxRentalIncome || 0) - (row.taxSavingsInterest || 0) - (row.taxSavingsPropertyExpenses || 0) - (row.taxSavingsPillar3a || 0);
+            const buyOutlayNet = (row.annualInterest || 0) + (row.annualAmortization || 0) + (row.annualMaintenance || 0) + (row.capitalExpenditure || 0) + (row.condominiumCosts || 0) + (row.mortgageBreakPenalty || 0) + (row.mortgageRenewalFee || 0) - (row.rentalIncome || 0) + ownerNetTax;
             
-            // Get rental costs - need to get current value from the input field
-            const rentSuppCostsInput = (() => {
-                const elem = document.getElementById('annualRentalCosts');
-                return elem ? (parseFloat(elem.value) || 0) : 0;
-            })();
-            const rentOutlayNet = (row.annualRent || 0) + rentSuppCostsInput;
+            // Rental supplemental costs per year (indexed when rent indexation is set)
+            const rentSuppCosts = row.annualRentalCosts || 0;
+            const rentOutlayNet = (row.annualRent || 0) + rentSuppCosts;
             
             // Calculate LTV
             const ltvEnd = row.propertyValueEndOfYear ? ((row.endingBalance || 0) / row.propertyValueEndOfYear) * 100 : 0;
@@ -433,23 +467,33 @@ class SwissChartManager {
             if (datasets.mortgageBalance) datasets.mortgageBalance.push(row.endingBalance || 0);
             if (datasets.homeownerEquity) datasets.homeownerEquity.push(row.homeownerEquityEndOfYear || 0);
             if (datasets.rentOutlayNet) datasets.rentOutlayNet.push(rentOutlayNet);
+            if (datasets.monthlyRent) datasets.monthlyRent.push(row.monthlyRentPaid || 0);
             if (datasets.renterContribWithdrawal) datasets.renterContribWithdrawal.push(row.renterContribution || 0);
             if (datasets.portfolioEnd) datasets.portfolioEnd.push(row.portfolioValueEndOfYear || 0);
             if (datasets.advantageDelta) datasets.advantageDelta.push(row.advantageDeltaFromPriorYear || 0);
             if (datasets.advantage) datasets.advantage.push(row.cumulativeAdvantage || 0);
+            // Net of exit costs when sold this year (holding-period analysis, if calculated)
+            if (datasets.advantageIfSold) {
+                const sold = holdingPeriod && holdingPeriod.years[index];
+                datasets.advantageIfSold.push(sold ? sold.resultValue : null);
+            }
             
             // Advanced mode columns
             if (datasets.interest) datasets.interest.push(row.annualInterest || 0);
             if (datasets.annualAmortization) datasets.annualAmortization.push(row.annualAmortization || 0);
             if (datasets.annualMaintenance) datasets.annualMaintenance.push(row.annualMaintenance || 0);
+            if (datasets.capitalExpenditure) datasets.capitalExpenditure.push(row.capitalExpenditure || 0);
+            if (datasets.condominiumCosts) datasets.condominiumCosts.push(row.condominiumCosts || 0);
+            if (datasets.renewalFundShare) datasets.renewalFundShare.push(row.renewalFundShareEndOfYear || 0);
             if (datasets.ownerNetTax) datasets.ownerNetTax.push(ownerNetTax);
             if (datasets.taxImputedRent) datasets.taxImputedRent.push(row.taxImputedRent || 0);
             if (datasets.taxSavingsInterest) datasets.taxSavingsInterest.push(row.taxSavingsInterest || 0);
             if (datasets.taxSavingsPropertyExpenses) datasets.taxSavingsPropertyExpenses.push(row.taxSavingsPropertyExpenses || 0);
+            if (datasets.pillar3aBalance) datasets.pillar3aBalance.push(row.pillar3aBalanceEndOfYear || 0);
             if (datasets.propertyValue) datasets.propertyValue.push(row.propertyValueEndOfYear || 0);
             if (datasets.ltvEnd) datasets.ltvEnd.push(ltvEnd);
             if (datasets.annualRent) datasets.annualRent.push(row.annualRent || 0);
-            if (datasets.annualRentalCosts) datasets.annualRentalCosts.push(rentSuppCostsInput);
+            if (datasets.annualRentalCosts) datasets.annualRentalCosts.push(rentSuppCosts);
             if (datasets.cumulativeRenterPrincipal) datasets.cumulativeRenterPrincipal.push(row.cumulativeRenterPrincipal || 0);
             if (datasets.investmentGainsThisYear) datasets.investmentGainsThisYear.push(row.investmentGainsThisYear || 0);
             if (datasets.investmentIncomeTax) datasets.investmentIncomeTax.push(row.investmentIncomeTax || 0);
@@ -489,6 +533,7 @@ class SwissChartManager {
         });
         
         this.chart.data.datasets = activeDatasets;
+        this.chart.options.scales.y.title.text = this.valueBasis === 'real' ? "Amount (CHF, today's prices)" : 'Amount (CHF)';
         
         // Apply saved zoom/pan settings
         if (this.currentSettings.zoomLevel.min !== null) {
@@ -508,6 +553,70 @@ class SwissChartManager {
         link.click();
     }
     
+    // Monte Carlo fan chart: P10-P90 band and median of the cumulative advantage per year
+    renderFanChart(simulation, canvasId = 'monteCarloChart') {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas || typeof Chart === 'undefined' || !simulation || !Array.isArray(simulation.yearly)) return;
+        if (this.fanChart) this.fanChart.destroy();
+        
+        const formatCHF = value => new Intl.NumberFormat('de-CH', {
+            style: 'currency',
+            currency: 'CHF',
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }).format(value);
+        const band = {
+            borderColor: 'rgba(13, 110, 253, 0.5)',
+            borderWidth: 1,
+            pointRadius: 0,
+            tension: 0.1
+        };
+        
+        try {
+            this.fanChart = new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: simulation.yearly.map(y => y.year.toString()),
+                    datasets: [
+                        // P90 is filled down to P10 (two datasets below) to draw the band
+                        { ...band, label: 'P90', data: simulation.yearly.map(y => y.p90), fill: '+2', backgroundColor: 'rgba(13, 110, 253, 0.15)' },
+                        { label: 'Median (P50)', data: simulation.yearly.map(y => y.p50), borderColor: '#0d6efd', borderWidth: 2, pointRadius: 2, fill: false, tension: 0.1 },
+                        { ...band, label: 'P10', data: simulation.yearly.map(y => y.p10), fill: false }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    plugins: {
+                        title: {
+                            display: true,
+                            text: `Cumulative Advantage of Buying (${simulation.runs} runs, seed ${simulation.seed})`,
+                            font: { size: 16, weight: 'bold' }
+                        },
+                        legend: { display: true },
+                        tooltip: {
+                            callbacks: {
+                                title: context => context[0] ? `Year ${context[0].label}` : '',
+                                label: context => `${context.dataset.label}: ${formatCHF(context.parsed.y)}`
+                            }
+                        }
+                    },
+                    scales: {
+                        x: { title: { display: true, text: 'Year' } },
+                        y: {
+                            title: { display: true, text: simulation.valueBasis === 'real' ? "Advantage (CHF, today's prices)" : 'Advantage (CHF)' },
+                            ticks: { callback: value => formatCHF(value) }
+                        }
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Error rendering fan chart:', error);
+            this.fanChart = null;
+        }
+    }
+    
     getSettings() {
         return { ...this.currentSettings };
     }
@@ -544,6 +653,13 @@ class SwissChartManager {
         }
     }
     
+    // Method to be called when a Monte Carlo simulation has run
+    static updateFanChart(simulation) {
+        if (window.swissChartManager) {
+            window.swissChartManager.renderFanChart(simulation);
+        }
+    }
+    
     // Method to get chart settings for save/load functionality
     static getSettings() {
         return window.swissChartManager ? window.swissChartManager.getSettings() : null;
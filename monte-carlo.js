@@ -0,0 +1,330 @@
+/**
+ * Swiss Rent vs Buy Monte Carlo Simulation
+ *
+ * Runs the calculation engine many times with property appreciation, investment yield and
+ * mortgage rate drawn from configurable distributions:
+ * - 'normal' (mean, stdDev, optional min/max bounds), 'uniform' (min, max) or 'fixed' (mean)
+ * - Optional correlations between the three rates (Gaussian copula via Cholesky decomposition)
+ * - Seedable pseudo-random generator (mulberry32), so a seed always reproduces the same runs
+ *
+ * Each run draws one average annual rate per variable for the whole term, or with perYear a rate
+ * for each year (autocorrelated, for year-to-year volatility and sequence risk). Draws shift the
+ * base assumptions instead of replacing them: rate paths move by the drawn deviation, and the
+ * mortgage keeps its tranches, fixed terms and renewals (see mortgageRateShift in calculator.js).
+ * Results are the probability that buying wins and P10/P50/P90 bands of the cumulative advantage
+ * per year (in today's CHF when the base parameters request real terms).
+ *
+ * @version 1.0.0
+ * @author d57udy
+ * @license CC BY-NC-SA 4.0
+ */
+
+class SwissMonteCarlo {
+    /**
+     * Simulated variables with their default spread. Standard deviations apply to the average
+     * annual rate over the term, with perYear to the rate of each year. The autocorrelation links
+     * consecutive years of per-year draws (rates and house prices move slowly, equity years barely).
+     * @returns {Object} Defaults keyed by engine parameter name
+     */
+    static get VARIABLES() {
+        return {
+            propertyAppreciationRate: { distribution: 'normal', stdDev: 0.015, min: null, max: null, perYear: false, autocorrelation: 0.6 },
+            investmentYieldRate: { distribution: 'normal', stdDev: 0.04, min: null, max: null, perYear: false, autocorrelation: 0 },
+            mortgageRate: { distribution: 'normal', stdDev: 0.01, min: 0, max: null, perYear: false, autocorrelation: 0.9 }
+        };
+    }
+
+    /**
+     * Per-year engine parameter that a draw of each variable shifts (null: the mortgage uses mortgageRateShift)
+     * @returns {Object} Path parameter keyed by variable name
+     */
+    static get PATHS() {
+        return {
+            propertyAppreciationRate: 'propertyAppreciationPath',
+            investmentYieldRate: 'investmentYieldPath',
+            mortgageRate: null
+        };
+    }
+
+    /**
+     * Calculation engine (calculator.js): window.SwissRentBuyCalculator in browsers, required in Node.js
+     * @returns {Function|null} SwissRentBuyCalculator class, or null when it is not loaded
+     */
+    static get CALCULATOR() {
+        if (typeof window !== 'undefined' && window.SwissRentBuyCalculator) return window.SwissRentBuyCalculator;
+        if (typeof require === 'function') return require('./calculator.js');
+        return null;
+    }
+
+    /**
+     * Seedable uniform generator (mulberry32)
+     *
+     * @param {number} seed - Integer seed (converted to an unsigned 32-bit integer)
+     * @returns {Function} Generator returning numbers in [0, 1)
+     */
+    static createRng(seed) {
+        let state = (Math.round(Number(seed) || 0) >>> 0);
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Standard normal draws from a uniform generator (Box-Muller, both values of each pair are used)
+     *
+     * @param {Function} rng - Uniform generator as returned by createRng()
+     * @returns {Function} Generator returning standard normal numbers
+     */
+    static createNormal(rng) {
+        let spare = null;
+        return () => {
+            if (spare !== null) {
+                const value = spare;
+                spare = null;
+                return value;
+            }
+            const u1 = 1 - rng(); // (0, 1] avoids log(0)
+            const u2 = rng();
+            const radius = Math.sqrt(-2 * Math.log(u1));
+            spare = radius * Math.sin(2 * Math.PI * u2);
+            return radius * Math.cos(2 * Math.PI * u2);
+        };
+    }
+
+    /**
+     * Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26, error below 1.5e-7)
+     *
+     * @param {number} z - Standard normal value
+     * @returns {number} Probability in [0, 1]
+     */
+    static normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+        return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+    }
+
+    /**
+     * Lower-triangular Cholesky factor of a correlation matrix. Throws when the matrix is not
+     * positive definite (the correlations contradict each other).
+     *
+     * @param {number[][]} matrix - Symmetric correlation matrix
+     * @returns {number[][]} Lower-triangular factor L with L * L^T = matrix
+     */
+    static cholesky(matrix) {
+        const n = matrix.length;
+        const lower = matrix.map(() => new Array(n).fill(0));
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = matrix[i][j];
+                for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+                if (i === j) {
+                    if (sum <= 1e-12) throw new Error('Correlation matrix is not positive definite');
+                    lower[i][j] = Math.sqrt(sum);
+                } else {
+                    lower[i][j] = sum / lower[j][j];
+                }
+            }
+        }
+        return lower;
+    }
+
+    /**
+     * Resolve the distribution of each variable; means default to the base parameters
+     *
+     * @param {Object|null} variables - { propertyAppreciationRate, investmentYieldRate, mortgageRate }, each
+     *        { distribution: 'normal'|'uniform'|'fixed', mean, stdDev, min, max, perYear, autocorrelation };
+     *        missing variables use the defaults
+     * @param {Object} baseParams - Engine parameters the simulation starts from
+     * @returns {Object[]} [{ name, distribution, mean, stdDev, min, max, perYear, autocorrelation }] in VARIABLES order
+     */
+    static resolveVariables(variables, baseParams) {
+        const numberOr = (value, fallback) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))
+            ? Number(value) : fallback;
+        const options = variables && typeof variables === 'object' ? variables : {};
+        return Object.entries(SwissMonteCarlo.VARIABLES).map(([name, defaults]) => {
+            const spec = options[name] && typeof options[name] === 'object' ? options[name] : {};
+            const distribution = ['normal', 'uniform', 'fixed'].includes(spec.distribution) ? spec.distribution : defaults.distribution;
+            const mean = numberOr(spec.mean, numberOr(baseParams[name], 0));
+            const stdDev = Math.max(0, numberOr(spec.stdDev, defaults.stdDev));
+            let min = numberOr(spec.min, defaults.min);
+            let max = numberOr(spec.max, defaults.max);
+            if (distribution === 'uniform') {
+                // Without bounds a uniform draw covers the same spread as the normal distribution (mean ± √3 σ)
+                if (min === null) min = mean - Math.sqrt(3) * stdDev;
+                if (max === null) max = mean + Math.sqrt(3) * stdDev;
+            }
+            if (min !== null && max !== null && min > max) [min, max] = [max, min];
+            const perYear = spec.perYear !== undefined && spec.perYear !== null ? Boolean(spec.perYear) : defaults.perYear;
+            const autocorrelation = Math.min(1, Math.max(0, numberOr(spec.autocorrelation, defaults.autocorrelation)));
+            return { name, distribution, mean, stdDev, min, max, perYear, autocorrelation };
+        });
+    }
+
+    /**
+     * Correlation matrix of the variables in VARIABLES order
+     *
+     * @param {Object|null} correlations - Pairwise correlations keyed 'nameA:nameB' (order does not matter),
+     *        e.g. { 'propertyAppreciationRate:mortgageRate': -0.3 }
+     * @returns {number[][]} Symmetric matrix with ones on the diagonal
+     */
+    static resolveCorrelationMatrix(correlations) {
+        const names = Object.keys(SwissMonteCarlo.VARIABLES);
+        const matrix = names.map((_, i) => names.map((__, j) => (i === j ? 1 : 0)));
+        Object.entries(correlations && typeof correlations === 'object' ? correlations : {}).forEach(([key, value]) => {
+            const [a, b] = key.split(':').map(part => part.trim());
+            const i = names.indexOf(a);
+            const j = names.indexOf(b);
+            const rho = Number(value);
+            if (i < 0 || j < 0 || i === j || !Number.isFinite(rho)) return;
+            matrix[i][j] = matrix[j][i] = Math.min(1, Math.max(-1, rho));
+        });
+        return matrix;
+    }
+
+    /**
+     * Turn a standard normal value into a draw of the variable
+     *
+     * @param {Object} variable - Resolved variable (see resolveVariables)
+     * @param {number} z - Standard normal value (correlated across variables)
+     * @returns {number} Drawn rate as decimal
+     */
+    static drawValue(variable, z) {
+        if (variable.distribution === 'fixed') return variable.mean;
+        if (variable.distribution === 'uniform') return variable.min + (variable.max - variable.min) * SwissMonteCarlo.normalCdf(z);
+        let value = variable.mean + variable.stdDev * z;
+        if (variable.min !== null) value = Math.max(variable.min, value);
+        if (variable.max !== null) value = Math.min(variable.max, value);
+        return value;
+    }
+
+    /**
+     * Percentile of sorted values with linear interpolation between ranks
+     *
+     * @param {number[]} sorted - Values in ascending order
+     * @param {number} p - Percentile as decimal (0.1 = P10)
+     * @returns {number} Interpolated value (NaN for no values)
+     */
+    static percentile(sorted, p) {
+        if (sorted.length === 0) return NaN;
+        const rank = (sorted.length - 1) * Math.min(1, Math.max(0, p));
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    }
+
+    /**
+     * Run the simulation
+     *
+     * @param {Object} baseParams - Engine parameters (see SwissRentBuyCalculator.calculate())
+     * @param {Object} options - { runs (default 500), seed (default 1), variables, correlations } as described above
+     * @returns {Object} { runs, seed, valueBasis, variables, correlationMatrix, probabilityBuyWins,
+     *          resultValue: { mean, p10, p50, p90 }, yearly: [{ year, mean, p10, p50, p90, probabilityBuyAhead }],
+     *          draws: [{ propertyAppreciationRate, investmentYieldRate, mortgageRate, resultValue, paths }] };
+     *          a per-year variable reports its average over the term and its rate per year in paths
+     */
+    static simulate(baseParams, options = {}) {
+        const calculator = SwissMonteCarlo.CALCULATOR;
+        if (!calculator) throw new Error('Monte Carlo simulation requires calculator.js to be loaded');
+        const runs = Math.max(1, Math.round(Number(options.runs) || 500));
+        const seed = Number.isFinite(Number(options.seed)) && options.seed !== null && options.seed !== '' ? Math.round(Number(options.seed)) : 1;
+        const variables = SwissMonteCarlo.resolveVariables(options.variables, baseParams);
+        const correlationMatrix = SwissMonteCarlo.resolveCorrelationMatrix(options.correlations);
+        const factor = SwissMonteCarlo.cholesky(correlationMatrix);
+        const normal = SwissMonteCarlo.createNormal(SwissMonteCarlo.createRng(seed));
+        const numberOr = (value, fallback) => value !== undefined && value !== null && value !== '' && Number.isFinite(Number(value))
+            ? Number(value) : fallback;
+        // A draw deviates from the base rate and shifts the base assumptions by that deviation: the rate path of the
+        // variable, the mortgage with its tranches, fixed terms and renewals; a return split (portfolioReturns)
+        // takes its capital growth from the drawn yield
+        const termYears = calculator.calculate(baseParams).YearlyBreakdown.length;
+        const baseRates = variables.map(v => numberOr(baseParams[v.name], 0));
+        const hasPath = variables.map(v => SwissMonteCarlo.PATHS[v.name] !== null &&
+            Array.isArray(baseParams[SwissMonteCarlo.PATHS[v.name]]) && baseParams[SwissMonteCarlo.PATHS[v.name]].length > 0);
+        const basePaths = variables.map((v, i) => SwissMonteCarlo.PATHS[v.name] !== null
+            ? calculator.resolveMortgageRatePath(baseParams[SwissMonteCarlo.PATHS[v.name]], baseRates[i], termYears) : null);
+        const baseShift = calculator.resolveMortgageRateShift(baseParams.mortgageRateShift, termYears + 1);
+        const drawnYears = variables.some(v => v.perYear && v.distribution !== 'fixed') ? Math.max(1, termYears) : 1;
+
+        const draws = [];
+        const advantagesByYear = [];
+        let valueBasis = 'nominal';
+        for (let run = 0; run < runs; run++) {
+            // Correlated shocks per year; a per-year variable follows them autocorrelated (AR(1), unit variance)
+            const states = variables.map(() => 0);
+            const series = variables.map(() => []);
+            for (let year = 0; year < drawnYears; year++) {
+                const independent = variables.map(() => normal());
+                variables.forEach((variable, i) => {
+                    const z = factor[i].reduce((sum, weight, k) => sum + weight * independent[k], 0);
+                    const phi = year > 0 ? variable.autocorrelation : 0;
+                    states[i] = phi * states[i] + Math.sqrt(1 - phi * phi) * z;
+                    series[i].push(SwissMonteCarlo.drawValue(variable, states[i]));
+                });
+            }
+            const params = { ...baseParams };
+            const draw = {};
+            variables.forEach((variable, i) => {
+                const values = variable.perYear ? series[i] : series[i].slice(0, 1);
+                const deviation = year => values[Math.min(year, values.length - 1)] - baseRates[i];
+                const path = SwissMonteCarlo.PATHS[variable.name];
+                draw[variable.name] = values.reduce((sum, v) => sum + v, 0) / values.length;
+                if (variable.perYear) (draw.paths = draw.paths || {})[variable.name] = values;
+                if (path === null) {
+                    // Market shift: floating rates move every year, fixed rates from their maturity on
+                    params[variable.name] = baseRates[i];
+                    params.mortgageRateShift = baseShift.map((shift, year) => shift + deviation(year));
+                } else if (variable.perYear || hasPath[i]) {
+                    params[path] = basePaths[i].map((rate, year) => rate + deviation(year));
+                    params[variable.name] = draw[variable.name];
+                } else {
+                    params[variable.name] = values[0];
+                }
+            });
+            const result = calculator.calculate(params);
+            const view = result.RealTerms || result;
+            valueBasis = result.RealTerms ? 'real' : 'nominal';
+            view.YearlyBreakdown.forEach((y, i) => {
+                (advantagesByYear[i] = advantagesByYear[i] || []).push(y.cumulativeAdvantage);
+            });
+            draws.push({ ...draw, resultValue: view.ResultValue });
+        }
+
+        const summarize = values => {
+            const sorted = [...values].sort((a, b) => a - b);
+            return {
+                mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+                p10: SwissMonteCarlo.percentile(sorted, 0.1),
+                p50: SwissMonteCarlo.percentile(sorted, 0.5),
+                p90: SwissMonteCarlo.percentile(sorted, 0.9)
+            };
+        };
+        return {
+            runs,
+            seed,
+            valueBasis,
+            variables,
+            correlationMatrix,
+            // Positive result value = buying is cheaper than renting over the term
+            probabilityBuyWins: draws.filter(d => d.resultValue > 0).length / runs,
+            resultValue: summarize(draws.map(d => d.resultValue)),
+            yearly: advantagesByYear.map((values, i) => ({
+                year: i + 1,
+                ...summarize(values),
+                probabilityBuyAhead: values.filter(v => v > 0).length / values.length
+            })),
+            draws
+        };
+    }
+}
+
+// Export for use in both browsers and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SwissMonteCarlo;
+} else if (typeof window !== 'undefined') {
+    window.SwissMonteCarlo = SwissMonteCarlo;
+}
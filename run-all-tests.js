@@ -105,6 +105,131 @@ class TestRunner {
                 command: 'node backend-validation-test.js',
                 description: 'Backend Validation Test Suite',
                 critical: true
+            },
+            {
+                command: 'node test-period-resolution.js',
+                description: 'Quarterly/Monthly Resolution Tests',
+                critical: true
+            },
+            {
+                command: 'node test-rate-path.js',
+                description: 'Mortgage Rate Path Tests',
+                critical: true
+            },
+            {
+                command: 'node test-mortgage-tranches.js',
+                description: 'Mortgage Tranche Tests',
+                critical: true
+            },
+            {
+                command: 'node test-indirect-amortization.js',
+                description: 'Indirect Amortization (Pillar 3a) Tests',
+                critical: true
+            },
+            {
+                command: 'node test-down-payment-funding.js',
+                description: 'Down Payment Funding Tests',
+                critical: true
+            },
+            {
+                command: 'node test-tax-module.js',
+                description: 'Progressive Tax Module Tests',
+                critical: true
+            },
+            {
+                command: 'node test-wealth-tax.js',
+                description: 'Wealth Tax Tests',
+                critical: true
+            },
+            {
+                command: 'node test-sale-at-end.js',
+                description: 'End-of-Term Sale Tests',
+                critical: true
+            },
+            {
+                command: 'node test-rent-indexation.js',
+                description: 'Rent Indexation Tests',
+                critical: true
+            },
+            {
+                command: 'node test-real-terms.js',
+                description: 'Real-Terms Reporting Tests',
+                critical: true
+            },
+            {
+                command: 'node test-capex-schedule.js',
+                description: 'Component Renewal Schedule Tests',
+                critical: true
+            },
+            {
+                command: 'node test-condominium.js',
+                description: 'Condominium (STWE) Tests',
+                critical: true
+            },
+            {
+                command: 'node test-reform-transition.js',
+                description: 'Reform Transition Tests',
+                critical: true
+            },
+            {
+                command: 'node test-portfolio-taxation.js',
+                description: 'Renter Portfolio Taxation Tests',
+                critical: true
+            },
+            {
+                command: 'node test-affordability.js',
+                description: 'Affordability (Tragbarkeit) Tests',
+                critical: true
+            },
+            {
+                command: 'node test-monte-carlo.js',
+                description: 'Monte Carlo Simulation Tests',
+                critical: true
+            },
+            {
+                command: 'node test-backtest.js',
+                description: 'Historical Backtest Tests',
+                critical: true
+            },
+            {
+                command: 'node test-financial-metrics.js',
+                description: 'Financial Metrics (IRR/NPV) Tests',
+                critical: true
+            },
+            {
+                command: 'node test-holding-period.js',
+                description: 'Holding-Period Analysis Tests',
+                critical: true
+            },
+            {
+                command: 'node test-break-penalty.js',
+                description: 'Fixed-Rate Break Penalty Tests',
+                critical: true
+            },
+            {
+                command: 'node test-mortgage-renewal.js',
+                description: 'Mortgage Renewal Tests',
+                critical: true
+            },
+            {
+                command: 'node test-rental-income.js',
+                description: 'Partial Rental Income Tests',
+                critical: true
+            },
+            {
+                command: 'node test-portfolio-depletion.js',
+                description: 'Portfolio Depletion Tests',
+                critical: true
+            },
+            {
+                command: 'node test-input-validation.js',
+                description: 'Input Validation Tests',
+                critical: true
+            },
+            {
+                command: 'node test-auto-calculations.js',
+                description: 'Auto-Calculated Defaults Tests',
+                critical: true
             }
         ];
 
@@ -0,0 +1,354 @@
+/**
+ * Swiss Progressive Income Tax Module
+ *
+ * Pluggable tax module for the Swiss Rent vs Buy Calculator. Computes income tax from
+ * progressive tariffs instead of a flat marginal rate:
+ * - Direct federal tax (single and married tariffs)
+ * - Cantonal simple tax for ZH, ZG, VD, GE and BE, scaled by the cantonal multiplier
+ * - Communal tax via the commune multiplier (Steuerfuss) and optional church tax
+ * - Cantonal and communal wealth tax (Vermögenssteuer) with tax-free allowances
+ * - Property gains tax (Grundstückgewinnsteuer) with holding-period surcharges and reductions
+ *
+ * Bundled tariffs are simplified approximations of the 2024 published tariffs (no child
+ * deductions, no rounding of taxable income). Married couples use the canton's married
+ * tariff where bundled, otherwise income splitting with the canton's divisor.
+ * Multipliers are expressed in each canton's own units (e.g. ZH 0.98 = 98%, BE 3.025 units).
+ *
+ * @version 1.0.0
+ * @author d57udy
+ * @license CC BY-NC-SA 4.0
+ */
+
+class SwissTaxModule {
+    /**
+     * Direct federal tax tariffs (Art. 36 DBG, 2024 values).
+     * Brackets are [upper limit of taxable income in CHF, marginal rate]; above flatAbove.threshold
+     * the whole income is taxed at flatAbove.rate.
+     * @returns {Object} Federal tariffs by civil status
+     */
+    static get FEDERAL_TARIFFS() {
+        return {
+            single: {
+                brackets: [
+                    [15200, 0], [33200, 0.0077], [43500, 0.0088], [58000, 0.0264], [76100, 0.0297],
+                    [82000, 0.0594], [108800, 0.066], [141500, 0.088], [184900, 0.11], [793400, 0.132]
+                ],
+                flatAbove: { threshold: 793400, rate: 0.115 }
+            },
+            married: {
+                brackets: [
+                    [29700, 0], [53400, 0.01], [61300, 0.02], [79100, 0.03], [94900, 0.04], [108600, 0.05],
+                    [120500, 0.06], [130500, 0.07], [138300, 0.08], [144200, 0.09], [148200, 0.10],
+                    [150300, 0.11], [152300, 0.12], [940800, 0.13]
+                ],
+                flatAbove: { threshold: 940800, rate: 0.115 }
+            }
+        };
+    }
+
+    /**
+     * Bundled cantonal tariffs (simple tax) with default multipliers of the capital's commune.
+     * - brackets: single tariff [upper limit in CHF, marginal rate]
+     * - marriedBrackets: married tariff, or splittingDivisor for income splitting
+     * - cantonalMultiplier / defaultCommuneMultiplier / churchMultiplier: applied to the simple tax
+     * - wealthAllowance: tax-free net wealth by civil status; wealthBrackets: simple wealth tax on net wealth
+     *   above the allowance [upper limit in CHF, marginal rate], scaled by the same multipliers
+     * - propertyGains: gains tax on the gain as progressive brackets or a flat rate by full years held
+     *   (holdingRates [minimum years, rate]), times holdingFactors [minimum years, factor] for surcharges on
+     *   short and reductions on long holding periods; useMultipliers scales it by cantonal + commune multipliers
+     * @returns {Object} Canton definitions keyed by canton code
+     */
+    static get CANTONS() {
+        return {
+            ZH: {
+                name: 'Zürich',
+                brackets: [
+                    [7000, 0], [11400, 0.02], [16100, 0.03], [23700, 0.04], [33000, 0.05], [43700, 0.06],
+                    [56100, 0.07], [73000, 0.08], [105500, 0.09], [137700, 0.10], [188700, 0.11],
+                    [254900, 0.12], [Infinity, 0.13]
+                ],
+                marriedBrackets: [
+                    [13900, 0], [20200, 0.02], [28200, 0.03], [37900, 0.04], [48800, 0.05], [61500, 0.06],
+                    [75800, 0.07], [92500, 0.08], [112500, 0.09], [150300, 0.10], [210500, 0.11],
+                    [292200, 0.12], [Infinity, 0.13]
+                ],
+                cantonalMultiplier: 0.98,
+                defaultCommuneMultiplier: 1.19,    // City of Zürich
+                churchMultiplier: 0.10,
+                wealthAllowance: { single: 80000, married: 159000 },
+                wealthBrackets: [
+                    [238000, 0.0005], [637000, 0.001], [1273000, 0.0015], [2228000, 0.002],
+                    [3422000, 0.0025], [Infinity, 0.003]
+                ],
+                propertyGains: {
+                    // Communal tax; +50%/+25% within 1/2 years, reduction from 5% (5 years) to 50% (20 years)
+                    brackets: [
+                        [4000, 0.10], [10000, 0.15], [18000, 0.20], [30000, 0.25], [50000, 0.30],
+                        [100000, 0.35], [Infinity, 0.40]
+                    ],
+                    holdingFactors: [[0, 1.5], [1, 1.25], [2, 1], [5, 0.95], ...Array.from({ length: 15 }, (_, i) => [i + 6, 0.92 - 0.03 * i])]
+                }
+            },
+            ZG: {
+                name: 'Zug',
+                brackets: [
+                    [1100, 0.005], [3400, 0.01], [6100, 0.02], [9100, 0.03], [12400, 0.035], [16100, 0.04],
+                    [20400, 0.045], [25300, 0.05], [31100, 0.055], [37900, 0.06], [46100, 0.065],
+                    [56100, 0.07], [68500, 0.075], [Infinity, 0.08]
+                ],
+                splittingDivisor: 2,
+                cantonalMultiplier: 0.82,
+                defaultCommuneMultiplier: 0.50,    // City of Zug
+                churchMultiplier: 0.08,
+                wealthAllowance: { single: 112000, married: 224000 },
+                wealthBrackets: [
+                    [100000, 0.00025], [300000, 0.0005], [600000, 0.00075], [1000000, 0.001], [Infinity, 0.00105]
+                ],
+                propertyGains: {
+                    // Rate on the whole gain falls with the holding period (60% within a year, 10% after 25 years)
+                    holdingRates: [
+                        [0, 0.60], [1, 0.55], [2, 0.50], [3, 0.45], [4, 0.40], [5, 0.35], [6, 0.30], [7, 0.28],
+                        [8, 0.26], [9, 0.24], [10, 0.22], [11, 0.20], [12, 0.19], [13, 0.18], [14, 0.17],
+                        [15, 0.16], [16, 0.15], [17, 0.14], [18, 0.13], [19, 0.12], [20, 0.11], [25, 0.10]
+                    ]
+                }
+            },
+            VD: {
+                name: 'Vaud',
+                brackets: [
+                    [1600, 0], [10000, 0.01], [20000, 0.025], [30000, 0.045], [40000, 0.06], [50000, 0.07],
+                    [60000, 0.08], [80000, 0.09], [100000, 0.10], [130000, 0.105], [170000, 0.11],
+                    [250000, 0.115], [Infinity, 0.121]
+                ],
+                splittingDivisor: 1.8,             // Quotient familial (without children)
+                cantonalMultiplier: 1.55,
+                defaultCommuneMultiplier: 0.785,   // Lausanne
+                churchMultiplier: 0,               // Churches are financed by the canton
+                wealthAllowance: { single: 58000, married: 116000 },
+                wealthBrackets: [
+                    [50000, 0.0008], [100000, 0.0012], [200000, 0.0016], [400000, 0.0021],
+                    [800000, 0.0026], [1600000, 0.003], [Infinity, 0.0034]
+                ],
+                propertyGains: {
+                    // Rate on the whole gain falls from 30% (within a year) to 7% (24 years and more)
+                    holdingRates: [
+                        [0, 0.30], [1, 0.27], [2, 0.24], [3, 0.22], [4, 0.20], [5, 0.18], [6, 0.16],
+                        [7, 0.14], [8, 0.12], [9, 0.10], [10, 0.09], [24, 0.07]
+                    ]
+                }
+            },
+            GE: {
+                name: 'Genève',
+                brackets: [
+                    [18479, 0], [22264, 0.08], [24491, 0.09], [26717, 0.10], [28943, 0.11], [34509, 0.12],
+                    [38962, 0.13], [43416, 0.14], [47868, 0.145], [76811, 0.15], [125793, 0.155],
+                    [169208, 0.16], [191473, 0.165], [273850, 0.17], [291661, 0.175], [410775, 0.18],
+                    [611153, 0.185], [Infinity, 0.19]
+                ],
+                splittingDivisor: 2,
+                cantonalMultiplier: 1.298,         // Base tax + 47.5% centimes additionnels, net of the 12% rebate
+                defaultCommuneMultiplier: 0.40,    // City of Geneva (45.49%, net of the rebate)
+                churchMultiplier: 0,               // Church contribution is voluntary
+                wealthAllowance: { single: 86833, married: 173666 },
+                wealthBrackets: [
+                    [111675, 0.00175], [223350, 0.00225], [335025, 0.00275], [446700, 0.003], [670050, 0.00325],
+                    [893400, 0.0035], [1116750, 0.00375], [1675125, 0.004], [Infinity, 0.0045]
+                ],
+                propertyGains: {
+                    // Rate on the whole gain falls from 50% (within 2 years) to 0% (25 years and more)
+                    holdingRates: [[0, 0.50], [2, 0.40], [4, 0.30], [6, 0.20], [8, 0.15], [10, 0.10], [25, 0]]
+                }
+            },
+            BE: {
+                name: 'Bern',
+                brackets: [
+                    [3000, 0.0195], [8000, 0.0245], [13000, 0.0325], [19000, 0.0375], [25000, 0.0415],
+                    [32000, 0.0445], [44000, 0.0475], [57000, 0.0505], [70000, 0.0525], [84000, 0.0545],
+                    [101000, 0.0565], [122000, 0.0585], [147000, 0.0595], [186000, 0.0605], [Infinity, 0.0615]
+                ],
+                splittingDivisor: 1.9,             // Approximation of the married tariff
+                cantonalMultiplier: 3.025,
+                defaultCommuneMultiplier: 1.54,    // City of Bern
+                churchMultiplier: 0.184,
+                wealthAllowance: { single: 100000, married: 100000 },
+                wealthBrackets: [
+                    [100000, 0.0004], [200000, 0.0007], [400000, 0.00095], [700000, 0.0011],
+                    [1000000, 0.0012], [Infinity, 0.0013]
+                ],
+                propertyGains: {
+                    // Simple tax times cantonal + commune multipliers; surcharge within 2 years,
+                    // 2% reduction per full year held beyond 5 years (up to 70%)
+                    brackets: [
+                        [10000, 0.012], [20000, 0.02], [40000, 0.03], [60000, 0.04], [100000, 0.05],
+                        [200000, 0.055], [Infinity, 0.06]
+                    ],
+                    holdingFactors: [[0, 1.3], [1, 1.15], [2, 1], ...Array.from({ length: 35 }, (_, i) => [i + 6, 0.98 - 0.02 * i])],
+                    useMultipliers: true
+                }
+            }
+        };
+    }
+
+    /**
+     * Tax from a bracket table (marginal rates per bracket)
+     *
+     * @param {number} income - Taxable income in CHF
+     * @param {Array<Array<number>>} brackets - [upper limit, marginal rate] pairs in ascending order
+     * @returns {number} Tax in CHF
+     */
+    static bracketTax(income, brackets) {
+        if (!(income > 0)) return 0;
+        let tax = 0;
+        let lower = 0;
+        for (const [upper, rate] of brackets) {
+            if (income <= lower) break;
+            tax += (Math.min(income, upper) - lower) * rate;
+            lower = upper;
+        }
+        return tax;
+    }
+
+    /**
+     * Direct federal tax
+     *
+     * @param {number} income - Taxable income in CHF
+     * @param {string} civilStatus - 'single' or 'married'
+     * @returns {number} Federal tax in CHF
+     */
+    static federalTax(income, civilStatus = 'single') {
+        const tariff = SwissTaxModule.FEDERAL_TARIFFS[civilStatus === 'married' ? 'married' : 'single'];
+        if (income > tariff.flatAbove.threshold) return income * tariff.flatAbove.rate;
+        return SwissTaxModule.bracketTax(income, tariff.brackets);
+    }
+
+    /**
+     * Cantonal simple tax (before multipliers), using the married tariff or income splitting
+     *
+     * @param {number} income - Taxable income in CHF
+     * @param {string} cantonCode - Canton code (ZH, ZG, VD, GE, BE)
+     * @param {string} civilStatus - 'single' or 'married'
+     * @returns {number} Simple tax in CHF
+     */
+    static cantonalSimpleTax(income, cantonCode, civilStatus = 'single') {
+        const canton = SwissTaxModule.getCanton(cantonCode);
+        if (civilStatus !== 'married') return SwissTaxModule.bracketTax(income, canton.brackets);
+        if (canton.marriedBrackets) return SwissTaxModule.bracketTax(income, canton.marriedBrackets);
+        // Income splitting: rate of income / divisor applied to the full income
+        const divisor = canton.splittingDivisor || 1;
+        return SwissTaxModule.bracketTax(income / divisor, canton.brackets) * divisor;
+    }
+
+    /**
+     * Look up a bundled canton
+     *
+     * @param {string} cantonCode - Canton code
+     * @returns {Object} Canton definition
+     * @throws {Error} When no tariff is bundled for the canton
+     */
+    static getCanton(cantonCode) {
+        const canton = SwissTaxModule.CANTONS[String(cantonCode || '').toUpperCase()];
+        if (!canton) {
+            throw new Error(`No tax tariff bundled for canton "${cantonCode}". Available: ${Object.keys(SwissTaxModule.CANTONS).join(', ')}`);
+        }
+        return canton;
+    }
+
+    /**
+     * Total income tax split into federal, cantonal, communal and church tax
+     *
+     * @param {number} taxableIncome - Taxable income in CHF
+     * @param {Object} options - Tax profile
+     * @param {string} options.canton - Canton code (default: 'ZH')
+     * @param {string} options.civilStatus - 'single' or 'married' (default: 'single')
+     * @param {number} options.communeMultiplier - Commune multiplier in the canton's units (default: canton capital)
+     * @param {boolean} options.churchTax - Include church tax (default: false)
+     * @returns {Object} { federal, cantonal, communal, church, total } in CHF
+     */
+    static incomeTax(taxableIncome, options = {}) {
+        const { canton = 'ZH', civilStatus = 'single', communeMultiplier, churchTax = false } = options;
+        const cantonDef = SwissTaxModule.getCanton(canton);
+        const income = Math.max(0, taxableIncome);
+        const simpleTax = SwissTaxModule.cantonalSimpleTax(income, canton, civilStatus);
+        const communeFactor = typeof communeMultiplier === 'number' && Number.isFinite(communeMultiplier)
+            ? communeMultiplier
+            : cantonDef.defaultCommuneMultiplier;
+
+        const federal = SwissTaxModule.federalTax(income, civilStatus);
+        const cantonal = simpleTax * cantonDef.cantonalMultiplier;
+        const communal = simpleTax * communeFactor;
+        const church = churchTax ? simpleTax * cantonDef.churchMultiplier : 0;
+        return { federal, cantonal, communal, church, total: federal + cantonal + communal + church };
+    }
+
+    /**
+     * Wealth tax on net wealth split into cantonal, communal and church tax (there is no federal wealth tax)
+     *
+     * @param {number} netWealth - Net taxable wealth in CHF (assets at tax value minus debts)
+     * @param {Object} options - Tax profile as for incomeTax()
+     * @returns {Object} { cantonal, communal, church, total } in CHF
+     */
+    static wealthTax(netWealth, options = {}) {
+        const { canton = 'ZH', civilStatus = 'single', communeMultiplier, churchTax = false } = options;
+        const cantonDef = SwissTaxModule.getCanton(canton);
+        const allowance = cantonDef.wealthAllowance[civilStatus === 'married' ? 'married' : 'single'];
+        const simpleTax = SwissTaxModule.bracketTax(netWealth - allowance, cantonDef.wealthBrackets);
+        const communeFactor = typeof communeMultiplier === 'number' && Number.isFinite(communeMultiplier)
+            ? communeMultiplier
+            : cantonDef.defaultCommuneMultiplier;
+
+        const cantonal = simpleTax * cantonDef.cantonalMultiplier;
+        const communal = simpleTax * communeFactor;
+        const church = churchTax ? simpleTax * cantonDef.churchMultiplier : 0;
+        return { cantonal, communal, church, total: cantonal + communal + church };
+    }
+
+    /**
+     * Property gains tax on the sale of a property (Grundstückgewinnsteuer)
+     *
+     * @param {number} gain - Taxable gain in CHF (sale price minus purchase price, acquisition and selling costs
+     *        and value-enhancing investments); no tax on losses
+     * @param {number} holdingYears - Full years the property was held
+     * @param {Object} options - Tax profile as for incomeTax() (canton, communeMultiplier)
+     * @returns {number} Property gains tax in CHF
+     */
+    static propertyGainsTax(gain, holdingYears, options = {}) {
+        if (!(gain > 0)) return 0;
+        const { canton = 'ZH', communeMultiplier } = options;
+        const cantonDef = SwissTaxModule.getCanton(canton);
+        const rules = cantonDef.propertyGains;
+        const years = Math.max(0, Math.floor(holdingYears));
+        const byHoldingPeriod = (table) => table.reduce((value, [minYears, entry]) => years >= minYears ? entry : value, table[0][1]);
+
+        let tax = rules.brackets
+            ? SwissTaxModule.bracketTax(gain, rules.brackets)
+            : gain * byHoldingPeriod(rules.holdingRates);
+        if (rules.holdingFactors) tax *= byHoldingPeriod(rules.holdingFactors);
+        if (rules.useMultipliers) {
+            const communeFactor = typeof communeMultiplier === 'number' && Number.isFinite(communeMultiplier)
+                ? communeMultiplier
+                : cantonDef.defaultCommuneMultiplier;
+            tax *= cantonDef.cantonalMultiplier + communeFactor;
+        }
+        return tax;
+    }
+
+    /**
+     * Marginal tax rate at a given income (tax on the next CHF 100)
+     *
+     * @param {number} taxableIncome - Taxable income in CHF
+     * @param {Object} options - Tax profile as for incomeTax()
+     * @returns {number} Marginal rate as decimal
+     */
+    static marginalRate(taxableIncome, options = {}) {
+        const step = 100;
+        return (SwissTaxModule.incomeTax(taxableIncome + step, options).total -
+                SwissTaxModule.incomeTax(taxableIncome, options).total) / step;
+    }
+}
+
+// Export for use in both browsers and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SwissTaxModule;
+} else if (typeof window !== 'undefined') {
+    window.SwissTaxModule = SwissTaxModule;
+}
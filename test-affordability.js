@@ -0,0 +1,134 @@
+/**
+ * Test Affordability (Tragbarkeit)
+ *
+ * Tests that the lender affordability test correctly:
+ * 1. Leaves results unchanged without income and reports imputed costs against one third of gross income
+ * 2. Requires amortization of the second-rank mortgage down to 2/3 loan-to-value within 15 years
+ * 3. Finds the maximum financeable price with the given equity, capped at 80% loan-to-value
+ * 4. Honours custom stress rate, maintenance and income ratio, and pension pledges increase the mortgage tested
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runAffordabilityTests() {
+    console.log('=== Affordability (Tragbarkeit) Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1200000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 15000,
+        amortizationYears: 15,
+        annualAmortization: 10000,
+        additionalPurchaseCosts: 36000,
+        imputedRentalValue: 28000,
+        propertyTaxDeductions: 9000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 3600,
+        annualRentalCosts: 5000,
+        investmentYieldRate: 0.04,
+        termYears: 15
+    };
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: No affordability without income, one third of gross income with it
+    totalTests++;
+    console.log('Test 1: Imputed costs against one third of gross income');
+    const plain = SwissRentBuyCalculator.calculate(baseParams);
+    const tested = SwissRentBuyCalculator.calculate({ ...baseParams, affordability: { householdIncome: 200000 } });
+    const a = tested.Affordability;
+    // 900,000 mortgage at 5% + 1% of 1.2M + (900,000 - 800,000) / 15
+    const expectedCost = 45000 + 12000 + 100000 / 15;
+    const failing = SwissRentBuyCalculator.calculate({ ...baseParams, affordability: { householdIncome: 180000 } });
+    if (plain.Affordability === null && tested.TotalPurchaseCost === plain.TotalPurchaseCost &&
+        SwissRentBuyCalculator.resolveAffordability({}) === null &&
+        Math.abs(a.annualCost - expectedCost) < 1e-9 && a.pass && Math.abs(a.incomeRatio - expectedCost / 200000) < 1e-12 &&
+        !failing.Affordability.pass && failing.Affordability.incomeRatio > 1 / 3) {
+        console.log(`  ✅ PASS: CHF ${Math.round(expectedCost).toLocaleString()} per year = ${(a.incomeRatio * 100).toFixed(1)}% of CHF 200,000 (fails at CHF 180,000)`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: cost=${a && a.annualCost}, pass=${a && a.pass}, failing pass=${failing.Affordability.pass}`);
+    }
+
+    // Test 2: Required amortization only above 2/3 loan-to-value
+    totalTests++;
+    console.log('\nTest 2: Required amortization of the second-rank mortgage');
+    const rules = SwissRentBuyCalculator.resolveAffordability({ householdIncome: 150000 });
+    const firstRank = SwissRentBuyCalculator.checkAffordability(1200000, 800000, rules);
+    const secondRank = SwissRentBuyCalculator.checkAffordability(1200000, 960000, rules);
+    const noMortgage = SwissRentBuyCalculator.checkAffordability(1200000, -50000, rules);
+    if (firstRank.requiredAmortization === 0 &&
+        Math.abs(secondRank.requiredAmortization - 160000 / 15) < 1e-9 &&
+        Math.abs(secondRank.loanToValue - 0.8) < 1e-12 &&
+        noMortgage.imputedInterest === 0 && noMortgage.annualCost === 12000) {
+        console.log(`  ✅ PASS: CHF ${Math.round(secondRank.requiredAmortization).toLocaleString()} per year at 80% LTV, none at 2/3`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: first rank=${firstRank.requiredAmortization}, second rank=${secondRank.requiredAmortization}`);
+    }
+
+    // Test 3: Maximum financeable price
+    totalTests++;
+    console.log('\nTest 3: Maximum financeable price with the given equity');
+    const maxPrice = tested.Affordability.maxFinanceablePrice;
+    const rules200k = { ...rules, householdIncome: 200000 };
+    const atMax = SwissRentBuyCalculator.checkAffordability(maxPrice, maxPrice - 300000, rules200k);
+    const aboveMax = SwissRentBuyCalculator.checkAffordability(maxPrice + 1, maxPrice + 1 - 300000, rules200k);
+    // High income: the 80% loan-to-value cap (equity / 20%) binds
+    const ltvCapped = SwissRentBuyCalculator.maxFinanceablePrice(300000, { ...rules, householdIncome: 1000000 });
+    // Low income: the price stays within the first-rank mortgage segment
+    const lowIncome = SwissRentBuyCalculator.maxFinanceablePrice(300000, { ...rules, householdIncome: 60000 });
+    if (atMax.pass && !aboveMax.pass && maxPrice > 1200000 && ltvCapped === 1500000 &&
+        lowIncome === Math.floor(300000 + (20000 - 3000) / 0.06) &&
+        SwissRentBuyCalculator.maxFinanceablePrice(0, rules) === 0) {
+        console.log(`  ✅ PASS: CHF ${maxPrice.toLocaleString()} financeable with CHF 300,000 equity and CHF 200,000 income`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: max=${maxPrice}, LTV cap=${ltvCapped}, low income=${lowIncome}`);
+    }
+
+    // Test 4: Custom rules and pension pledges
+    totalTests++;
+    console.log('\nTest 4: Custom rules and pension pledge');
+    const custom = SwissRentBuyCalculator.calculate({
+        ...baseParams,
+        affordability: { householdIncome: 200000, stressRate: 0.045, maintenanceRate: 0.008, maxIncomeRatio: 0.35 }
+    }).Affordability;
+    const pledged = SwissRentBuyCalculator.calculate({
+        ...baseParams,
+        downPaymentFunding: { pensionPledge: 60000 },
+        affordability: { householdIncome: 200000 }
+    }).Affordability;
+    if (Math.abs(custom.annualCost - (900000 * 0.045 + 1200000 * 0.008 + 100000 / 15)) < 1e-9 &&
+        custom.maxAnnualCost === 70000 &&
+        Math.abs(pledged.imputedInterest - 960000 * 0.05) < 1e-9 &&
+        pledged.maxFinanceablePrice < a.maxFinanceablePrice) {
+        console.log(`  ✅ PASS: Pledge raises the tested mortgage to CHF 960,000 (${(pledged.incomeRatio * 100).toFixed(1)}% of income)`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: custom cost=${custom.annualCost}, pledged interest=${pledged.imputedInterest}`);
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All affordability tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some affordability tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runAffordabilityTests()) process.exit(1);
+}
+
+module.exports = { runAffordabilityTests };
@@ -0,0 +1,129 @@
+/**
+ * Test Auto-Calculated Defaults
+ *
+ * Tests that the shared auto-calculation rules (auto-calculations.js) correctly:
+ * 1. Derive the down payment per mode (20%, manual with the 20% minimum, 80% and 66.6% mortgage caps)
+ * 2. Derive maintenance (1.25%) and the imputed rental value (65% of the rent) and keep given values
+ * 3. Derive the amortization over the amortization period or the Swiss 2/3-in-15-years rule
+ * 4. Resolve a partial parameter object into a complete, valid engine input and report the derived fields
+ */
+
+const SwissAutoCalculations = require('./auto-calculations.js');
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runAutoCalculationTests() {
+    console.log('=== Auto-Calculated Defaults Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        mortgageRate: 0.018,
+        amortizationYears: 15,
+        additionalPurchaseCosts: 45000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 10
+    };
+    const resolve = (overrides, options) => SwissAutoCalculations.resolve({ ...baseParams, ...overrides }, options);
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Down payment modes
+    totalTests++;
+    console.log('Test 1: Down payment per mode');
+    const auto = resolve({ downPaymentMode: 'auto', downPayment: 500000 });
+    const manual = resolve({ downPaymentMode: 'manual', downPayment: 200000 });
+    const enforced = resolve({ downPaymentMode: 'manual', downPayment: 200000 }, { enforceMinimumDownPayment: true });
+    const capped = resolve({ downPaymentMode: 'mortgage', mortgageAmount: 1400000 });
+    const limited = resolve({ downPaymentMode: 'mortgage', mortgageAmount: 1000000 });
+    const firstRank = resolve({ downPaymentMode: 'mortgage66', mortgageAmount: 1400000 });
+    if (auto.params.downPayment === 300000 && auto.derived.includes('downPayment') && auto.downPaymentWarning === null &&
+        manual.params.downPayment === 200000 && !manual.derived.includes('downPayment') && manual.downPaymentWarning === 'belowMinimum' &&
+        enforced.params.downPayment === 300000 && enforced.downPaymentWarning === 'raisedToMinimum' &&
+        capped.params.downPayment === 300000 && capped.mortgageAmount === 1200000 &&
+        limited.params.downPayment === 500000 && firstRank.params.downPayment === 500000 && firstRank.mortgageAmount === 1000000 &&
+        resolve({ downPaymentMode: 'manual', downPayment: 400000 }).downPaymentWarning === null) {
+        console.log(`  ✅ PASS: CHF 300,000 at 20% or the 80% cap, CHF 500,000 at 66.6%; CHF 200,000 flagged or raised to 20%`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: auto ${auto.params.downPayment}, manual ${manual.downPaymentWarning}, enforced ${enforced.params.downPayment}, capped ${capped.params.downPayment}, 66.6% ${firstRank.params.downPayment}`);
+    }
+
+    // Test 2: Maintenance and imputed rental value
+    totalTests++;
+    console.log('\nTest 2: Maintenance and imputed rental value');
+    const derivedValues = resolve({ autoMaintenance: true, autoImputedRental: true, annualMaintenanceCosts: 9000, imputedRentalValue: 9000 });
+    const kept = resolve({ autoMaintenance: false, autoImputedRental: false, annualMaintenanceCosts: 9000, imputedRentalValue: 9000 });
+    const implicit = resolve({ annualMaintenanceCosts: 9000 });
+    if (derivedValues.params.annualMaintenanceCosts === 18750 && derivedValues.params.imputedRentalValue === 33540 &&
+        kept.params.annualMaintenanceCosts === 9000 && kept.params.imputedRentalValue === 9000 &&
+        !kept.derived.includes('annualMaintenanceCosts') && !kept.derived.includes('imputedRentalValue') &&
+        implicit.params.annualMaintenanceCosts === 9000 && implicit.params.imputedRentalValue === 33540 &&
+        implicit.modes.autoMaintenance === false && implicit.modes.autoImputedRental === true) {
+        console.log(`  ✅ PASS: CHF 18,750 maintenance (1.25%) and CHF 33,540 imputed rental value (65% of CHF 51,600 rent)`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: maintenance ${derivedValues.params.annualMaintenanceCosts}, imputed ${derivedValues.params.imputedRentalValue}`);
+    }
+
+    // Test 3: Amortization modes
+    totalTests++;
+    console.log('\nTest 3: Amortization per mode');
+    const straight = resolve({ amortizationMode: 'auto' });
+    const swiss = resolve({ amortizationMode: 'swiss' });
+    const lowLtv = resolve({ amortizationMode: 'swiss', downPaymentMode: 'mortgage66', mortgageAmount: 1000000 });
+    const manualAmortization = resolve({ amortizationMode: 'manual', annualAmortization: 12345 });
+    const noPeriod = resolve({ amortizationMode: 'auto', amortizationYears: 0 });
+    if (straight.params.annualAmortization === 80000 && swiss.params.annualAmortization === 13333 &&
+        lowLtv.params.annualAmortization === 0 && lowLtv.derived.includes('annualAmortization') &&
+        manualAmortization.params.annualAmortization === 12345 && !manualAmortization.derived.includes('annualAmortization') &&
+        noPeriod.params.annualAmortization === 120000 && noPeriod.params.amortizationYears === 0) {
+        console.log(`  ✅ PASS: CHF 80,000 over 15 years, CHF 13,333 to reach 2/3 within 15 years, none at 66.6%`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: auto ${straight.params.annualAmortization}, swiss ${swiss.params.annualAmortization}, 66.6% ${lowLtv.params.annualAmortization}`);
+    }
+
+    // Test 4: Complete engine input
+    totalTests++;
+    console.log('\nTest 4: Partial parameters to a complete engine input');
+    const partial = SwissAutoCalculations.resolve({ ...baseParams, amortizationMode: 'swiss' });
+    const explicit = {
+        ...baseParams, downPayment: 300000, annualMaintenanceCosts: 18750, annualAmortization: 13333, imputedRentalValue: 33540
+    };
+    const flags = SwissAutoCalculations.MODE_FLAGS.filter(flag => flag in partial.params);
+    const fromResolved = SwissRentBuyCalculator.calculate(partial.params);
+    if (partial.derived.join(',') === 'downPayment,annualMaintenanceCosts,annualAmortization,imputedRentalValue' &&
+        flags.length === 0 && SwissRentBuyCalculator.validateInputs(partial.params).valid &&
+        fromResolved.ResultValue === SwissRentBuyCalculator.calculate(explicit).ResultValue &&
+        SwissAutoCalculations.resolve(explicit).derived.length === 0 &&
+        SwissAutoCalculations.resolve({}).params.downPayment === 0) {
+        console.log(`  ✅ PASS: ${partial.derived.length} fields derived, same result as the explicit input (CHF ${Math.round(fromResolved.ResultValue).toLocaleString()})`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: derived ${partial.derived.join(',')}, flags left ${flags.join(',')}`);
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All auto-calculation tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some auto-calculation tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runAutoCalculationTests()) process.exit(1);
+}
+
+module.exports = { runAutoCalculationTests };
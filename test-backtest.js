@@ -0,0 +1,165 @@
+/**
+ * Test Historical Backtest
+ *
+ * Tests that the backtest correctly:
+ * 1. Runs the engine with yearly appreciation, investment return and rent index paths (flat paths match flat rates)
+ * 2. Slices the bundled Swiss data into a window per start year and rejects terms longer than the data
+ * 3. Builds the parameters of each start year from the selected historical series only (also for a return split)
+ * 4. Reports the outcome per start year and its distribution
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+const SwissBacktest = require('./backtest.js');
+
+function runBacktestTests() {
+    console.log('=== Historical Backtest Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.01,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 10
+    };
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Yearly paths in the engine
+    totalTests++;
+    console.log('Test 1: Appreciation, investment return and rent index paths');
+    const flat = SwissRentBuyCalculator.calculate({ ...baseParams, rentIndexation: { type: 'fixed', rate: 0.01 } });
+    const flatPaths = SwissRentBuyCalculator.calculate({
+        ...baseParams,
+        propertyAppreciationPath: [0.01],
+        investmentYieldPath: [0.04],
+        rentIndexation: { type: 'index', rentRates: 0.01, cpiRate: 0.01 }
+    });
+    const appreciation = [0.05, -0.1, 0.02, 0, 0.03, 0.01, -0.02, 0.04, 0.06, 0.01];
+    const returns = [0.2, -0.3, 0.1];
+    const varying = SwissRentBuyCalculator.calculate({
+        ...baseParams, propertyAppreciationPath: appreciation, investmentYieldPath: returns, portfolioReturns: { incomeYieldRate: 0.02 }
+    });
+    const expectedValue = 1500000 * appreciation.reduce((f, r) => f * (1 + r), 1);
+    const y2 = varying.YearlyBreakdown[1];
+    const y2Start = y2.portfolioValueEndOfYear - y2.investmentGainsThisYear - y2.renterContribution;
+    const sameAsFlat = Math.abs(flatPaths.ResultValue - flat.ResultValue) < 1e-6 &&
+                       flatPaths.YearlyBreakdown.every((y, i) => Math.abs(y.propertyValueEndOfYear - flat.YearlyBreakdown[i].propertyValueEndOfYear) < 1e-6);
+    if (sameAsFlat && Math.abs(varying.YearlyBreakdown[9].propertyValueEndOfYear - expectedValue) < 1e-6 &&
+        Math.abs(y2.investmentGainsThisYear - y2Start * -0.3) < 1e-6 &&
+        Math.abs(y2.investmentIncomeThisYear - y2Start * 0.02) < 1e-6 &&
+        Math.abs(varying.YearlyBreakdown[9].investmentGainsThisYear / (varying.YearlyBreakdown[9].portfolioValueEndOfYear - varying.YearlyBreakdown[9].investmentGainsThisYear - varying.YearlyBreakdown[9].renterContribution) - 0.1) < 1e-9) {
+        console.log(`  ✅ PASS: Property value CHF ${Math.round(expectedValue).toLocaleString()} after 10 yearly rates, -30% portfolio year, last return carries forward`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: flat=${sameAsFlat}, value=${varying.YearlyBreakdown[9].propertyValueEndOfYear} vs ${expectedValue}`);
+    }
+
+    // Test 2: Bundled data windows
+    totalTests++;
+    console.log('\nTest 2: Historical data windows by start year');
+    const data = SwissBacktest.HISTORICAL_DATA;
+    const span = data.lastYear - data.firstYear + 1;
+    const lengthsOk = Object.values(data.series).every(series => series.length === span && series.every(Number.isFinite));
+    const starts = SwissBacktest.startYears(10);
+    const window2008 = SwissBacktest.window('equityReturn', 2008, 3);
+    let rejected = false;
+    try {
+        SwissBacktest.run({ ...baseParams, termYears: span + 1 });
+    } catch (error) {
+        rejected = /exceeds the historical data/.test(error.message);
+    }
+    if (lengthsOk && data.firstYear === 1990 && starts.length === span - 9 && starts[0] === 1990 &&
+        starts[starts.length - 1] + 9 === data.lastYear && window2008[0] === -0.34 && window2008.length === 3 &&
+        SwissBacktest.startYears(span).length === 1 && rejected &&
+        Math.abs(SwissBacktest.averageRate([0.1, -0.1]) - (Math.sqrt(0.99) - 1)) < 1e-12) {
+        console.log(`  ✅ PASS: ${data.firstYear}-${data.lastYear} data, ${starts.length} ten-year windows, longer terms rejected`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: lengths=${lengthsOk}, windows=${starts.length}, rejected=${rejected}`);
+    }
+
+    // Test 3: Parameters per start year
+    totalTests++;
+    console.log('\nTest 3: Selected historical series replace the flat assumptions');
+    const all = SwissBacktest.paramsForStartYear({ ...baseParams, mortgageTranches: [{ share: 1, rate: 0.01 }] }, 2000);
+    const rentsOnly = SwissBacktest.paramsForStartYear(baseParams, 2000, { propertyAppreciation: false, equityReturn: false, mortgageRate: false });
+    const explicit = SwissRentBuyCalculator.calculate({
+        ...baseParams,
+        startYear: 2000,
+        propertyAppreciationPath: SwissBacktest.window('propertyAppreciation', 2000, 10),
+        investmentYieldPath: SwissBacktest.window('equityReturn', 2000, 10),
+        mortgageRatePath: SwissBacktest.window('mortgageRate', 2000, 10),
+        rentIndexation: { type: 'index', rentRates: SwissBacktest.window('rentGrowth', 2000, 10), cpiRate: SwissBacktest.window('inflation', 2000, 10) }
+    });
+    const run2000 = SwissBacktest.run(baseParams).runs.find(r => r.startYear === 2000);
+    // With a return split the capital growth of each year follows that year's equity return
+    const splitYears = SwissRentBuyCalculator.calculate(SwissBacktest.paramsForStartYear({
+        ...baseParams, portfolioReturns: { incomeYieldRate: 0.02 }
+    }, 2000)).YearlyBreakdown;
+    const equity = SwissBacktest.window('equityReturn', 2000, 10);
+    const splitOk = splitYears.every((y, i) => {
+        const start = y.portfolioValueEndOfYear - y.investmentGainsThisYear - y.renterContribution;
+        return Math.abs(y.investmentCapitalGainsThisYear - start * (equity[i] - 0.02)) < 1e-6;
+    });
+    if (splitOk && all.mortgageTranches === null && all.mortgageRatePath[0] === 0.044 && all.startYear === 2000 &&
+        rentsOnly.propertyAppreciationPath === undefined && rentsOnly.investmentYieldPath === undefined &&
+        rentsOnly.mortgageRatePath === undefined && rentsOnly.propertyAppreciationRate === 0.01 &&
+        rentsOnly.rentIndexation.type === 'index' &&
+        Math.abs(run2000.resultValue - explicit.ResultValue) < 1e-6 && run2000.endYear === 2009) {
+        console.log(`  ✅ PASS: 2000-2009 window gives CHF ${Math.round(run2000.resultValue).toLocaleString()}, unchecked series stay flat`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: tranches=${all.mortgageTranches}, run=${run2000.resultValue} vs ${explicit.ResultValue}, split=${splitOk}`);
+    }
+
+    // Test 4: Distribution over start years
+    totalTests++;
+    console.log('\nTest 4: Distribution of outcomes');
+    const backtest = SwissBacktest.run(baseParams);
+    const d = backtest.distribution;
+    const values = backtest.runs.map(r => r.resultValue);
+    const real = SwissBacktest.run({ ...baseParams, inflationRate: 0.02 });
+    const realParams = SwissBacktest.paramsForStartYear({ ...baseParams, inflationRate: 0.02 }, 1990);
+    if (d.count === backtest.runs.length && d.probabilityBuyWins === values.filter(v => v > 0).length / values.length &&
+        d.min <= d.p10 && d.p10 <= d.p50 && d.p50 <= d.p90 && d.p90 <= d.max &&
+        backtest.runs.find(r => r.startYear === d.bestStartYear).resultValue === Math.max(...values) &&
+        backtest.runs.find(r => r.startYear === d.worstStartYear).resultValue === Math.min(...values) &&
+        backtest.valueBasis === 'nominal' && real.valueBasis === 'real' &&
+        Math.abs(realParams.inflationRate - SwissBacktest.averageRate(SwissBacktest.window('inflation', 1990, 10))) < 1e-12) {
+        console.log(`  ✅ PASS: Buying won in ${Math.round(d.probabilityBuyWins * d.count)} of ${d.count} start years, median CHF ${Math.round(d.p50).toLocaleString()} (best ${d.bestStartYear}, worst ${d.worstStartYear})`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: distribution inconsistent (${JSON.stringify(d)})`);
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All backtest tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some backtest tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runBacktestTests()) process.exit(1);
+}
+
+module.exports = { runBacktestTests };
@@ -0,0 +1,152 @@
+/**
+ * Test Fixed-Rate Break Penalties
+ *
+ * Tests that the break penalty (Vorfälligkeitsentschädigung) is correctly:
+ * 1. Charged on a sale before the fixed-rate term of the mortgage ends (rate difference × remaining years)
+ * 2. Charged on an early refinancing, after which the new rate applies
+ * 3. Included in the purchase costs, cumulative totals, cash flows and cash-flow parity contributions
+ * 4. Applied to fixed tranches only and to the new fixed term of a refinancing
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runBreakPenaltyTests() {
+    console.log('=== Fixed-Rate Break Penalty Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.025,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 12
+    };
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Sale within the fixed-rate term
+    totalTests++;
+    console.log('Test 1: Break penalty on a sale before maturity');
+    const balance = 1200000 - 12 * 20000;
+    const sold = SwissRentBuyCalculator.calculate({ ...baseParams, fixedRateTermYears: 15, breakReinvestmentRate: 0.01, saleAtEnd: true });
+    const ratePath = SwissRentBuyCalculator.calculate({
+        ...baseParams, fixedRateTermYears: 15, mortgageRatePath: [{ fromYear: 13, rate: 0.015 }], saleAtEnd: true
+    });
+    const matured = SwissRentBuyCalculator.calculate({ ...baseParams, fixedRateTermYears: 10, breakReinvestmentRate: 0.01, saleAtEnd: true });
+    const noTerm = SwissRentBuyCalculator.calculate({ ...baseParams, breakReinvestmentRate: 0.01, saleAtEnd: true });
+    const saleOverride = SwissRentBuyCalculator.calculate({
+        ...baseParams, fixedRateTermYears: 15, breakReinvestmentRate: 0.01, saleAtEnd: { breakReinvestmentRate: 0.02 }
+    });
+    if (Math.abs(sold.SaleAtEnd.mortgageBreakCosts - balance * 0.015 * 3) < 1e-6 &&
+        Math.abs(ratePath.SaleAtEnd.mortgageBreakCosts - balance * 0.01 * 3) < 1e-6 &&
+        matured.SaleAtEnd.mortgageBreakCosts === 0 && noTerm.SaleAtEnd.mortgageBreakCosts === 0 &&
+        Math.abs(saleOverride.SaleAtEnd.mortgageBreakCosts - balance * 0.005 * 3) < 1e-6 &&
+        SwissRentBuyCalculator.breakPenalty(100000, 0.01, 0.02, 5) === 0 &&
+        Math.abs(SwissRentBuyCalculator.breakPenalty(100000, 0.03, 0.01, 5) - 10000) < 1e-9) {
+        console.log(`  ✅ PASS: CHF ${Math.round(sold.SaleAtEnd.mortgageBreakCosts).toLocaleString()} for 3 remaining years at 1.5pp, none after maturity or when rates rose`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: sale ${sold.SaleAtEnd.mortgageBreakCosts}, path ${ratePath.SaleAtEnd.mortgageBreakCosts}, matured ${matured.SaleAtEnd.mortgageBreakCosts}`);
+    }
+
+    // Test 2: Early refinancing
+    totalTests++;
+    console.log('\nTest 2: Early refinancing at a lower rate');
+    const refinanced = SwissRentBuyCalculator.calculate({ ...baseParams, fixedRateTermYears: 10, earlyRefinancing: { year: 4, rate: 0.012 } });
+    const lenderRate = SwissRentBuyCalculator.calculate({
+        ...baseParams, fixedRateTermYears: 10, breakReinvestmentRate: 0.015, earlyRefinancing: { year: 4, rate: 0.012 }
+    });
+    const rates = refinanced.YearlyBreakdown.map(y => y.mortgageRateApplied);
+    const balance4 = refinanced.YearlyBreakdown[3].endingBalance;
+    const ignored = SwissRentBuyCalculator.calculate({ ...baseParams, fixedRateTermYears: 10, earlyRefinancing: { year: 12, rate: 0.012 } });
+    if (Math.abs(refinanced.YearlyBreakdown[3].mortgageBreakPenalty - balance4 * 0.013 * 6) < 1e-6 &&
+        refinanced.YearlyBreakdown.every((y, i) => i === 3 || y.mortgageBreakPenalty === 0) &&
+        rates.slice(0, 4).every(r => r === 0.025) && rates.slice(4).every(r => r === 0.012) &&
+        refinanced.YearlyBreakdown[4].trancheBreakdown[0].renewed &&
+        Math.abs(lenderRate.MortgageBreakPenalties - balance4 * 0.01 * 6) < 1e-6 &&
+        ignored.EarlyRefinancing === null && ignored.MortgageBreakPenalties === 0) {
+        console.log(`  ✅ PASS: CHF ${Math.round(refinanced.MortgageBreakPenalties).toLocaleString()} penalty after year 4, then 1.20% instead of 2.50%`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: penalty ${refinanced.MortgageBreakPenalties}, rates ${rates.join(',')}`);
+    }
+
+    // Test 3: Penalty in the purchase costs
+    totalTests++;
+    console.log('\nTest 3: Penalty counts as a purchase cost of its year');
+    // Refinance at the same rate: the only difference is the penalty paid
+    const sameRate = { ...baseParams, fixedRateTermYears: 10, breakReinvestmentRate: 0.015, earlyRefinancing: { year: 4, rate: 0.025 } };
+    const base = SwissRentBuyCalculator.calculate(baseParams);
+    const penalized = SwissRentBuyCalculator.calculate(sameRate);
+    const penalty = penalized.MortgageBreakPenalties;
+    const parity = SwissRentBuyCalculator.calculate({ ...sameRate, scenarioMode: 'cashflowParity', calculationResolution: 'monthly' });
+    const parityBase = SwissRentBuyCalculator.calculate({ ...baseParams, scenarioMode: 'cashflowParity', calculationResolution: 'monthly' });
+    const real = SwissRentBuyCalculator.inRealTerms(SwissRentBuyCalculator.calculate({ ...sameRate, inflationRate: 0.02 }));
+    if (penalty > 0 && Math.abs(base.ResultValue - penalized.ResultValue - penalty) < 1e-6 &&
+        Math.abs(penalized.GeneralCostOfPurchase - base.GeneralCostOfPurchase - penalty) < 1e-6 &&
+        Math.abs(penalized.YearlyBreakdown[3].cumulativeAdvantage - base.YearlyBreakdown[3].cumulativeAdvantage + penalty) < 1e-6 &&
+        Math.abs(penalized.YearlyBreakdown[2].cumulativeAdvantage - base.YearlyBreakdown[2].cumulativeAdvantage) < 1e-6 &&
+        Math.abs(penalized.CashFlows[4].buy - base.CashFlows[4].buy + penalty) < 1e-6 &&
+        Math.abs(parity.YearlyBreakdown[3].renterContribution - parityBase.YearlyBreakdown[3].renterContribution - penalty) < 1e-6 &&
+        Math.abs(real.MortgageBreakPenalties - penalty / Math.pow(1.02, 4)) < 1e-6) {
+        console.log(`  ✅ PASS: CHF ${Math.round(penalty).toLocaleString()} penalty lowers the result by the same amount from year 4`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: result difference ${base.ResultValue - penalized.ResultValue} vs penalty ${penalty}`);
+    }
+
+    // Test 4: Tranches and the new fixed term
+    totalTests++;
+    console.log('\nTest 4: Fixed tranches and the new fixed term');
+    const tranches = [
+        { name: 'Fixed 10y', share: 0.5, rateType: 'fixed', rate: 0.03, maturityYears: 10, renewalRate: 0.02 },
+        { name: 'SARON', share: 0.5, rateType: 'saron', saron: 0.01, margin: 0.008, maturityYears: 3 }
+    ];
+    const split = SwissRentBuyCalculator.calculate({ ...baseParams, mortgageTranches: tranches, earlyRefinancing: { year: 3 } });
+    const fixedBalance = split.YearlyBreakdown[2].trancheBreakdown[0].endingBalance;
+    const y4 = split.YearlyBreakdown[3].trancheBreakdown;
+    const newTerm = SwissRentBuyCalculator.calculate({
+        ...baseParams, fixedRateTermYears: 5, breakReinvestmentRate: 0.01,
+        earlyRefinancing: { year: 3, rate: 0.02, fixedTermYears: 10 }, saleAtEnd: true
+    });
+    const newTermBalance = newTerm.YearlyBreakdown[11].endingBalance;
+    if (Math.abs(split.MortgageBreakPenalties - fixedBalance * 0.01 * 7) < 1e-6 &&
+        y4[0].rate === 0.02 && Math.abs(y4[1].rate - 0.018) < 1e-12 &&
+        split.MortgageTranches[1].refinancing === undefined &&
+        Math.abs(newTerm.SaleAtEnd.mortgageBreakCosts - newTermBalance * 0.01 * 1) < 1e-6) {
+        console.log(`  ✅ PASS: Fixed tranche refinanced at its renewal rate (CHF ${Math.round(split.MortgageBreakPenalties).toLocaleString()} penalty), SARON untouched; new 10-year term broken by the sale`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: split penalty ${split.MortgageBreakPenalties}, rates ${y4.map(t => t.rate).join(',')}, sale break ${newTerm.SaleAtEnd.mortgageBreakCosts}`);
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All break penalty tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some break penalty tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runBreakPenaltyTests()) process.exit(1);
+}
+
+module.exports = { runBreakPenaltyTests };
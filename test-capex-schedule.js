@@ -0,0 +1,164 @@
+/**
+ * Test Component Renewal Schedule (Capex)
+ *
+ * Tests that the component renewal planner correctly:
+ * 1. Leaves results unchanged without a schedule and finds renewals from the building year and lifespans, with a
+ *    fixed default purchase year (not the current date)
+ * 2. Grows renewal costs and honours last renewal years given per component
+ * 3. Deducts the value-preserving share (flat and progressive) and counts the rest as value-enhancing on sale
+ * 4. Adds renewals to the purchase cost, the cashflow parity contributions and the year-by-year series
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runCapexScheduleTests() {
+    console.log('=== Component Renewal Schedule Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 9000,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 6600,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.02,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 15
+    };
+    const capexSchedule = {
+        buildingYear: 1995,
+        purchaseYear: 2026,
+        components: [
+            { name: 'Heating', lifespan: 20, cost: 30000 },               // 2015, 2035
+            { name: 'Roof', lifespan: 40, cost: 60000 },                  // 2035
+            { name: 'Kitchen', lifespan: 15, cost: 30000, valuePreservingShare: 0.5 } // 2025, 2040
+        ]
+    };
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: No capex by default, renewals found from building year and lifespans
+    totalTests++;
+    console.log('Test 1: Default without renewals and renewal years from the building year');
+    const plain = SwissRentBuyCalculator.calculate(baseParams);
+    const planned = SwissRentBuyCalculator.calculate({ ...baseParams, capexSchedule });
+    const renewalYears = planned.YearlyBreakdown.filter(y => y.capitalExpenditure > 0)
+        .map(y => `${y.year}:${y.capexRenewals.join('+')}`);
+    // Without a purchase year the component ages count from the default start year, whatever the date
+    const undatedSchedule = { buildingYear: 1995, components: capexSchedule.components };
+    const getFullYear = Date.prototype.getFullYear;
+    Date.prototype.getFullYear = () => 2031;
+    let undated, undatedResult;
+    try {
+        undated = SwissRentBuyCalculator.resolveCapexSchedule(undatedSchedule, 15);
+        undatedResult = SwissRentBuyCalculator.calculate({ ...baseParams, capexSchedule: undatedSchedule });
+    } finally {
+        Date.prototype.getFullYear = getFullYear;
+    }
+    const undatedOk = undated.purchaseYear === SwissRentBuyCalculator.DEFAULT_START_YEAR &&
+                      undated.capexByYear.join(',') === planned.CapexSchedule.capexByYear.join(',') &&
+                      undatedResult.ResultValue === planned.ResultValue;
+    if (undatedOk && plain.CapexSchedule === null && plain.CapitalExpenditure === 0 &&
+        plain.YearlyBreakdown.every(y => y.capitalExpenditure === 0 && y.capexRenewals.length === 0) &&
+        renewalYears.join(',') === '10:Heating+Roof,15:Kitchen' && planned.CapitalExpenditure === 120000) {
+        console.log(`  ✅ PASS: Renewals ${renewalYears.join(', ')} totalling CHF ${planned.CapitalExpenditure.toLocaleString()}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: renewals ${renewalYears.join(', ')}, total ${planned.CapitalExpenditure}, undated ${undatedOk}`);
+    }
+
+    // Test 2: Cost growth and last renewal years
+    totalTests++;
+    console.log('\nTest 2: Construction cost growth and last renewal year');
+    const schedule = SwissRentBuyCalculator.resolveCapexSchedule({
+        buildingYear: 1970,
+        purchaseYear: 2026,
+        costGrowthRate: 0.02,
+        components: [
+            { name: 'Facade', lifespan: 30, cost: 50000, lastRenewalYear: 2020 },
+            { name: 'Windows', lifespan: 0, cost: 40000 },
+            { name: 'Bathrooms', lifespan: 25, cost: 0 }
+        ]
+    }, 30);
+    const facadeYear = schedule.capexByYear.findIndex(c => c > 0) + 1;
+    if (schedule.components.length === 1 && facadeYear === 25 &&
+        Math.abs(schedule.capexByYear[24] - 50000 * Math.pow(1.02, 24)) < 1e-6 &&
+        schedule.capexByYear.filter(c => c > 0).length === 1 &&
+        SwissRentBuyCalculator.resolveCapexSchedule({ components: [] }, 10) === null) {
+        console.log(`  ✅ PASS: Facade renewed 2050 (year ${facadeYear}) at CHF ${Math.round(schedule.capexByYear[24]).toLocaleString()}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: components=${schedule.components.length}, facade year=${facadeYear}`);
+    }
+
+    // Test 3: Deductible share and value-enhancing share on sale
+    totalTests++;
+    console.log('\nTest 3: Value-preserving deduction and value-enhancing share');
+    const y10 = planned.YearlyBreakdown[9];
+    const y15 = planned.YearlyBreakdown[14];
+    const flatOk = Math.abs(y10.taxSavingsPropertyExpenses - (6600 + 90000) * 0.3) < 1e-6 &&
+                   Math.abs(y15.capexDeductible - 15000) < 1e-6 &&
+                   Math.abs(planned.CapitalExpenditureDeductible - 105000) < 1e-6;
+    const taxModel = { canton: 'ZH', civilStatus: 'married', taxableIncome: 160000 };
+    const progressive = SwissRentBuyCalculator.calculate({ ...baseParams, capexSchedule, taxModel });
+    const p10 = progressive.YearlyBreakdown[9];
+    const progressiveOk = Math.abs(p10.ownerTaxableIncome - (160000 + 33000 - p10.annualInterest - 6600 - 90000)) < 1e-6;
+    const postReform = SwissRentBuyCalculator.calculate({ ...baseParams, capexSchedule, postReform: true });
+    const sold = SwissRentBuyCalculator.calculate({ ...baseParams, capexSchedule, totalRenovations: 20000, saleAtEnd: true });
+    if (flatOk && progressiveOk && postReform.YearlyBreakdown[9].taxSavingsPropertyExpenses === 0 &&
+        sold.SaleAtEnd.valueEnhancingInvestments === 20000 + 15000) {
+        console.log(`  ✅ PASS: Year 10 deduction CHF ${Math.round(y10.taxSavingsPropertyExpenses).toLocaleString()}, CHF 15,000 value-enhancing on sale`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: flat=${flatOk}, progressive=${progressiveOk}, sale VEI=${sold.SaleAtEnd.valueEnhancingInvestments}`);
+    }
+
+    // Test 4: Purchase cost, cashflow parity and series
+    totalTests++;
+    console.log('\nTest 4: Renewals in the totals and year-by-year series');
+    const consistent = ['equalConsumption', 'cashflowParity', 'equalSavings'].every(scenarioMode => {
+        const without = SwissRentBuyCalculator.calculate({ ...baseParams, scenarioMode });
+        const withCapex = SwissRentBuyCalculator.calculate({ ...baseParams, scenarioMode, capexSchedule });
+        const last = withCapex.YearlyBreakdown[withCapex.YearlyBreakdown.length - 1];
+        const taxEffect = withCapex.TaxDifferenceToRental - without.TaxDifferenceToRental;
+        return Math.abs(withCapex.GeneralCostOfPurchase - without.GeneralCostOfPurchase - 120000) < 1e-6 &&
+               (scenarioMode !== 'equalConsumption' || Math.abs(withCapex.TotalPurchaseCost - without.TotalPurchaseCost - 120000 - taxEffect) < 1e-6) &&
+               (scenarioMode !== 'cashflowParity' ||
+                   Math.abs(withCapex.YearlyBreakdown[9].renterContribution - without.YearlyBreakdown[9].renterContribution - 90000) < 1e-6) &&
+               Math.abs(last.totalPurchaseCostToDate - withCapex.TotalPurchaseCost) < 1e-4 &&
+               Math.abs(last.totalRentalCostToDate - withCapex.TotalRentalCost) < 1e-4;
+    });
+    if (consistent) {
+        console.log('  ✅ PASS: Renewals raise the purchase cost and the renter\'s parity contributions in renewal years');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Renewals inconsistent with totals or series');
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All component renewal tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some component renewal tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runCapexScheduleTests()) process.exit(1);
+}
+
+module.exports = { runCapexScheduleTests };
@@ -0,0 +1,155 @@
+/**
+ * Test Condominium (STWE) Mode
+ *
+ * Tests that the condominium cost structure correctly:
+ * 1. Leaves houses unchanged and adds fund contributions and common charges for a condominium
+ * 2. Pays common renewals from the owner's fund share and levies special assessments when it is short
+ * 3. Deducts contributions, the value-preserving share of special assessments and the deductible share of charges
+ * 4. Counts the fund share as an asset at the start and end, consistent with the year-by-year series
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runCondominiumTests() {
+    console.log('=== Condominium (STWE) Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 900000,
+        downPayment: 180000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 5000,
+        amortizationYears: 15,
+        annualAmortization: 12000,
+        additionalPurchaseCosts: 27000,
+        imputedRentalValue: 20000,
+        propertyTaxDeductions: 4000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.02,
+        monthlyRent: 2800,
+        annualRentalCosts: 3600,
+        investmentYieldRate: 0.04,
+        termYears: 20
+    };
+    const condominium = { ownershipShare: 0.08, renewalFundBalance: 300000, renewalFundContribution: 2000, commonCharges: 2400 };
+    const capexSchedule = {
+        buildingYear: 1990,
+        purchaseYear: 2026,
+        components: [
+            { name: 'Roof', lifespan: 40, cost: 800000, common: true, valuePreservingShare: 0.75 }, // 2030: 64,000 owner share
+            { name: 'Kitchen', lifespan: 20, cost: 30000 }                                          // 2030, paid directly
+        ]
+    };
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: House unchanged, condominium adds contributions and charges
+    totalTests++;
+    console.log('Test 1: House default and recurring condominium costs');
+    const house = SwissRentBuyCalculator.calculate(baseParams);
+    const explicitHouse = SwissRentBuyCalculator.calculate({ ...baseParams, propertyType: 'house', condominium });
+    const condo = SwissRentBuyCalculator.calculate({ ...baseParams, propertyType: 'condominium', condominium });
+    const defaults = SwissRentBuyCalculator.resolveCondominium('condominium', null, 900000);
+    if (house.PropertyType === 'house' && house.Condominium === null && house.CondominiumCosts === 0 &&
+        explicitHouse.TotalPurchaseCost === house.TotalPurchaseCost &&
+        condo.YearlyBreakdown.every(y => y.condominiumCosts === 4400) &&
+        Math.abs(condo.GeneralCostOfPurchase - house.GeneralCostOfPurchase - 20 * 4400) < 1e-6 &&
+        condo.MonthlyCondominiumCosts === 367 &&
+        defaults.renewalFundContribution === 2250 && defaults.ownershipShare === 0.05) {
+        console.log(`  ✅ PASS: CHF 4,400 per year on top of maintenance, CHF ${condo.CondominiumCosts.toLocaleString()} over 20 years`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: condominium costs ${condo.CondominiumCosts}, monthly ${condo.MonthlyCondominiumCosts}`);
+    }
+
+    // Test 2: Fund pays common renewals, shortfall becomes a special assessment
+    totalTests++;
+    console.log('\nTest 2: Renewal fund draw and special assessment');
+    const renewed = SwissRentBuyCalculator.calculate({ ...baseParams, propertyType: 'condominium', condominium, capexSchedule });
+    const y5 = renewed.YearlyBreakdown[4];
+    const fundBefore = 24000 + 4 * 2000;
+    const fundOk = Math.abs(renewed.YearlyBreakdown[3].renewalFundShareEndOfYear - fundBefore) < 1e-6 &&
+                   Math.abs(y5.renewalFundDraw - (fundBefore + 2000)) < 1e-6 &&
+                   Math.abs(y5.specialAssessment - (64000 - fundBefore - 2000)) < 1e-6 &&
+                   y5.renewalFundShareEndOfYear === 0 && y5.capitalExpenditure === 30000 &&
+                   Math.abs(renewed.SpecialAssessments - y5.specialAssessment) < 1e-6;
+    const funded = SwissRentBuyCalculator.calculate({
+        ...baseParams, propertyType: 'condominium', condominium: { ...condominium, renewalFundBalance: 1000000 }, capexSchedule
+    });
+    if (fundOk && funded.SpecialAssessments === 0 && funded.YearlyBreakdown[4].renewalFundDraw === 64000) {
+        console.log(`  ✅ PASS: Fund share pays CHF ${Math.round(y5.renewalFundDraw).toLocaleString()}, special assessment CHF ${Math.round(y5.specialAssessment).toLocaleString()}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: draw=${y5.renewalFundDraw}, special=${y5.specialAssessment}, funded special=${funded.SpecialAssessments}`);
+    }
+
+    // Test 3: Tax deductibility of condominium costs
+    totalTests++;
+    console.log('\nTest 3: Deductible contributions, special assessments and charges');
+    const deductible = SwissRentBuyCalculator.calculate({
+        ...baseParams, propertyType: 'condominium', condominium: { ...condominium, commonChargesDeductibleShare: 0.5 }, capexSchedule
+    });
+    const d1 = deductible.YearlyBreakdown[0];
+    const d5 = deductible.YearlyBreakdown[4];
+    const flatOk = Math.abs(d1.taxSavingsPropertyExpenses - (4000 + 2000 + 1200) * 0.3) < 1e-6 &&
+                   Math.abs(d5.taxSavingsPropertyExpenses - (4000 + 30000 + 2000 + d5.specialAssessment * 0.75 + 1200) * 0.3) < 1e-6;
+    const taxModel = { canton: 'ZH', civilStatus: 'married', taxableIncome: 140000 };
+    const progressive = SwissRentBuyCalculator.calculate({ ...baseParams, propertyType: 'condominium', condominium, taxModel });
+    const p1 = progressive.YearlyBreakdown[0];
+    const progressiveOk = Math.abs(p1.ownerTaxableIncome - (140000 + 20000 - p1.annualInterest - 4000 - 2000)) < 1e-6;
+    const postReform = SwissRentBuyCalculator.calculate({ ...baseParams, propertyType: 'condominium', condominium, postReform: true });
+    if (flatOk && progressiveOk && postReform.YearlyBreakdown[0].taxSavingsPropertyExpenses === 0) {
+        console.log(`  ✅ PASS: Year 1 deduction CHF ${Math.round(d1.taxSavingsPropertyExpenses).toLocaleString()}, none after the reform`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: flat=${flatOk}, progressive=${progressiveOk}`);
+    }
+
+    // Test 4: Fund share as an asset, consistent totals and series
+    totalTests++;
+    console.log('\nTest 4: Renewal fund share in the totals and year-by-year series');
+    const consistent = ['equalConsumption', 'cashflowParity', 'equalSavings'].every(scenarioMode => {
+        const result = SwissRentBuyCalculator.calculate({
+            ...baseParams, scenarioMode, propertyType: 'condominium', condominium, capexSchedule, inflationRate: 0.01
+        });
+        const last = result.YearlyBreakdown[result.YearlyBreakdown.length - 1];
+        const real = result.RealTerms;
+        const realParts = real.GeneralCostOfPurchase + real.TaxDifferenceToRental + real.MinusPropertyValue +
+                          real.MortgageAtEndOfRelevantTimePeriod + real.MinusPillar3aNetCapital + real.OwnerWealthTax +
+                          real.PropertySaleCosts + real.MinusRenewalFundShare;
+        return result.RenewalFundShareAtStart === 24000 &&
+               Math.abs(result.MinusPropertyValue + (900000 - 24000) * Math.pow(1.02, 20)) < 1e-6 &&
+               Math.abs(result.MinusRenewalFundShare + last.renewalFundShareEndOfYear) < 1e-9 &&
+               Math.abs(last.totalPurchaseCostToDate - result.TotalPurchaseCost) < 1e-4 &&
+               Math.abs(last.totalRentalCostToDate - result.TotalRentalCost) < 1e-4 &&
+               Math.abs(realParts - real.TotalPurchaseCost) < 1e-6 &&
+               (scenarioMode !== 'cashflowParity' ||
+                   result.YearlyBreakdown[4].renterContribution > result.YearlyBreakdown[3].renterContribution);
+    });
+    if (consistent) {
+        console.log('  ✅ PASS: Fund share bought with the unit and held at the end offsets the purchase cost');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Renewal fund share inconsistent with totals or series');
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All condominium tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some condominium tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runCondominiumTests()) process.exit(1);
+}
+
+module.exports = { runCondominiumTests };
@@ -0,0 +1,120 @@
+/**
+ * Test Down Payment Funding (Pillar 3a, WEF Withdrawal, Pension Pledge)
+ *
+ * Tests that the funding breakdown correctly:
+ * 1. Leaves an all-cash down payment unchanged and caps funding at the down payment
+ * 2. Taxes 3a/pension withdrawals and keeps that money in its account for the renter
+ * 3. Turns a pension pledge into additional mortgage instead of equity
+ * 4. Keeps the year-by-year series consistent with the final totals
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runDownPaymentFundingTests() {
+    console.log('=== Down Payment Funding Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 15,
+        pillar3aReturnRate: 0.02,
+        pensionFundRate: 0.0125,
+        downPaymentWithdrawalTaxRate: 0.06
+    };
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Cash funding by default, capped breakdown
+    totalTests++;
+    console.log('Test 1: All-cash default and capped funding amounts');
+    const cash = SwissRentBuyCalculator.calculate(baseParams);
+    const explicitCash = SwissRentBuyCalculator.calculate({ ...baseParams, downPaymentFunding: { pillar3a: 0 } });
+    const capped = SwissRentBuyCalculator.resolveDownPaymentFunding({ pillar3a: 100000, pensionWithdrawal: 250000 }, 300000);
+    if (cash.ResultValue === explicitCash.ResultValue && cash.DownPaymentFunding.cash === 300000 &&
+        capped.pillar3a === 100000 && capped.pensionWithdrawal === 200000 && capped.cash === 0) {
+        console.log('  ✅ PASS: Cash default unchanged, funding never exceeds the down payment');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Unexpected funding split');
+    }
+
+    // Test 2: WEF withdrawal is taxed and the renter keeps the pension capital
+    totalTests++;
+    console.log('\nTest 2: Pension withdrawal taxed, renter keeps pension capital');
+    const wef = SwissRentBuyCalculator.calculate({ ...baseParams, downPaymentFunding: { pensionWithdrawal: 100000 } });
+    const expectedNetGrowth = 100000 * Math.pow(1.0125, 15) * 0.94 - 100000;
+    const wefOk = Math.abs(wef.DownPaymentWithdrawalTax - 6000) < 1e-6 &&
+                  Math.abs(wef.ExcludingRetainedPensionCapitalGrowth + expectedNetGrowth) < 1e-6 &&
+                  Math.abs(wef.YearlyBreakdown[0].portfolioValueEndOfYear - (200000 + 45000 + 6000) * 1.04) < 1e-6 &&
+                  Math.abs(wef.YearlyBreakdown[14].retainedPensionEndOfYear - 100000 * Math.pow(1.0125, 15)) < 1e-6 &&
+                  wef.MortgageAmount === 1200000;
+    if (wefOk) {
+        console.log('  ✅ PASS: Withdrawal tax charged to the buyer, pension capital grows at the BVG rate for the renter');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: WEF withdrawal accounting incorrect');
+    }
+
+    // Test 3: Pledge increases the mortgage and reduces the equity contribution
+    totalTests++;
+    console.log('\nTest 3: Pension pledge increases the mortgage');
+    const pledge = SwissRentBuyCalculator.calculate({ ...baseParams, downPaymentFunding: { pensionPledge: 100000 } });
+    if (pledge.MortgageAmount === 1300000 && pledge.ExcludingDownPayment === -200000 &&
+        pledge.DownPaymentWithdrawalTax === 0 &&
+        Math.abs(pledge.YearlyBreakdown[0].annualInterest - 1300000 * 0.018) < 1e-6) {
+        console.log('  ✅ PASS: Pledged amount financed by the mortgage, no withdrawal tax');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Pledge not modeled as additional mortgage');
+    }
+
+    // Test 4: To-date series matches final totals in every scenario mode
+    totalTests++;
+    console.log('\nTest 4: Year-by-year series consistent with totals');
+    const funding = { pillar3a: 40000, pensionWithdrawal: 60000, pensionPledge: 30000 };
+    const consistent = ['equalConsumption', 'cashflowParity', 'equalSavings'].every(scenarioMode => {
+        const r = SwissRentBuyCalculator.calculate({ ...baseParams, scenarioMode, downPaymentFunding: funding });
+        const last = r.YearlyBreakdown[r.YearlyBreakdown.length - 1];
+        return Math.abs(last.totalPurchaseCostToDate - r.TotalPurchaseCost) < 1e-4 &&
+               Math.abs(last.totalRentalCostToDate - r.TotalRentalCost) < 1e-4;
+    });
+    if (consistent) {
+        console.log('  ✅ PASS: Final year of the series equals the totals');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Series and totals diverge');
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All down payment funding tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some down payment funding tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runDownPaymentFundingTests()) process.exit(1);
+}
+
+module.exports = { runDownPaymentFundingTests };
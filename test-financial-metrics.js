@@ -0,0 +1,144 @@
+/**
+ * Test Cash Flows and Financial Metrics (IRR / NPV)
+ *
+ * Tests that the financial metrics correctly:
+ * 1. Expose explicit per-year cash flows of buying, renting, the home equity and the renter portfolio
+ * 2. Discount both alternatives at the given rate (NPV difference at 0% reconciles with ResultValue in every mode)
+ * 3. Solve the internal rate of return on the equity invested in the home
+ * 4. Report the renter portfolio's money-weighted return
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runFinancialMetricsTests() {
+    console.log('=== Financial Metrics (IRR / NPV) Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        totalRenovations: 30000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 15
+    };
+    const sum = values => values.reduce((total, v) => total + v, 0);
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Cash flow series
+    totalTests++;
+    console.log('Test 1: Per-year cash flows of both alternatives');
+    const result = SwissRentBuyCalculator.calculate(baseParams);
+    const flows = result.CashFlows;
+    const y1 = result.YearlyBreakdown[0];
+    const last = result.YearlyBreakdown[14];
+    const ownerTerminal = last.propertyValueEndOfYear - last.endingBalance;
+    const y1Costs = y1.annualInterest + y1.annualAmortization + y1.annualMaintenance + y1.annualTaxDifference;
+    if (flows.length === 16 && flows[0].year === 0 && flows[15].year === 15 &&
+        flows[0].buy === -(300000 + 45000 + 30000) && flows[0].rent === -(300000 + 45000) &&
+        Math.abs(flows[1].buy + y1Costs) < 1e-6 &&
+        Math.abs(flows[1].rent + y1.annualRent + y1.annualRentalCosts + y1.investmentIncomeTaxThisYear) < 1e-6 &&
+        flows.every((f, t) => t === 0 || Math.abs(f.ownerEquity - f.buy - result.YearlyBreakdown[t - 1].annualRent - result.YearlyBreakdown[t - 1].annualRentalCosts) < 1e-6) &&
+        Math.abs(flows[15].portfolio - last.portfolioValueEndOfYear) < 1e-6 &&
+        Math.abs(flows[15].buy - (ownerTerminal - (last.annualInterest + last.annualAmortization + last.annualMaintenance + last.annualTaxDifference))) < 1e-6) {
+        console.log(`  ✅ PASS: CHF ${(-flows[0].buy).toLocaleString()} equity at purchase, CHF ${Math.round(ownerTerminal).toLocaleString()} equity after 15 years`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: year 0 buy=${flows[0].buy}, rent=${flows[0].rent}, year 1 buy=${flows[1].buy}`);
+    }
+
+    // Test 2: Net present values
+    totalTests++;
+    console.log('\nTest 2: NPV of buying and renting');
+    const undiscounted = SwissRentBuyCalculator.calculate({ ...baseParams, discountRate: 0 });
+    const sold = SwissRentBuyCalculator.calculate({ ...baseParams, discountRate: 0, saleAtEnd: true });
+    const parity = SwissRentBuyCalculator.calculate({ ...baseParams, discountRate: 0, scenarioMode: 'cashflowParity' });
+    const saving = SwissRentBuyCalculator.calculate({ ...baseParams, discountRate: 0, scenarioMode: 'equalSavings' });
+    const contributions = sum(parity.YearlyBreakdown.map(y => y.renterContribution));
+    const m = result.FinancialMetrics;
+    const discounted = SwissRentBuyCalculator.calculate({ ...baseParams, discountRate: 0.06 }).FinancialMetrics;
+    const manual = sum(flows.map((f, t) => f.buy / Math.pow(1.06, t)));
+    if (m.discountRate === 0.04 && discounted.discountRate === 0.06 && Math.abs(discounted.npvBuy - manual) < 1e-6 &&
+        Math.abs(undiscounted.FinancialMetrics.npvBuy - sum(flows.map(f => f.buy))) < 1e-6 &&
+        Math.abs(undiscounted.FinancialMetrics.npvDifference - undiscounted.ResultValue) < 1e-6 &&
+        Math.abs(sold.FinancialMetrics.npvDifference - sold.ResultValue) < 1e-6 &&
+        // Contributions are renter outflows here, while ResultValue nets them out of the rental cost
+        Math.abs(parity.FinancialMetrics.savingsContributions - contributions) < 1e-6 &&
+        Math.abs(parity.FinancialMetrics.npvDifference - (parity.ResultValue + parity.FinancialMetrics.savingsContributions)) < 1e-6 &&
+        Math.abs(saving.FinancialMetrics.npvDifference - (saving.ResultValue + saving.FinancialMetrics.savingsContributions)) < 1e-6 &&
+        saving.FinancialMetrics.savingsContributions === 300000 && undiscounted.FinancialMetrics.savingsContributions === 0 &&
+        Math.abs(m.npvDifference - (m.npvBuy - m.npvRent)) < 1e-9) {
+        console.log(`  ✅ PASS: NPV difference CHF ${Math.round(m.npvDifference).toLocaleString()} at 4%, equals ResultValue CHF ${Math.round(undiscounted.ResultValue).toLocaleString()} at 0%`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: npvDifference(0)=${undiscounted.FinancialMetrics.npvDifference} vs ${undiscounted.ResultValue}`);
+    }
+
+    // Test 3: Internal rate of return
+    totalTests++;
+    console.log('\nTest 3: IRR on the equity invested in the home');
+    const irr = m.equityIrr;
+    const npvAtIrr = SwissRentBuyCalculator.npv(irr, flows.map(f => f.ownerEquity));
+    const simple = SwissRentBuyCalculator.irr([-1000, 100, 1100]);
+    const negative = SwissRentBuyCalculator.irr([-1000, 0, 810]);
+    const richer = SwissRentBuyCalculator.calculate({ ...baseParams, propertyAppreciationRate: 0.03 }).FinancialMetrics.equityIrr;
+    if (Math.abs(npvAtIrr) < 1e-3 && irr > 0 && richer > irr &&
+        Math.abs(simple - 0.1) < 1e-9 && Math.abs(negative + 0.1) < 1e-9 &&
+        SwissRentBuyCalculator.irr([100, 50]) === null && SwissRentBuyCalculator.irr([]) === null) {
+        console.log(`  ✅ PASS: Home equity earns ${(irr * 100).toFixed(2)}% per year (${(richer * 100).toFixed(2)}% at 3% appreciation)`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: irr=${irr}, NPV at IRR=${npvAtIrr}, simple=${simple}, negative=${negative}`);
+    }
+
+    // Test 4: Money-weighted return of the renter portfolio
+    totalTests++;
+    console.log('\nTest 4: Renter portfolio money-weighted return');
+    const split = SwissRentBuyCalculator.calculate({
+        ...baseParams, portfolioReturns: { incomeYieldRate: 0.02, ter: 0.003, withholdingTaxLeakage: 0.15 }
+    });
+    const varying = SwissRentBuyCalculator.calculate({
+        ...baseParams, scenarioMode: 'equalSavings', investmentYieldPath: [0.1, 0.1, 0.1, -0.2, 0.05]
+    });
+    const mwr = varying.FinancialMetrics.portfolioMoneyWeightedReturn;
+    if (Math.abs(m.portfolioMoneyWeightedReturn - 0.04) < 1e-9 &&
+        Math.abs(split.FinancialMetrics.portfolioMoneyWeightedReturn - split.PortfolioReturns.netReturnRate) < 1e-9 &&
+        mwr > -0.2 && mwr < 0.1 &&
+        Math.abs(SwissRentBuyCalculator.npv(mwr, varying.CashFlows.map(f => f.portfolio))) < 1e-3) {
+        console.log(`  ✅ PASS: Flat 4% yield returns 4.00%; with contributions and a -20% year ${(mwr * 100).toFixed(2)}%`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: flat=${m.portfolioMoneyWeightedReturn}, split=${split.FinancialMetrics.portfolioMoneyWeightedReturn}, varying=${mwr}`);
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All financial metrics tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some financial metrics tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runFinancialMetricsTests()) process.exit(1);
+}
+
+module.exports = { runFinancialMetricsTests };
@@ -0,0 +1,130 @@
+/**
+ * Test Holding-Period Analysis
+ *
+ * Tests that the holding-period analysis correctly:
+ * 1. Reports the outcome of selling at the end of every year of the term (mark-to-market and net after sale)
+ * 2. Deducts selling costs, property gains tax and mortgage break costs of each exit year
+ * 3. Identifies the minimum holding period for buying to win
+ * 4. Reports real values when an inflation rate is set
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runHoldingPeriodTests() {
+    console.log('=== Holding-Period Analysis Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        totalRenovations: 30000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 15
+    };
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Outcome per exit year
+    totalTests++;
+    console.log('Test 1: Selling at the end of every year');
+    const holding = SwissRentBuyCalculator.holdingPeriodAnalysis(baseParams);
+    const full = SwissRentBuyCalculator.calculate(baseParams);
+    const sold7 = SwissRentBuyCalculator.calculate({ ...baseParams, termYears: 7, saleAtEnd: true });
+    const y7 = holding.years[6];
+    const markToMarketOk = holding.years.every((y, i) => Math.abs(y.markToMarketResultValue - full.YearlyBreakdown[i].cumulativeAdvantage) < 1e-6);
+    if (holding.years.length === 15 && holding.termYears === 15 && markToMarketOk &&
+        y7.year === 7 && Math.abs(y7.resultValue - sold7.ResultValue) < 1e-6 &&
+        holding.years.every(y => Math.abs(y.markToMarketResultValue - y.saleCosts - y.resultValue) < 1e-6)) {
+        console.log(`  ✅ PASS: Sold in year 7: CHF ${Math.round(y7.resultValue).toLocaleString()} vs CHF ${Math.round(y7.markToMarketResultValue).toLocaleString()} mark-to-market`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: mark-to-market=${markToMarketOk}, year 7 ${y7.resultValue} vs ${sold7.ResultValue}`);
+    }
+
+    // Test 2: Exit costs of each year
+    totalTests++;
+    console.log('\nTest 2: Selling costs, property gains tax and break costs');
+    const tranches = [
+        { name: 'Fixed 10y', share: 1, rateType: 'fixed', rate: 0.03, maturityYears: 10, renewalRate: 0.015 }
+    ];
+    const fixed = SwissRentBuyCalculator.holdingPeriodAnalysis({
+        ...baseParams, mortgageTranches: tranches, saleAtEnd: { brokerCommissionRate: 0.03, notaryFeeRate: 0 }
+    });
+    const gainsTaxes = holding.years.map(y => y.propertyGainsTax);
+    const y4 = fixed.years[3];
+    const y12 = fixed.years[11];
+    if (fixed.years.every(y => Math.abs(y.sellingCosts - y.salePrice * 0.03) < 1e-6) &&
+        Math.abs(holding.years[0].salePrice - 1500000 * 1.015) < 1e-6 &&
+        gainsTaxes[0] === 0 && gainsTaxes[14] > gainsTaxes[9] &&
+        y4.mortgageBreakCosts > 0 && y12.mortgageBreakCosts === 0 &&
+        Math.abs(y4.saleCosts - y4.sellingCosts - y4.propertyGainsTax - y4.mortgageBreakCosts) < 1e-6) {
+        console.log(`  ✅ PASS: Break costs CHF ${Math.round(y4.mortgageBreakCosts).toLocaleString()} when selling in year 4 of a 10-year fixed rate, none after maturity`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: year 4 break=${y4.mortgageBreakCosts}, year 12 break=${y12.mortgageBreakCosts}, gains taxes ${gainsTaxes.join(',')}`);
+    }
+
+    // Test 3: Minimum holding period
+    totalTests++;
+    console.log('\nTest 3: Minimum holding period for buying to win');
+    const minimum = holding.minimumHoldingYears;
+    const cheapRent = SwissRentBuyCalculator.holdingPeriodAnalysis({ ...baseParams, monthlyRent: 2000 });
+    const short = SwissRentBuyCalculator.holdingPeriodAnalysis({ ...baseParams, termYears: 1 });
+    if (minimum !== null && holding.years.slice(minimum - 1).every(y => y.buyWins) &&
+        (minimum === 1 || !holding.years[minimum - 2].buyWins) &&
+        holding.firstWinningYear <= minimum &&
+        cheapRent.minimumHoldingYears === null && cheapRent.firstWinningYear === null &&
+        short.years.length === 1 && short.minimumHoldingYears === null) {
+        console.log(`  ✅ PASS: Buying wins when held ${minimum} years or longer; never at CHF 2,000 rent`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: minimum=${minimum}, first=${holding.firstWinningYear}, cheap rent=${cheapRent.minimumHoldingYears}`);
+    }
+
+    // Test 4: Real terms
+    totalTests++;
+    console.log('\nTest 4: Values in today\'s CHF with an inflation rate');
+    const real = SwissRentBuyCalculator.holdingPeriodAnalysis({ ...baseParams, inflationRate: 0.02 });
+    const real10 = SwissRentBuyCalculator.inRealTerms(SwissRentBuyCalculator.calculate({ ...baseParams, inflationRate: 0.02, termYears: 10, saleAtEnd: true }));
+    const r10 = real.years[9];
+    if (holding.valueBasis === 'nominal' && real.valueBasis === 'real' &&
+        Math.abs(r10.resultValue - real10.ResultValue) < 1e-6 &&
+        Math.abs(r10.salePrice - holding.years[9].salePrice / Math.pow(1.02, 10)) < 1e-6 &&
+        Math.abs(r10.saleCosts - r10.sellingCosts - r10.propertyGainsTax - r10.mortgageBreakCosts) < 1e-6) {
+        console.log(`  ✅ PASS: Sold in year 10: CHF ${Math.round(r10.resultValue).toLocaleString()} in today's CHF`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: basis ${real.valueBasis}, year 10 ${r10.resultValue} vs ${real10.ResultValue}`);
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All holding-period tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some holding-period tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runHoldingPeriodTests()) process.exit(1);
+}
+
+module.exports = { runHoldingPeriodTests };
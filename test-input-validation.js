@@ -0,0 +1,130 @@
+/**
+ * Test Input Validation
+ *
+ * Tests that the engine's input checks correctly:
+ * 1. Report values outside the valid ranges, missing numbers (empty form fields) and unknown modes per parameter
+ * 2. Apply the Swiss lending rules (down payment up to the price, 10% hard equity, 80% mortgage)
+ * 3. Warn about implausible values and too little amortization without rejecting them
+ * 4. Flag the result of calculate() through Validation and ErrorMsg
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runInputValidationTests() {
+    console.log('=== Input Validation Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 10
+    };
+    const validate = overrides => SwissRentBuyCalculator.validateInputs({ ...baseParams, ...overrides });
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Ranges, numbers and modes
+    totalTests++;
+    console.log('Test 1: Field-level errors');
+    const base = validate({});
+    const broken = validate({ purchasePrice: NaN, termYears: -5, amortizationYears: 0, mortgageRate: 0.3, monthlyRent: '', scenarioMode: 'equalRent' });
+    if (base.valid && Object.keys(base.errors).length === 0 && Object.keys(base.warnings).length === 0 &&
+        !broken.valid && Object.keys(broken.errors).sort().join(',') === 'amortizationYears,monthlyRent,mortgageRate,purchasePrice,scenarioMode,termYears' &&
+        broken.errors.purchasePrice === 'Purchase price must be a number.' &&
+        broken.errors.monthlyRent === 'Monthly rent must be a number.' &&
+        broken.errors.amortizationYears === 'Amortization period must be at least 1 year.' &&
+        broken.errors.mortgageRate === 'Mortgage rate must be at most 25%.' &&
+        validate({ termYears: 2.5 }).errors.termYears === 'Term must be a whole number of years.' &&
+        validate({ discountRate: null, inflationRate: null }).valid && SwissRentBuyCalculator.validateInputs({}).valid) {
+        console.log(`  ✅ PASS: ${Object.keys(broken.errors).length} errors keyed by parameter, e.g. "${broken.errors.mortgageRate}"`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: base ${JSON.stringify(base)}, broken ${JSON.stringify(broken.errors)}`);
+    }
+
+    // Test 2: Lending rules
+    totalTests++;
+    console.log('\nTest 2: Down payment, hard equity and loan-to-value');
+    const overPaid = validate({ downPayment: 1600000 });
+    const thin = validate({ downPayment: 120000 });
+    const pension = validate({ downPaymentFunding: { pensionWithdrawal: 200000 } });
+    const pledged = validate({ downPayment: 225000, downPaymentFunding: { pensionPledge: 100000 } });
+    const highLtv = validate({ downPayment: 225000, annualAmortization: 30000 });
+    if (overPaid.errors.downPayment === 'Down payment of CHF 1,600,000 exceeds the purchase price.' &&
+        thin.errors.downPayment && thin.errors.downPayment.startsWith('At least 10% of the price') &&
+        pension.errors.downPaymentFunding && !pension.errors.downPayment &&
+        pledged.errors.downPaymentFunding && pledged.warnings.downPayment === undefined &&
+        highLtv.valid && highLtv.warnings.downPayment === 'The mortgage is 85% of the price; lenders finance up to 80%.' &&
+        validate({ downPayment: 150000, annualAmortization: 30000 }).valid) {
+        console.log(`  ✅ PASS: ${thin.errors.downPayment}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: over ${overPaid.errors.downPayment}, thin ${thin.errors.downPayment}, pension ${JSON.stringify(pension.errors)}, ltv ${JSON.stringify(highLtv.warnings)}`);
+    }
+
+    // Test 3: Warnings
+    totalTests++;
+    console.log('\nTest 3: Implausible values and amortization');
+    const optimistic = validate({ investmentYieldRate: 0.15, propertyAppreciationRate: -0.08 });
+    const slow = validate({ annualAmortization: 10000 });
+    const short = validate({ annualAmortization: 20000, amortizationYears: 5 });
+    if (optimistic.valid && optimistic.warnings.investmentYieldRate === 'Investment yield of 15% is outside the usual range (-5% to 12%).' &&
+        optimistic.warnings.propertyAppreciationRate && Object.keys(optimistic.errors).length === 0 &&
+        slow.valid && slow.warnings.annualAmortization ===
+            'The mortgage above 2/3 of the price (CHF 200,000) must be amortized within 15 years; CHF 150,000 is.' &&
+        short.warnings.annualAmortization && !validate({ downPayment: 500000, annualAmortization: 0 }).warnings.annualAmortization) {
+        console.log(`  ✅ PASS: ${slow.warnings.annualAmortization}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: optimistic ${JSON.stringify(optimistic.warnings)}, slow ${JSON.stringify(slow.warnings)}`);
+    }
+
+    // Test 4: Result of calculate()
+    totalTests++;
+    console.log('\nTest 4: Validation and ErrorMsg in the result');
+    const valid = SwissRentBuyCalculator.calculate(baseParams);
+    const invalid = SwissRentBuyCalculator.calculate({ ...baseParams, downPayment: 1600000, termYears: 0 });
+    const warned = SwissRentBuyCalculator.calculate({ ...baseParams, investmentYieldRate: 0.15 });
+    if (valid.ErrorMsg === null && valid.Validation.valid &&
+        invalid.Validation.valid === false && invalid.ErrorMsg === Object.values(invalid.Validation.errors).join(' ') &&
+        invalid.ErrorMsg.includes('Term must be at least 1 year.') && invalid.ErrorMsg.includes('exceeds the purchase price') &&
+        warned.ErrorMsg === null && warned.Validation.warnings.investmentYieldRate !== undefined &&
+        Number.isFinite(warned.ResultValue)) {
+        console.log(`  ✅ PASS: ErrorMsg "${invalid.ErrorMsg}"`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: valid ${valid.ErrorMsg}, invalid ${invalid.ErrorMsg}`);
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All input validation tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some input validation tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runInputValidationTests()) process.exit(1);
+}
+
+module.exports = { runInputValidationTests };
@@ -0,0 +1,216 @@
+/**
+ * Test Monte Carlo Simulation
+ *
+ * Tests that the simulation correctly:
+ * 1. Reproduces runs for the same seed and the deterministic result when nothing is drawn
+ * 2. Draws from normal (with bounds), uniform and fixed distributions, with drawn yields applied to a return split
+ * 3. Correlates the drawn rates, draws autocorrelated rates per year and rejects contradictory correlations
+ * 4. Reports P10/P50/P90 bands per year consistent with the probability that buying wins, with drawn
+ *    mortgage rates shifting the rate path and tranches
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+const SwissMonteCarlo = require('./monte-carlo.js');
+
+function runMonteCarloTests() {
+    console.log('=== Monte Carlo Simulation Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.01,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 15
+    };
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const stdDev = values => Math.sqrt(mean(values.map(v => (v - mean(values)) ** 2)));
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Seed reproducibility and deterministic limit
+    totalTests++;
+    console.log('Test 1: Reproducible runs and the deterministic result without spread');
+    const first = SwissMonteCarlo.simulate(baseParams, { runs: 200, seed: 42 });
+    const again = SwissMonteCarlo.simulate(baseParams, { runs: 200, seed: 42 });
+    const other = SwissMonteCarlo.simulate(baseParams, { runs: 200, seed: 43 });
+    const fixed = SwissMonteCarlo.simulate(baseParams, {
+        runs: 20,
+        variables: {
+            propertyAppreciationRate: { distribution: 'fixed' },
+            investmentYieldRate: { distribution: 'fixed' },
+            mortgageRate: { stdDev: 0 }
+        }
+    });
+    const deterministic = SwissRentBuyCalculator.calculate(baseParams);
+    if (JSON.stringify(first.draws) === JSON.stringify(again.draws) &&
+        JSON.stringify(first.draws) !== JSON.stringify(other.draws) &&
+        fixed.draws.every(d => d.resultValue === deterministic.ResultValue) &&
+        fixed.resultValue.p10 === deterministic.ResultValue && fixed.resultValue.p90 === deterministic.ResultValue &&
+        fixed.probabilityBuyWins === (deterministic.ResultValue > 0 ? 1 : 0)) {
+        console.log(`  ✅ PASS: Seed 42 reproduces ${first.runs} runs; zero spread gives CHF ${Math.round(deterministic.ResultValue).toLocaleString()} in every run`);
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Runs not reproducible or deterministic limit not matched');
+    }
+
+    // Test 2: Distributions
+    totalTests++;
+    console.log('\nTest 2: Normal, bounded, uniform and fixed distributions');
+    const drawn = SwissMonteCarlo.simulate(baseParams, {
+        runs: 2000,
+        seed: 7,
+        variables: {
+            propertyAppreciationRate: { mean: 0.02, stdDev: 0.01 },
+            investmentYieldRate: { distribution: 'uniform', min: 0.01, max: 0.07 },
+            mortgageRate: { mean: 0.005, stdDev: 0.01, min: 0 }
+        }
+    });
+    const appreciation = drawn.draws.map(d => d.propertyAppreciationRate);
+    const yields = drawn.draws.map(d => d.investmentYieldRate);
+    const mortgage = drawn.draws.map(d => d.mortgageRate);
+    const normalOk = Math.abs(mean(appreciation) - 0.02) < 0.001 && Math.abs(stdDev(appreciation) - 0.01) < 0.001;
+    const uniformOk = yields.every(v => v >= 0.01 && v <= 0.07) && Math.abs(mean(yields) - 0.04) < 0.002 &&
+                      Math.abs(stdDev(yields) - 0.06 / Math.sqrt(12)) < 0.002;
+    const boundedOk = mortgage.every(v => v >= 0) && mortgage.filter(v => v === 0).length > 400;
+    const defaults = SwissMonteCarlo.resolveVariables(null, baseParams);
+    // With a return split the drawn yields still move the portfolio (capital growth = yield - income yield)
+    const splitRuns = SwissMonteCarlo.simulate({
+        ...baseParams, portfolioReturns: { incomeYieldRate: 0.02 }
+    }, { runs: 50, seed: 7, variables: { propertyAppreciationRate: { distribution: 'fixed' }, mortgageRate: { distribution: 'fixed' } } });
+    const splitOk = splitRuns.draws.every(d => Math.abs(d.resultValue - SwissRentBuyCalculator.calculate({
+        ...baseParams, investmentYieldRate: d.investmentYieldRate, portfolioReturns: { incomeYieldRate: 0.02 }
+    }).ResultValue) < 1e-6) && splitRuns.resultValue.p90 - splitRuns.resultValue.p10 > 10000;
+    if (normalOk && uniformOk && boundedOk && splitOk && defaults[0].mean === 0.01 && defaults[2].mean === 0.018 && defaults[2].min === 0) {
+        console.log(`  ✅ PASS: Appreciation ${(mean(appreciation) * 100).toFixed(2)}% ± ${(stdDev(appreciation) * 100).toFixed(2)}%, ${mortgage.filter(v => v === 0).length} mortgage draws floored at 0%`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: normal=${normalOk}, uniform=${uniformOk}, bounded=${boundedOk}, split=${splitOk}`);
+    }
+
+    // Test 3: Correlated draws
+    totalTests++;
+    console.log('\nTest 3: Correlated rates and autocorrelated per-year draws');
+    const correlated = SwissMonteCarlo.simulate(baseParams, {
+        runs: 2000,
+        seed: 11,
+        variables: { mortgageRate: { mean: 0.03, stdDev: 0.01, min: null } },
+        correlations: { 'mortgageRate:propertyAppreciationRate': -0.6 }
+    });
+    const x = correlated.draws.map(d => d.propertyAppreciationRate);
+    const y = correlated.draws.map(d => d.mortgageRate);
+    const rho = mean(x.map((v, i) => (v - mean(x)) * (y[i] - mean(y)))) / (stdDev(x) * stdDev(y));
+    const independentYield = correlated.draws.map(d => d.investmentYieldRate);
+    const rhoYield = mean(x.map((v, i) => (v - mean(x)) * (independentYield[i] - mean(independentYield)))) / (stdDev(x) * stdDev(independentYield));
+    let rejected = false;
+    try {
+        SwissMonteCarlo.simulate(baseParams, {
+            runs: 1,
+            correlations: {
+                'propertyAppreciationRate:investmentYieldRate': 0.9,
+                'propertyAppreciationRate:mortgageRate': 0.9,
+                'investmentYieldRate:mortgageRate': -0.9
+            }
+        });
+    } catch (error) {
+        rejected = /positive definite/.test(error.message);
+    }
+    // Per-year draws: each year has the full spread, consecutive years follow the autocorrelation
+    const yearly = SwissMonteCarlo.simulate(baseParams, {
+        runs: 400,
+        seed: 5,
+        variables: {
+            propertyAppreciationRate: { distribution: 'fixed' },
+            investmentYieldRate: { perYear: true, stdDev: 0.15 },
+            mortgageRate: { perYear: true, mean: 0.03, min: null, autocorrelation: 0.9 }
+        }
+    });
+    const lagCorrelation = name => {
+        const pairs = yearly.draws.flatMap(d => d.paths[name].slice(1).map((v, t) => [d.paths[name][t], v]));
+        const a = pairs.map(pair => pair[0]);
+        const b = pairs.map(pair => pair[1]);
+        return mean(a.map((v, i) => (v - mean(a)) * (b[i] - mean(b)))) / (stdDev(a) * stdDev(b));
+    };
+    const yearTwo = yearly.draws.map(d => d.paths.mortgageRate[1]);
+    const d1 = yearly.draws[1];
+    const pathCheck = SwissRentBuyCalculator.calculate({
+        ...baseParams,
+        investmentYieldPath: d1.paths.investmentYieldRate,
+        mortgageRateShift: d1.paths.mortgageRate.map(rate => rate - baseParams.mortgageRate)
+    });
+    const perYearOk = yearly.draws.every(d => d.paths.mortgageRate.length === 15 && !d.paths.propertyAppreciationRate &&
+        Math.abs(d.mortgageRate - mean(d.paths.mortgageRate)) < 1e-12) &&
+        Math.abs(stdDev(yearTwo) - 0.01) < 0.0015 && Math.abs(lagCorrelation('mortgageRate') - 0.9) < 0.05 &&
+        Math.abs(lagCorrelation('investmentYieldRate')) < 0.05 && Math.abs(pathCheck.ResultValue - d1.resultValue) < 1e-6;
+    if (Math.abs(rho + 0.6) < 0.05 && Math.abs(rhoYield) < 0.06 && rejected && perYearOk) {
+        console.log(`  ✅ PASS: Sample correlation ${rho.toFixed(3)} (target -0.6), per-year mortgage autocorrelation ${lagCorrelation('mortgageRate').toFixed(3)}, contradictory correlations rejected`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: rho=${rho.toFixed(3)}, independent=${rhoYield.toFixed(3)}, rejected=${rejected}, perYear=${perYearOk}`);
+    }
+
+    // Test 4: Percentile bands and probability that buying wins
+    totalTests++;
+    console.log('\nTest 4: Percentile bands per year');
+    const sim = SwissMonteCarlo.simulate({ ...baseParams, mortgageRatePath: [0.01, 0.05] }, { runs: 300, seed: 3 });
+    const last = sim.yearly[sim.yearly.length - 1];
+    const ordered = sim.yearly.every(y => y.p10 <= y.p50 && y.p50 <= y.p90);
+    const wins = sim.draws.filter(d => d.resultValue > 0).length / sim.runs;
+    // A drawn mortgage rate shifts the rate path by its deviation from the base rate
+    const d0 = sim.draws[0];
+    const check = SwissRentBuyCalculator.calculate({
+        ...baseParams, ...d0, resultValue: undefined, mortgageRate: baseParams.mortgageRate,
+        mortgageRatePath: [0.01, 0.05], mortgageRateShift: d0.mortgageRate - baseParams.mortgageRate
+    });
+    // Tranches stay: a rate fixed for the whole term ignores the drawn rates, a SARON tranche follows them
+    const mortgageOnly = { propertyAppreciationRate: { distribution: 'fixed' }, investmentYieldRate: { distribution: 'fixed' } };
+    const fixedTranche = { ...baseParams, mortgageTranches: [{ share: 1, rateType: 'fixed', rate: 0.02, maturityYears: 15 }] };
+    const saronTranche = { ...baseParams, mortgageTranches: [{ share: 1, rateType: 'saron', saron: 0.005, margin: 0.009 }] };
+    const fixedRuns = SwissMonteCarlo.simulate(fixedTranche, { runs: 30, seed: 3, variables: mortgageOnly });
+    const saronRuns = SwissMonteCarlo.simulate(saronTranche, { runs: 30, seed: 3, variables: mortgageOnly });
+    const tranchesOk = fixedRuns.draws.every(d => d.resultValue === SwissRentBuyCalculator.calculate(fixedTranche).ResultValue) &&
+        saronRuns.draws.every(d => Math.abs(d.resultValue - SwissRentBuyCalculator.calculate({
+            ...saronTranche, mortgageRateShift: d.mortgageRate - baseParams.mortgageRate
+        }).ResultValue) < 1e-6) && saronRuns.resultValue.p90 - saronRuns.resultValue.p10 > 10000;
+    const real = SwissMonteCarlo.simulate({ ...baseParams, inflationRate: 0.01 }, { runs: 50, seed: 3 });
+    if (ordered && sim.yearly.length === 15 && Math.abs(last.p50 - sim.resultValue.p50) < 1e-6 &&
+        sim.probabilityBuyWins === wins && Math.abs(last.probabilityBuyAhead - wins) < 1e-12 &&
+        Math.abs(check.ResultValue - d0.resultValue) < 1e-6 && tranchesOk &&
+        real.valueBasis === 'real' && sim.valueBasis === 'nominal' &&
+        Math.abs(SwissMonteCarlo.percentile([1, 2, 3, 4], 0.5) - 2.5) < 1e-12) {
+        console.log(`  ✅ PASS: Buying wins in ${(sim.probabilityBuyWins * 100).toFixed(1)}% of runs, year 15 P10/P50/P90 CHF ${Math.round(last.p10).toLocaleString()} / ${Math.round(last.p50).toLocaleString()} / ${Math.round(last.p90).toLocaleString()}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: ordered=${ordered}, probability ${sim.probabilityBuyWins} vs ${wins}, tranches=${tranchesOk}`);
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All Monte Carlo tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some Monte Carlo tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runMonteCarloTests()) process.exit(1);
+}
+
+module.exports = { runMonteCarloTests };
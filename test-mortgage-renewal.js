@@ -0,0 +1,152 @@
+/**
+ * Test Mortgage Renewal Events
+ *
+ * Tests that renewals at maturity are correctly:
+ * 1. Applied at each maturity with the user-set rates, the default renewal rate and a rate shock
+ * 2. Charged with their fees as a purchase cost of the renewal year (totals, parity contributions, real terms)
+ * 3. Re-tested for affordability at the higher of the stress rate and the new rate
+ * 4. Summarized by the renewal rate sensitivity (impact per percentage point and break-even shift)
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runMortgageRenewalTests() {
+    console.log('=== Mortgage Renewal Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 20,
+        fixedRateTermYears: 5
+    };
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Renewal rates at maturity
+    totalTests++;
+    console.log('Test 1: New rate at each maturity');
+    const rolling = SwissRentBuyCalculator.calculate({
+        ...baseParams, mortgageRenewal: { rates: [0.03, 0.035], fixedTermYears: 5 }
+    });
+    const rates = rolling.YearlyBreakdown.map(y => y.mortgageRateApplied);
+    const legacy = SwissRentBuyCalculator.calculate(baseParams);
+    const unshocked = SwissRentBuyCalculator.calculate({ ...baseParams, mortgageRenewal: {} });
+    const tranches = [
+        { name: 'Fixed 10y', share: 0.5, rateType: 'fixed', rate: 0.02, maturityYears: 10, renewalRate: 0.025 },
+        { name: 'SARON', share: 0.5, rateType: 'saron', saron: 0.01, margin: 0.008, maturityYears: 3 }
+    ];
+    const shocked = SwissRentBuyCalculator.calculate({ ...baseParams, mortgageTranches: tranches, mortgageRenewal: { rateShock: 0.01 } });
+    const y11 = shocked.YearlyBreakdown[10].trancheBreakdown;
+    if (rates.slice(0, 5).every(r => r === 0.018) && rates.slice(5, 10).every(r => r === 0.03) &&
+        rates.slice(10).every(r => r === 0.035) &&
+        rolling.MortgageRenewals.map(e => e.year).join(',') === '6,11,16' &&
+        rolling.YearlyBreakdown.filter(y => y.renewalYear).map(y => y.year).join(',') === '6,11,16' &&
+        rolling.MortgageRenewals[0].previousRate === 0.018 && rolling.MortgageRenewals[0].maturityYears === 10 &&
+        legacy.MortgageRenewals.length === 0 && legacy.YearlyBreakdown.every(y => !y.renewalYear) &&
+        unshocked.ResultValue === legacy.ResultValue && unshocked.MortgageRenewals.length === 1 &&
+        Math.abs(y11[0].rate - 0.035) < 1e-12 && Math.abs(y11[1].rate - 0.018) < 1e-12 &&
+        shocked.MortgageRenewals.length === 1 && shocked.MortgageRenewals[0].tranche === 'Fixed 10y') {
+        console.log(`  ✅ PASS: Renewed in years 6, 11 and 16 at 3.00% then 3.50%; shock of +1pp on the fixed tranche only`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: rates ${rates.join(',')}, renewals ${rolling.MortgageRenewals.map(e => e.year).join(',')}`);
+    }
+
+    // Test 2: Renewal fees
+    totalTests++;
+    console.log('\nTest 2: Fees as a purchase cost of the renewal year');
+    const feeParams = { ...baseParams, mortgageRenewal: { fee: 500, feeRate: 0.001 } };
+    const withFees = SwissRentBuyCalculator.calculate(feeParams);
+    const fee = 500 + 0.001 * withFees.YearlyBreakdown[5].startingBalance;
+    const parity = SwissRentBuyCalculator.calculate({ ...feeParams, scenarioMode: 'cashflowParity', calculationResolution: 'monthly' });
+    const parityBase = SwissRentBuyCalculator.calculate({ ...baseParams, scenarioMode: 'cashflowParity', calculationResolution: 'monthly' });
+    const real = SwissRentBuyCalculator.inRealTerms(SwissRentBuyCalculator.calculate({ ...feeParams, inflationRate: 0.02 }));
+    if (Math.abs(withFees.MortgageRenewalFees - fee) < 1e-6 && Math.abs(withFees.YearlyBreakdown[5].mortgageRenewalFee - fee) < 1e-6 &&
+        Math.abs(legacy.ResultValue - withFees.ResultValue - fee) < 1e-6 &&
+        Math.abs(withFees.GeneralCostOfPurchase - legacy.GeneralCostOfPurchase - fee) < 1e-6 &&
+        Math.abs(withFees.CashFlows[6].buy - legacy.CashFlows[6].buy + fee) < 1e-6 &&
+        Math.abs(parity.YearlyBreakdown[5].renterContribution - parityBase.YearlyBreakdown[5].renterContribution - fee) < 1e-6 &&
+        Math.abs(real.MortgageRenewalFees - fee / Math.pow(1.02, 6)) < 1e-6 && legacy.MortgageRenewalFees === 0) {
+        console.log(`  ✅ PASS: CHF ${Math.round(fee).toLocaleString()} fee in year 6 lowers the result by the same amount`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: fees ${withFees.MortgageRenewalFees} vs ${fee}, result difference ${legacy.ResultValue - withFees.ResultValue}`);
+    }
+
+    // Test 3: Affordability at renewal
+    totalTests++;
+    console.log('\nTest 3: Affordability re-tested at renewal');
+    const affordability = { householdIncome: 220000 };
+    const calm = SwissRentBuyCalculator.calculate({ ...baseParams, affordability, mortgageRenewal: { rates: 0.025 } });
+    const spike = SwissRentBuyCalculator.calculate({ ...baseParams, affordability, mortgageRenewal: { rates: 0.07 } });
+    const calmCheck = calm.MortgageRenewals[0].affordability;
+    const spikeCheck = spike.MortgageRenewals[0].affordability;
+    const balance6 = calm.YearlyBreakdown[5].startingBalance;
+    const value5 = calm.YearlyBreakdown[4].propertyValueEndOfYear;
+    const rules = SwissRentBuyCalculator.resolveAffordability(affordability);
+    const expected = SwissRentBuyCalculator.checkAffordability(value5, balance6, { ...rules, stressRate: 0.07 });
+    if (Math.abs(calmCheck.imputedInterest - balance6 * 0.05) < 1e-6 && calmCheck.pass &&
+        Math.abs(spikeCheck.imputedInterest - balance6 * 0.07) < 1e-6 && !spikeCheck.pass &&
+        Math.abs(spikeCheck.annualCost - expected.annualCost) < 1e-6 &&
+        spike.YearlyBreakdown[5].renewalAffordability === spikeCheck &&
+        spike.YearlyBreakdown[4].renewalAffordability === null &&
+        SwissRentBuyCalculator.calculate({ ...baseParams, mortgageRenewal: {} }).MortgageRenewals[0].affordability === null) {
+        console.log(`  ✅ PASS: ${(calmCheck.incomeRatio * 100).toFixed(1)}% of income at 2.5% (5% stress rate), ${(spikeCheck.incomeRatio * 100).toFixed(1)}% fails at 7%`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: calm ${calmCheck && calmCheck.incomeRatio}, spike ${spikeCheck && spikeCheck.incomeRatio}`);
+    }
+
+    // Test 4: Renewal rate sensitivity
+    totalTests++;
+    console.log('\nTest 4: Outcome dependence on renewal rates');
+    const sensitivity = SwissRentBuyCalculator.renewalSensitivity(baseParams);
+    const plus1 = SwissRentBuyCalculator.calculate({ ...baseParams, mortgageRenewal: { rateShock: 0.01 } });
+    const breakEven = sensitivity.breakEvenShift;
+    const atBreakEven = breakEven === null ? null
+        : SwissRentBuyCalculator.calculate({ ...baseParams, mortgageRenewal: { rateShock: breakEven } }).ResultValue;
+    const noRenewal = SwissRentBuyCalculator.renewalSensitivity({ ...baseParams, fixedRateTermYears: null });
+    if (sensitivity.renewalYears.join(',') === '6' && sensitivity.baseResultValue === legacy.ResultValue &&
+        sensitivity.scenarios.length === 4 && Math.abs(sensitivity.scenarios[2].resultValue - plus1.ResultValue) < 1e-6 &&
+        Math.abs(sensitivity.impactPerPercentagePoint - (plus1.ResultValue - legacy.ResultValue)) < 1e-6 &&
+        sensitivity.impactPerPercentagePoint < 0 && breakEven > 0 && Math.abs(atBreakEven) < 1 &&
+        noRenewal.renewalYears.length === 0 && noRenewal.impactPerPercentagePoint === 0 && noRenewal.breakEvenShift === null) {
+        console.log(`  ✅ PASS: CHF ${Math.round(-sensitivity.impactPerPercentagePoint).toLocaleString()} less per +1pp at renewal, buying stops winning at +${(breakEven * 100).toFixed(2)}pp`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: impact ${sensitivity.impactPerPercentagePoint}, break-even ${breakEven}, result there ${atBreakEven}`);
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All mortgage renewal tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some mortgage renewal tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runMortgageRenewalTests()) process.exit(1);
+}
+
+module.exports = { runMortgageRenewalTests };
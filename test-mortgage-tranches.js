@@ -0,0 +1,122 @@
+/**
+ * Test Multi-Tranche Mortgages
+ *
+ * Tests that the tranche model correctly:
+ * 1. Reduces to the single-rate mortgage when one tranche carries the whole amount
+ * 2. Splits the mortgage by share and tracks interest and balance per tranche
+ * 3. Rolls a tranche over to its renewal rate after maturity
+ * 4. Allocates amortization pro rata so tranche balances add up to the mortgage balance
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runMortgageTrancheTests() {
+    console.log('=== Mortgage Tranche Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.28,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.035,
+        termYears: 15,
+        scenarioMode: 'cashflowParity'
+    };
+    const splitTranches = [
+        { name: 'Fixed 10y', share: 0.4, rateType: 'fixed', rate: 0.02, maturityYears: 10, renewalRate: 0.03 },
+        { name: 'SARON', share: 0.6, rateType: 'saron', saron: 0.01, margin: 0.008 }
+    ];
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: One tranche on the flat rate equals the classic mortgage
+    totalTests++;
+    console.log('Test 1: Single tranche equals the classic single-rate mortgage');
+    const classic = SwissRentBuyCalculator.calculate(baseParams);
+    const single = SwissRentBuyCalculator.calculate({
+        ...baseParams,
+        mortgageTranches: [{ amount: 1200000, rateType: 'fixed', rate: 0.018 }]
+    });
+    if (Math.abs(classic.ResultValue - single.ResultValue) < 1e-6 &&
+        classic.YearlyBreakdown[0].trancheBreakdown.length === 1) {
+        console.log('  ✅ PASS: Identical result with one tranche');
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: ${classic.ResultValue} vs ${single.ResultValue}`);
+    }
+
+    // Test 2: Split by share with per-tranche interest
+    totalTests++;
+    console.log('\nTest 2: Tranche amounts and per-tranche interest');
+    const split = SwissRentBuyCalculator.calculate({ ...baseParams, mortgageTranches: splitTranches });
+    const [fixedY1, saronY1] = split.YearlyBreakdown[0].trancheBreakdown;
+    const amountsOk = Math.abs(split.MortgageTranches[0].amount - 480000) < 1e-6 &&
+                      Math.abs(split.MortgageTranches[1].amount - 720000) < 1e-6;
+    const interestOk = Math.abs(fixedY1.interest - 480000 * 0.02) < 1e-6 &&
+                       Math.abs(saronY1.interest - 720000 * 0.018) < 1e-6 &&
+                       Math.abs(split.YearlyBreakdown[0].annualInterest - (fixedY1.interest + saronY1.interest)) < 1e-6;
+    if (amountsOk && interestOk) {
+        console.log('  ✅ PASS: 40/60 split with interest tracked per tranche');
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: amounts=${amountsOk}, interest=${interestOk}`);
+    }
+
+    // Test 3: Renewal after maturity
+    totalTests++;
+    console.log('\nTest 3: Fixed tranche rolls over to the renewal rate after maturity');
+    const year10 = split.YearlyBreakdown[9].trancheBreakdown[0];
+    const year11 = split.YearlyBreakdown[10].trancheBreakdown[0];
+    const saron11 = split.YearlyBreakdown[10].trancheBreakdown[1];
+    if (year10.rate === 0.02 && !year10.renewed && year11.rate === 0.03 && year11.renewed &&
+        Math.abs(year11.interest - year11.startingBalance * 0.03) < 1e-6 && !saron11.renewed) {
+        console.log('  ✅ PASS: Renewal rate applies from year 11, SARON tranche without maturity continues');
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: year 10 rate ${year10.rate}, year 11 rate ${year11.rate}`);
+    }
+
+    // Test 4: Balances add up with pro rata amortization (also in monthly resolution)
+    totalTests++;
+    console.log('\nTest 4: Tranche balances add up to the mortgage balance');
+    const monthlySplit = SwissRentBuyCalculator.calculate({ ...baseParams, mortgageTranches: splitTranches, calculationResolution: 'monthly' });
+    const balancesAddUp = [split, monthlySplit].every(r => r.YearlyBreakdown.every(y =>
+        Math.abs(y.trancheBreakdown.reduce((sum, t) => sum + t.endingBalance, 0) - y.endingBalance) < 1e-4 &&
+        Math.abs(y.trancheBreakdown.reduce((sum, t) => sum + t.amortization, 0) - y.annualAmortization) < 1e-4));
+    if (balancesAddUp) {
+        console.log('  ✅ PASS: Sum of tranche balances and amortization match the mortgage');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Tranche balances do not add up');
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All mortgage tranche tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some mortgage tranche tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runMortgageTrancheTests()) process.exit(1);
+}
+
+module.exports = { runMortgageTrancheTests };
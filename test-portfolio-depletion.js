@@ -0,0 +1,139 @@
+/**
+ * Test Portfolio Depletion
+ *
+ * Tests that renter withdrawals beyond the portfolio (cash-flow parity) are correctly:
+ * 1. Reported with the year the portfolio was depleted and a warning (default: borrowing at the investment yield)
+ * 2. Borrowed at a set borrowing rate once the portfolio is negative
+ * 3. Stopped at zero, with the shortfall recorded as an unfunded liability that counts against the renter
+ * 4. Repaid first from later surpluses, consistently in cash flows, real terms and the result
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runPortfolioDepletionTests() {
+    console.log('=== Portfolio Depletion Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 9000,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 15,
+        scenarioMode: 'cashflowParity'
+    };
+    const sum = values => values.reduce((total, v) => total + v, 0);
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Depletion year and warning
+    totalTests++;
+    console.log('Test 1: Year the portfolio was depleted');
+    const legacy = SwissRentBuyCalculator.calculate(baseParams);
+    const borrow = SwissRentBuyCalculator.calculate({ ...baseParams, portfolioDepletion: 'borrow' });
+    const values = legacy.YearlyBreakdown.map(y => y.portfolioValueEndOfYear);
+    const lasting = SwissRentBuyCalculator.calculate({ ...baseParams, monthlyRent: 4300 }).PortfolioDepletion;
+    const depletion = legacy.PortfolioDepletion;
+    if (depletion.depleted && depletion.depletionYear === 8 && values[6] > 0 && values[7] < 0 &&
+        depletion.mode === 'borrow' && depletion.borrowingRate === null && depletion.warning.includes('year 8') &&
+        Math.abs(depletion.lowestPortfolioValue - values[14]) < 1e-6 &&
+        borrow.ResultValue === legacy.ResultValue &&
+        legacy.YearlyBreakdown.every((y, i) => y.portfolioDepleted === (i >= 7)) &&
+        !lasting.depleted && lasting.depletionYear === null && lasting.warning === null &&
+        SwissRentBuyCalculator.resolvePortfolioDepletion(null).mode === 'borrow' &&
+        SwissRentBuyCalculator.resolvePortfolioDepletion({ mode: 'stop', borrowingRate: 0.05 }).borrowingRate === null) {
+        console.log(`  ✅ PASS: Portfolio depleted in year 8 (CHF ${Math.round(values[6]).toLocaleString()} left after year 7); none at CHF 4,300 rent`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: depletion year ${depletion.depletionYear}, warning ${depletion.warning}`);
+    }
+
+    // Test 2: Borrowing rate on a negative portfolio
+    totalTests++;
+    console.log('\nTest 2: Borrowing at a set rate');
+    const borrowed = SwissRentBuyCalculator.calculate({ ...baseParams, portfolioDepletion: { mode: 'borrow', borrowingRate: 0.06 } });
+    const b = borrowed.YearlyBreakdown;
+    const totalInterest = sum(b.map(y => y.borrowingInterest));
+    if (b.slice(0, 8).every((y, i) => y.portfolioValueEndOfYear === values[i]) &&
+        Math.abs(b[8].investmentGainsThisYear - b[7].portfolioValueEndOfYear * 0.06) < 1e-6 &&
+        Math.abs(b[8].borrowingInterest + b[8].investmentGainsThisYear) < 1e-6 && b[6].borrowingInterest === 0 &&
+        Math.abs(borrowed.PortfolioDepletion.borrowingInterest - totalInterest) < 1e-6 &&
+        borrowed.PortfolioDepletion.warning.includes('6.00%') &&
+        borrowed.ResultValue > legacy.ResultValue && totalInterest > depletion.borrowingInterest) {
+        console.log(`  ✅ PASS: CHF ${Math.round(totalInterest).toLocaleString()} interest at 6% vs CHF ${Math.round(depletion.borrowingInterest).toLocaleString()} at the 4% yield`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: year 9 gains ${b[8].investmentGainsThisYear}, interest ${totalInterest}`);
+    }
+
+    // Test 3: Withdrawals stop at zero
+    totalTests++;
+    console.log('\nTest 3: Shortfall as an unfunded liability');
+    const stopped = SwissRentBuyCalculator.calculate({ ...baseParams, portfolioDepletion: 'stop' });
+    const s = stopped.YearlyBreakdown;
+    const shortfall8 = -(values[6] * 1.04 + s[7].renterContribution);
+    // Without a return on the shortfall, stopping equals borrowing at 0%
+    const interestFree = SwissRentBuyCalculator.calculate({ ...baseParams, portfolioDepletion: { mode: 'borrow', borrowingRate: 0 } });
+    if (s.every(y => y.portfolioValueEndOfYear >= 0) && s[7].portfolioValueEndOfYear === 0 &&
+        Math.abs(s[7].unfundedShortfall - shortfall8) < 1e-6 &&
+        Math.abs(stopped.PortfolioDepletion.unfundedLiability - sum(s.map(y => y.unfundedShortfall))) < 1e-6 &&
+        stopped.PortfolioDepletion.depletionYear === 8 && stopped.PortfolioDepletion.warning.includes('unfunded') &&
+        Math.abs(stopped.ResultValue - interestFree.ResultValue) < 1e-6 &&
+        Math.abs(s[14].cumulativeAdvantage - stopped.ResultValue) < 1e-6) {
+        console.log(`  ✅ PASS: CHF ${Math.round(shortfall8).toLocaleString()} unfunded in year 8, CHF ${Math.round(stopped.PortfolioDepletion.unfundedLiability).toLocaleString()} after 15 years`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: year 8 shortfall ${s[7].unfundedShortfall} vs ${shortfall8}, result ${stopped.ResultValue} vs ${interestFree.ResultValue}`);
+    }
+
+    // Test 4: Repayment from later surpluses and consistency
+    totalTests++;
+    console.log('\nTest 4: Surpluses repay the liability first');
+    // A rate rise from year 10 makes buying more expensive, so the renter saves again
+    const rising = { ...baseParams, mortgageRatePath: [{ fromYear: 1, rate: 0.018 }, { fromYear: 10, rate: 0.09 }], portfolioDepletion: 'stop' };
+    const repaid = SwissRentBuyCalculator.calculate({ ...rising, discountRate: 0 });
+    const r = repaid.YearlyBreakdown;
+    const contributions = sum(r.map(y => y.renterContribution));
+    const real = SwissRentBuyCalculator.inRealTerms(SwissRentBuyCalculator.calculate({ ...rising, inflationRate: 0.02 }));
+    if (r[9].renterContribution > 0 && Math.abs(r[9].unfundedShortfall + r[9].renterContribution) < 1e-6 &&
+        r[9].portfolioValueEndOfYear === 0 && r[14].unfundedLiabilityEndOfYear < r[8].unfundedLiabilityEndOfYear &&
+        Math.abs(repaid.FinancialMetrics.npvDifference - (repaid.ResultValue + contributions)) < 1e-6 &&
+        Math.abs(repaid.FinancialMetrics.savingsContributions - contributions) < 1e-6 &&
+        Math.abs(repaid.FinancialMetrics.portfolioMoneyWeightedReturn - 0.04) < 1e-9 &&
+        Math.abs(real.YearlyBreakdown[14].cumulativeAdvantage - real.ResultValue) < 1e-6) {
+        console.log(`  ✅ PASS: CHF ${Math.round(r[9].renterContribution).toLocaleString()} saved in year 10 repays the liability; CHF ${Math.round(r[14].unfundedLiabilityEndOfYear).toLocaleString()} left after 15 years`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: year 10 shortfall ${r[9].unfundedShortfall}, NPV difference ${repaid.FinancialMetrics.npvDifference} vs ${repaid.ResultValue + contributions}`);
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All portfolio depletion tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some portfolio depletion tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runPortfolioDepletionTests()) process.exit(1);
+}
+
+module.exports = { runPortfolioDepletionTests };
@@ -0,0 +1,143 @@
+/**
+ * Test Renter Portfolio Taxation (Income vs Capital Gains)
+ *
+ * Tests that the return split correctly:
+ * 1. Taxes the whole return by default and only the income yield with a split that always adds up to the yield
+ * 2. Reduces the portfolio growth by TER and withholding tax leakage without reducing the taxable income
+ * 3. Taxes the income yield on top of other income with progressive tariffs
+ * 4. Keeps the year-by-year series consistent with the totals in every mode
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runPortfolioTaxationTests() {
+    console.log('=== Renter Portfolio Taxation Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.05,
+        termYears: 15
+    };
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Whole return taxed by default, only income with a split
+    totalTests++;
+    console.log('Test 1: Only dividends and interest are taxed');
+    const legacy = SwissRentBuyCalculator.calculate(baseParams);
+    const split = SwissRentBuyCalculator.calculate({ ...baseParams, portfolioReturns: { incomeYieldRate: 0.02 } });
+    const legacyOk = legacy.PortfolioReturns === null &&
+                     legacy.YearlyBreakdown.every(y => Math.abs(y.investmentIncomeTaxThisYear - y.investmentGainsThisYear * 0.3) < 1e-9);
+    const splitOk = split.PortfolioReturns.capitalGrowthRate === 0.05 - 0.02 &&
+                    split.YearlyBreakdown.every(y =>
+                        Math.abs(y.investmentGainsThisYear - legacy.YearlyBreakdown[y.year - 1].investmentGainsThisYear) < 1e-6 &&
+                        Math.abs(y.investmentIncomeTaxThisYear - y.investmentIncomeThisYear * 0.3) < 1e-9 &&
+                        Math.abs(y.investmentIncomeThisYear - y.investmentGainsThisYear * 0.4) < 1e-6);
+    // A capital growth rate given by older callers does not pin the return: the yield still drives the result
+    const pinned = [0, 0.05, 0.1].map(investmentYieldRate => SwissRentBuyCalculator.calculate({
+        ...baseParams, investmentYieldRate, portfolioReturns: { incomeYieldRate: 0.02, capitalGrowthRate: 0.03 }
+    }));
+    const followsYield = pinned[0].ResultValue > pinned[1].ResultValue && pinned[1].ResultValue > pinned[2].ResultValue &&
+                         Math.abs(pinned[2].PortfolioReturns.capitalGrowthRate - 0.08) < 1e-12;
+    if (legacyOk && splitOk && followsYield && split.TaxDifferenceToRental > legacy.TaxDifferenceToRental) {
+        console.log(`  ✅ PASS: Renter tax CHF ${Math.round(split.TaxDifferenceToRental - legacy.TaxDifferenceToRental).toLocaleString()} lower with tax-free capital gains`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: legacy=${legacyOk}, split=${splitOk}, results by yield ${pinned.map(r => Math.round(r.ResultValue)).join(', ')}`);
+    }
+
+    // Test 2: TER and withholding tax leakage
+    totalTests++;
+    console.log('\nTest 2: Fund costs and withholding tax leakage');
+    const costs = SwissRentBuyCalculator.calculate({
+        ...baseParams, portfolioReturns: { incomeYieldRate: 0.02, ter: 0.002, withholdingTaxLeakage: 0.15 }
+    });
+    const netRate = 0.02 * 0.85 + 0.03 - 0.002;
+    const y1 = costs.YearlyBreakdown[0];
+    const start = y1.portfolioValueEndOfYear - y1.investmentGainsThisYear - y1.renterContribution;
+    if (Math.abs(costs.PortfolioReturns.netReturnRate - netRate) < 1e-12 &&
+        Math.abs(y1.investmentGainsThisYear - start * netRate) < 1e-6 &&
+        Math.abs(y1.investmentIncomeThisYear - start * 0.02) < 1e-6 &&
+        Math.abs(y1.investmentCostsThisYear - start * (0.002 + 0.02 * 0.15)) < 1e-6 &&
+        Math.abs(y1.investmentCapitalGainsThisYear - start * (0.03 - 0.002)) < 1e-6 &&
+        costs.YearlyBreakdown[14].portfolioValueEndOfYear < split.YearlyBreakdown[14].portfolioValueEndOfYear) {
+        console.log(`  ✅ PASS: Net return ${(netRate * 100).toFixed(2)}%, income taxed before leakage`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: net rate ${costs.PortfolioReturns.netReturnRate}`);
+    }
+
+    // Test 3: Progressive tariffs on the income yield
+    totalTests++;
+    console.log('\nTest 3: Income yield taxed on top of other income');
+    const taxModel = { canton: 'ZH', civilStatus: 'married', taxableIncome: 150000 };
+    const progressive = SwissRentBuyCalculator.calculate({ ...baseParams, taxModel, portfolioReturns: { incomeYieldRate: 0.015 } });
+    const taxModule = SwissRentBuyCalculator.TAX_MODULE;
+    const consistentTax = progressive.YearlyBreakdown.every(y => {
+        const expected = taxModule.incomeTax(150000 + y.investmentIncomeThisYear, taxModel).total -
+                         taxModule.incomeTax(150000, taxModel).total;
+        return Math.abs(y.investmentIncomeTaxThisYear - expected) < 1e-6 && y.renterTaxableIncome === 150000 + y.investmentIncomeThisYear;
+    });
+    if (consistentTax) {
+        console.log('  ✅ PASS: Renter return includes dividends and interest only');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Progressive renter tax not based on the income yield');
+    }
+
+    // Test 4: Series consistent with totals
+    totalTests++;
+    console.log('\nTest 4: Year-by-year series consistent with the totals');
+    const consistent = ['equalConsumption', 'cashflowParity', 'equalSavings'].every(scenarioMode => {
+        const result = SwissRentBuyCalculator.calculate({
+            ...baseParams, scenarioMode, calculationResolution: 'monthly',
+            portfolioReturns: { incomeYieldRate: 0.02, ter: 0.003, withholdingTaxLeakage: 0.1 }
+        });
+        const last = result.YearlyBreakdown[result.YearlyBreakdown.length - 1];
+        const income = result.YearlyBreakdown.reduce((sum, y) => sum + y.investmentIncomeThisYear, 0);
+        const tax = result.YearlyBreakdown.reduce((sum, y) => sum + y.investmentIncomeTaxThisYear, 0);
+        return Math.abs(income - result.InvestmentIncome) < 1e-6 &&
+               Math.abs(tax - income * 0.3) < 1e-6 &&
+               Math.abs(last.totalPurchaseCostToDate - result.TotalPurchaseCost) < 1e-4 &&
+               Math.abs(last.totalRentalCostToDate - result.TotalRentalCost) < 1e-4;
+    });
+    if (consistent) {
+        console.log('  ✅ PASS: Taxable income and tax add up in every mode (monthly resolution)');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Series inconsistent with totals');
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All portfolio taxation tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some portfolio taxation tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runPortfolioTaxationTests()) process.exit(1);
+}
+
+module.exports = { runPortfolioTaxationTests };
@@ -0,0 +1,135 @@
+/**
+ * Test Real-Terms Reporting (Inflation-Adjusted CHF)
+ *
+ * Tests that inflation-adjusted reporting correctly:
+ * 1. Keeps nominal results by default and reproduces them exactly at zero inflation
+ * 2. Deflates yearly flows and year-end stocks with the price level of their year
+ * 3. Recomputes the to-date series and totals from the deflated values in every mode
+ * 4. Returns a real-terms view with its own decision while the nominal result stays available
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runRealTermsTests() {
+    console.log('=== Real-Terms Reporting Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        totalRenovations: 30000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 20
+    };
+    const totals = ['ResultValue', 'TotalPurchaseCost', 'TotalRentalCost', 'GeneralCostOfPurchase', 'GeneralCostOfRental'];
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Nominal by default, zero inflation changes nothing
+    totalTests++;
+    console.log('Test 1: Nominal default and zero inflation');
+    const nominal = SwissRentBuyCalculator.calculate(baseParams);
+    const zero = SwissRentBuyCalculator.inRealTerms(SwissRentBuyCalculator.calculate({ ...baseParams, inflationRate: 0 }));
+    const zeroOk = totals.every(key => Math.abs(zero[key] - nominal[key]) < 1e-6) &&
+                   zero.YearlyBreakdown.every((y, i) => Math.abs(y.cumulativeAdvantage - nominal.YearlyBreakdown[i].cumulativeAdvantage) < 1e-6);
+    if (nominal.RealTerms === null && nominal.ValueBasis === 'nominal' &&
+        SwissRentBuyCalculator.inRealTerms(nominal) === nominal && zeroOk) {
+        console.log('  ✅ PASS: No real-terms block without inflation, identical figures at 0%');
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: RealTerms=${JSON.stringify(nominal.RealTerms)}, zero inflation=${zeroOk}`);
+    }
+
+    // Test 2: Flows and stocks deflated with the price level of their year
+    totalTests++;
+    console.log('\nTest 2: Deflated yearly values');
+    const inflated = SwissRentBuyCalculator.calculate({ ...baseParams, inflationRate: 0.02 });
+    const realRows = inflated.RealTerms.YearlyBreakdown;
+    const rowsOk = inflated.YearlyBreakdown.every((y, i) => {
+        const d = Math.pow(1.02, -y.year);
+        const r = realRows[i];
+        return Math.abs(r.deflator - d) < 1e-12 &&
+               Math.abs(r.annualInterest - y.annualInterest * d) < 1e-6 &&
+               Math.abs(r.annualRent - y.annualRent * d) < 1e-6 &&
+               Math.abs(r.propertyValueEndOfYear - y.propertyValueEndOfYear * d) < 1e-6 &&
+               Math.abs(r.portfolioValueEndOfYear - y.portfolioValueEndOfYear * d) < 1e-6 &&
+               r.mortgageRateApplied === y.mortgageRateApplied && r.ltvPercentEndOfYear === y.ltvPercentEndOfYear;
+    });
+    if (rowsOk && inflated.YearlyBreakdown[0].deflator === undefined) {
+        console.log(`  ✅ PASS: Year 20 rent CHF ${Math.round(realRows[19].annualRent).toLocaleString()} in today's CHF (nominal CHF ${Math.round(inflated.YearlyBreakdown[19].annualRent).toLocaleString()})`);
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Deflated rows differ from nominal rows times the deflator');
+    }
+
+    // Test 3: To-date series and totals rebuilt from deflated values
+    totalTests++;
+    console.log('\nTest 3: Real totals consistent with the real series');
+    const consistent = ['equalConsumption', 'cashflowParity', 'equalSavings'].every(scenarioMode => {
+        const r = SwissRentBuyCalculator.calculate({ ...baseParams, scenarioMode, saleAtEnd: true, inflationRate: 0.02 }).RealTerms;
+        const last = r.YearlyBreakdown[r.YearlyBreakdown.length - 1];
+        const purchaseParts = r.GeneralCostOfPurchase + r.TaxDifferenceToRental + r.MinusPropertyValue +
+                              r.MortgageAtEndOfRelevantTimePeriod + r.MinusPillar3aNetCapital + r.OwnerWealthTax + r.PropertySaleCosts;
+        const interestSum = r.YearlyBreakdown.reduce((sum, y) => sum + y.annualInterest, 0);
+        return Math.abs(last.totalPurchaseCostToDate - r.TotalPurchaseCost) < 1e-6 &&
+               Math.abs(last.totalRentalCostToDate - r.TotalRentalCost) < 1e-6 &&
+               Math.abs(purchaseParts - r.TotalPurchaseCost) < 1e-6 &&
+               Math.abs(interestSum - r.InterestCosts) < 1e-6 &&
+               Math.abs(r.MarkToMarketResultValue - r.ResultValue - r.PropertySaleCosts) < 1e-6;
+    });
+    if (consistent) {
+        console.log('  ✅ PASS: Breakdown lines add up to the real totals, series ends at the totals');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Real totals and series inconsistent');
+    }
+
+    // Test 4: Real-terms view with its own decision, nominal result untouched
+    totalTests++;
+    console.log('\nTest 4: Real-terms view and nominal view side by side');
+    const view = SwissRentBuyCalculator.inRealTerms(inflated);
+    const viewOk = view.ValueBasis === 'real' && view.InflationRate === 0.02 &&
+                   view.ResultValue === inflated.RealTerms.ResultValue &&
+                   view.YearlyBreakdown === inflated.RealTerms.YearlyBreakdown &&
+                   view.CompareText.includes("today's CHF") &&
+                   view.Decision === SwissRentBuyCalculator.describeResult(view.ResultValue).decision &&
+                   view.MonthlyRentPayment === inflated.MonthlyRentPayment;
+    const nominalOk = totals.every(key => Math.abs(inflated[key] - nominal[key]) < 1e-6) && inflated.ValueBasis === 'nominal';
+    if (viewOk && nominalOk && Math.abs(view.ResultValue) < Math.abs(inflated.ResultValue)) {
+        console.log(`  ✅ PASS: Advantage CHF ${Math.round(view.ResultValue).toLocaleString()} in today's CHF vs CHF ${Math.round(inflated.ResultValue).toLocaleString()} nominal`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: view=${viewOk}, nominal=${nominalOk}`);
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All real-terms reporting tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some real-terms reporting tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runRealTermsTests()) process.exit(1);
+}
+
+module.exports = { runRealTermsTests };
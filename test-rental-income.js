@@ -0,0 +1,143 @@
+/**
+ * Test Partial Rental Income
+ *
+ * Tests that letting part of the property is correctly:
+ * 1. Reported as net rental income per year (indexed rent less vacancy and maintenance) that lowers the cost of buying
+ * 2. Taxed, with the imputed rental value on the owner-occupied share only (flat, progressive and post-reform)
+ * 3. Counted by lenders in the affordability test, with the income-property LTV cap for a separate unit
+ * 4. Included in the cash flows, cash-flow parity contributions, real terms and the monthly snapshot
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+
+function runRentalIncomeTests() {
+    console.log('=== Partial Rental Income Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 10
+    };
+    const flat = { monthlyRent: 1500, rentedShare: 0.25, vacancyRate: 0.05, annualMaintenance: 2000 };
+    const sum = values => values.reduce((total, v) => total + v, 0);
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Net rental income per year
+    totalTests++;
+    console.log('Test 1: Rent less vacancy and maintenance');
+    const base = SwissRentBuyCalculator.calculate(baseParams);
+    const let25 = SwissRentBuyCalculator.calculate({ ...baseParams, rentalIncome: flat });
+    const y1 = let25.YearlyBreakdown[0];
+    const indexed = SwissRentBuyCalculator.calculate({
+        ...baseParams, rentalIncome: flat, rentIndexation: { type: 'fixed', rate: 0.02 }
+    });
+    const defaults = SwissRentBuyCalculator.resolveRentalIncome({ monthlyRent: 1000 });
+    if (y1.rentalIncomeGross === 18000 && Math.abs(y1.rentalVacancyLoss - 900) < 1e-9 && y1.rentalMaintenance === 2000 &&
+        Math.abs(y1.rentalIncome - 15100) < 1e-9 &&
+        Math.abs(indexed.YearlyBreakdown[4].rentalIncomeGross - 18000 * Math.pow(1.02, 4)) < 1e-6 &&
+        Math.abs(let25.MinusRentalIncome + sum(let25.YearlyBreakdown.map(y => y.rentalIncome))) < 1e-6 &&
+        base.RentalIncome === null && base.MinusRentalIncome === 0 && base.YearlyBreakdown.every(y => y.rentalIncome === 0) &&
+        defaults.vacancyRate === 0.02 && defaults.rentedShare === 0 && defaults.lenderIncomeShare === 0.8 &&
+        SwissRentBuyCalculator.resolveRentalIncome({ monthlyRent: 0 }) === null) {
+        console.log(`  ✅ PASS: CHF 18,000 rent - CHF 900 vacancy - CHF 2,000 maintenance = CHF 15,100 net in year 1`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: gross ${y1.rentalIncomeGross}, vacancy ${y1.rentalVacancyLoss}, net ${y1.rentalIncome}`);
+    }
+
+    // Test 2: Taxation and the imputed rental value
+    totalTests++;
+    console.log('\nTest 2: Taxed rental income, imputed value on the owner-occupied share');
+    const expectedGain = 10 * 15100 * (1 - 0.3) + 10 * 33000 * 0.25 * 0.3;
+    const post = SwissRentBuyCalculator.calculate({ ...baseParams, postReform: true, rentalIncome: flat }).YearlyBreakdown[0];
+    const taxModel = { canton: 'ZH', civilStatus: 'married', taxableIncome: 150000 };
+    const progressive = SwissRentBuyCalculator.calculate({ ...baseParams, taxModel, rentalIncome: flat }).YearlyBreakdown[0];
+    const progressiveBase = SwissRentBuyCalculator.calculate({ ...baseParams, taxModel }).YearlyBreakdown[0];
+    if (Math.abs(y1.taxRentalIncome - 15100 * 0.3) < 1e-9 && Math.abs(y1.taxImputedRent - 33000 * 0.75 * 0.3) < 1e-9 &&
+        Math.abs(let25.ResultValue - base.ResultValue - expectedGain) < 1e-6 &&
+        post.taxImputedRent === 0 && Math.abs(post.taxSavingsInterest - post.annualInterest * 0.25 * 0.3) < 1e-9 &&
+        Math.abs(post.taxSavingsPropertyExpenses - 11000 * 0.25 * 0.3) < 1e-9 &&
+        progressive.taxRentalIncome > 15100 * 0.2 && progressive.taxImputedRent < progressiveBase.taxImputedRent &&
+        Math.abs(progressive.annualTaxDifference - (progressive.taxImputedRent + progressive.taxRentalIncome -
+            progressive.taxSavingsInterest - progressive.taxSavingsPropertyExpenses - progressive.taxSavingsPillar3a)) < 1e-6) {
+        console.log(`  ✅ PASS: CHF ${Math.round(y1.taxRentalIncome).toLocaleString()} tax on the rent, imputed value on 75%; result up CHF ${Math.round(expectedGain).toLocaleString()}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: rental tax ${y1.taxRentalIncome}, imputed ${y1.taxImputedRent}, gain ${let25.ResultValue - base.ResultValue} vs ${expectedGain}`);
+    }
+
+    // Test 3: Lender rules
+    totalTests++;
+    console.log('\nTest 3: Rental income in the affordability test and income-property LTV');
+    const affordability = { householdIncome: 200000 };
+    const plain = SwissRentBuyCalculator.calculate({ ...baseParams, affordability }).Affordability;
+    const partial = SwissRentBuyCalculator.calculate({ ...baseParams, affordability, rentalIncome: flat }).Affordability;
+    const separate = SwissRentBuyCalculator.calculate({
+        ...baseParams, affordability, rentalIncome: { ...flat, rentedShare: 1, separateUnit: true }
+    }).Affordability;
+    const rules = SwissRentBuyCalculator.resolveAffordability(affordability, { ...flat, separateUnit: true });
+    if (partial.rentalIncomeCounted === 14400 && partial.householdIncome === 214400 && plain.rentalIncomeCounted === 0 &&
+        partial.incomeRatio < plain.incomeRatio && partial.maxFinanceablePrice >= plain.maxFinanceablePrice &&
+        Math.abs(rules.maxLtv - (0.8 * 0.75 + 0.75 * 0.25)) < 1e-12 &&
+        separate.maxFinanceablePrice <= Math.floor(300000 / 0.25) && separate.maxFinanceablePrice < partial.maxFinanceablePrice) {
+        console.log(`  ✅ PASS: CHF 14,400 of the rent counted (${(plain.incomeRatio * 100).toFixed(1)}% -> ${(partial.incomeRatio * 100).toFixed(1)}% of income); separate unit financed up to 75%`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: counted ${partial.rentalIncomeCounted}, max price ${partial.maxFinanceablePrice} vs separate ${separate.maxFinanceablePrice}`);
+    }
+
+    // Test 4: Cash flows, parity, real terms and the monthly snapshot
+    totalTests++;
+    console.log('\nTest 4: Rental income in cash flows and summaries');
+    const parity = SwissRentBuyCalculator.calculate({ ...baseParams, scenarioMode: 'cashflowParity', calculationResolution: 'monthly', rentalIncome: flat });
+    const parityBase = SwissRentBuyCalculator.calculate({ ...baseParams, scenarioMode: 'cashflowParity', calculationResolution: 'monthly' });
+    const real = SwissRentBuyCalculator.inRealTerms(SwissRentBuyCalculator.calculate({ ...baseParams, rentalIncome: flat, inflationRate: 0.02 }));
+    const realIncome = sum(let25.YearlyBreakdown.map((y, i) => y.rentalIncome / Math.pow(1.02, i + 1)));
+    const npv0 = SwissRentBuyCalculator.calculate({ ...baseParams, rentalIncome: flat, discountRate: 0 }).FinancialMetrics;
+    if (Math.abs(let25.CashFlows[1].buy - base.CashFlows[1].buy - (15100 - y1.taxRentalIncome + 33000 * 0.25 * 0.3)) < 1e-6 &&
+        Math.abs(npv0.npvDifference - let25.ResultValue) < 1e-6 &&
+        Math.abs(parity.YearlyBreakdown[0].renterContribution - parityBase.YearlyBreakdown[0].renterContribution + 15100) < 1e-6 &&
+        Math.abs(real.MinusRentalIncome + realIncome) < 1e-6 &&
+        Math.abs(real.YearlyBreakdown[9].cumulativeAdvantage - real.ResultValue) < 1e-6 &&
+        let25.MonthlyRentalIncome === Math.round(15100 / 12) &&
+        let25.TotalMonthlyExpenses === base.TotalMonthlyExpenses - let25.MonthlyRentalIncome) {
+        console.log(`  ✅ PASS: CHF ${let25.MonthlyRentalIncome.toLocaleString()} per month lowers the owner's outlay and the renter's parity contributions`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: cash flow ${let25.CashFlows[1].buy - base.CashFlows[1].buy}, monthly ${let25.MonthlyRentalIncome}`);
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All rental income tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some rental income tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runRentalIncomeTests()) process.exit(1);
+}
+
+module.exports = { runRentalIncomeTests };
@@ -0,0 +1,138 @@
+/**
+ * Test End-of-Term Sale (Liquidation)
+ *
+ * Tests that the liquidate-at-end mode correctly:
+ * 1. Keeps the mark-to-market comparison as the default
+ * 2. Deducts broker commission, notary fees and property gains tax on the net gain
+ * 3. Applies the canton's holding-period rules and estimates fixed-rate break costs
+ * 4. Reports mark-to-market and net-after-sale consistently with the year-by-year series
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+const SwissTaxModule = require('./tax-module.js');
+
+function runSaleAtEndTests() {
+    console.log('=== End-of-Term Sale Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 2000000,
+        downPayment: 400000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 25000,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 60000,
+        totalRenovations: 50000,
+        imputedRentalValue: 42900,
+        propertyTaxDeductions: 13000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.03,
+        monthlyRent: 5500,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 10
+    };
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Mark-to-market by default
+    totalTests++;
+    console.log('Test 1: Mark-to-market without a sale');
+    const markToMarket = SwissRentBuyCalculator.calculate(baseParams);
+    if (markToMarket.SaleAtEnd === null && markToMarket.PropertySaleCosts === 0 &&
+        markToMarket.NetAfterSaleResultValue === null &&
+        markToMarket.MarkToMarketResultValue === markToMarket.ResultValue) {
+        console.log('  ✅ PASS: Property counted at market value, no sale figures');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Unexpected sale figures without liquidation');
+    }
+
+    // Test 2: Selling costs and gains tax on the net gain
+    totalTests++;
+    console.log('\nTest 2: Selling costs and property gains tax');
+    const sold = SwissRentBuyCalculator.calculate({ ...baseParams, saleAtEnd: true });
+    const sale = sold.SaleAtEnd;
+    const salePrice = 2000000 * Math.pow(1.03, 10);
+    const expectedGain = salePrice - 2000000 - 60000 - 50000 - salePrice * 0.025;
+    const saleOk = Math.abs(sale.brokerCommission - salePrice * 0.02) < 1e-6 &&
+                   Math.abs(sale.notaryFees - salePrice * 0.005) < 1e-6 &&
+                   Math.abs(sale.propertyGain - expectedGain) < 1e-6 &&
+                   Math.abs(sale.propertyGainsTax - SwissTaxModule.propertyGainsTax(expectedGain, 10, { canton: 'ZH' })) < 1e-6 &&
+                   sale.mortgageBreakCosts === 0 &&
+                   Math.abs(sold.PropertySaleCosts - (sale.brokerCommission + sale.notaryFees + sale.propertyGainsTax)) < 1e-6;
+    const noGain = SwissRentBuyCalculator.calculate({ ...baseParams, propertyAppreciationRate: 0, saleAtEnd: true });
+    if (saleOk && noGain.SaleAtEnd.propertyGainsTax === 0) {
+        console.log(`  ✅ PASS: Sale costs CHF ${Math.round(sold.PropertySaleCosts).toLocaleString()} incl. gains tax CHF ${Math.round(sale.propertyGainsTax).toLocaleString()}; no tax on a loss`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: sale=${saleOk}, no-gain tax=${noGain.SaleAtEnd.propertyGainsTax}`);
+    }
+
+    // Test 3: Holding-period rules and break costs of fixed tranches
+    totalTests++;
+    console.log('\nTest 3: Holding-period reduction and break costs');
+    const shortHold = SwissTaxModule.propertyGainsTax(200000, 1, { canton: 'ZH' });
+    const longHold = SwissTaxModule.propertyGainsTax(200000, 20, { canton: 'ZH' });
+    const geneva = SwissTaxModule.propertyGainsTax(200000, 25, { canton: 'GE' });
+    const tranched = SwissRentBuyCalculator.calculate({
+        ...baseParams,
+        saleAtEnd: { canton: 'ZG' },
+        mortgageTranches: [
+            { share: 0.5, rateType: 'fixed', rate: 0.025, maturityYears: 15, renewalRate: 0.015 },
+            { share: 0.5, rateType: 'saron', saron: 0.01, margin: 0.008 }
+        ]
+    });
+    const fixedBalance = tranched.YearlyBreakdown[9].trancheBreakdown[0].endingBalance;
+    const explicit = SwissRentBuyCalculator.calculate({ ...baseParams, saleAtEnd: { mortgageBreakCosts: 12000 } });
+    if (Math.abs(longHold / shortHold - 0.5 / 1.25) < 1e-9 && geneva === 0 &&
+        tranched.SaleAtEnd.canton === 'ZG' &&
+        Math.abs(tranched.SaleAtEnd.mortgageBreakCosts - fixedBalance * 0.01 * 5) < 1e-6 &&
+        explicit.SaleAtEnd.mortgageBreakCosts === 12000) {
+        console.log(`  ✅ PASS: Break costs CHF ${Math.round(tranched.SaleAtEnd.mortgageBreakCosts).toLocaleString()} for 5 remaining fixed years`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: holding ${longHold}/${shortHold}, GE ${geneva}, break ${tranched.SaleAtEnd.mortgageBreakCosts}`);
+    }
+
+    // Test 4: Both comparisons reported, series ends at the net-after-sale totals
+    totalTests++;
+    console.log('\nTest 4: Mark-to-market vs net-after-sale');
+    const consistent = ['equalConsumption', 'cashflowParity', 'equalSavings'].every(scenarioMode => {
+        const plain = SwissRentBuyCalculator.calculate({ ...baseParams, scenarioMode });
+        const liquidated = SwissRentBuyCalculator.calculate({ ...baseParams, scenarioMode, saleAtEnd: true });
+        const last = liquidated.YearlyBreakdown[liquidated.YearlyBreakdown.length - 1];
+        return Math.abs(liquidated.MarkToMarketResultValue - plain.ResultValue) < 1e-6 &&
+               Math.abs(liquidated.NetAfterSaleResultValue - (plain.ResultValue - liquidated.PropertySaleCosts)) < 1e-6 &&
+               liquidated.ResultValue === liquidated.NetAfterSaleResultValue &&
+               Math.abs(last.totalPurchaseCostToDate - liquidated.TotalPurchaseCost) < 1e-4 &&
+               Math.abs(last.totalRentalCostToDate - liquidated.TotalRentalCost) < 1e-4;
+    });
+    if (consistent) {
+        console.log('  ✅ PASS: Net after sale equals mark-to-market minus sale costs');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Comparisons inconsistent');
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All end-of-term sale tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some end-of-term sale tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runSaleAtEndTests()) process.exit(1);
+}
+
+module.exports = { runSaleAtEndTests };
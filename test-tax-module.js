@@ -0,0 +1,135 @@
+/**
+ * Test Progressive Swiss Tax Module
+ *
+ * Tests that the tax module and its use in the calculator correctly:
+ * 1. Compute the federal tax and bracket tax from the bundled tariffs
+ * 2. Apply cantonal, commune and church multipliers and the married tariff / income splitting
+ * 3. Keep the flat marginal rate as the default and tax owner and renter returns progressively
+ * 4. Keep the year-by-year tax components consistent with the owner and renter returns
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+const SwissTaxModule = require('./tax-module.js');
+
+function runTaxModuleTests() {
+    console.log('=== Progressive Tax Module Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 1500000,
+        downPayment: 300000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 18750,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 45000,
+        imputedRentalValue: 33000,
+        propertyTaxDeductions: 11000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 4300,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 15
+    };
+    const taxModel = { canton: 'ZH', civilStatus: 'married', taxableIncome: 150000 };
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: Federal tariff and bracket arithmetic
+    totalTests++;
+    console.log('Test 1: Federal tax and bracket tax');
+    const bracketOk = SwissTaxModule.bracketTax(25000, [[10000, 0], [20000, 0.1], [Infinity, 0.2]]) === 2000;
+    const federalLow = SwissTaxModule.federalTax(15000, 'single');
+    const federalSingle = SwissTaxModule.federalTax(50000, 'single');
+    const expectedSingle = (33200 - 15200) * 0.0077 + (43500 - 33200) * 0.0088 + (50000 - 43500) * 0.0264;
+    const federalTop = SwissTaxModule.federalTax(1000000, 'married');
+    if (bracketOk && federalLow === 0 && Math.abs(federalSingle - expectedSingle) < 1e-6 &&
+        Math.abs(federalTop - 115000) < 1e-6) {
+        console.log(`  ✅ PASS: Federal tax on CHF 50,000 (single) CHF ${federalSingle.toFixed(2)}, 11.5% flat at the top`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: bracket=${bracketOk}, low=${federalLow}, single=${federalSingle}, top=${federalTop}`);
+    }
+
+    // Test 2: Multipliers and civil status
+    totalTests++;
+    console.log('\nTest 2: Cantonal, commune and church multipliers, married tariff and splitting');
+    const zh = SwissTaxModule.incomeTax(120000, { canton: 'ZH', communeMultiplier: 1.0, churchTax: true });
+    const simpleZh = SwissTaxModule.cantonalSimpleTax(120000, 'ZH', 'single');
+    const multipliersOk = Math.abs(zh.cantonal - simpleZh * 0.98) < 1e-6 &&
+                          Math.abs(zh.communal - simpleZh) < 1e-6 &&
+                          Math.abs(zh.church - simpleZh * 0.10) < 1e-6 &&
+                          Math.abs(zh.total - (zh.federal + zh.cantonal + zh.communal + zh.church)) < 1e-6;
+    const splittingOk = Math.abs(SwissTaxModule.cantonalSimpleTax(160000, 'ZG', 'married') -
+                                 2 * SwissTaxModule.cantonalSimpleTax(80000, 'ZG', 'single')) < 1e-6;
+    const marriedLower = SwissTaxModule.incomeTax(150000, { canton: 'ZH', civilStatus: 'married' }).total <
+                         SwissTaxModule.incomeTax(150000, { canton: 'ZH', civilStatus: 'single' }).total;
+    let unknownThrows = false;
+    try { SwissTaxModule.incomeTax(100000, { canton: 'XX' }); } catch (e) { unknownThrows = true; }
+    if (multipliersOk && splittingOk && marriedLower && unknownThrows) {
+        console.log('  ✅ PASS: Multipliers scale the simple tax, married couples pay less, unknown cantons rejected');
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: multipliers=${multipliersOk}, splitting=${splittingOk}, married=${marriedLower}, unknown=${unknownThrows}`);
+    }
+
+    // Test 3: Flat rate by default, progressive returns with a tax model
+    totalTests++;
+    console.log('\nTest 3: Flat default and progressive owner/renter returns');
+    const flat = SwissRentBuyCalculator.calculate(baseParams);
+    const progressive = SwissRentBuyCalculator.calculate({ ...baseParams, taxModel });
+    const taxOf = income => SwissTaxModule.incomeTax(income, { ...taxModel, communeMultiplier: 1.19 }).total;
+    const y1 = progressive.YearlyBreakdown[0];
+    const expectedOwnerIncome = 150000 + 33000 - y1.annualInterest - 11000;
+    const returnsOk = Math.abs(y1.ownerTaxableIncome - expectedOwnerIncome) < 1e-6 &&
+                      Math.abs(y1.annualTaxDifference - (taxOf(expectedOwnerIncome) - taxOf(150000))) < 1e-6 &&
+                      Math.abs(y1.investmentIncomeTaxThisYear - (taxOf(150000 + y1.investmentGainsThisYear) - taxOf(150000))) < 1e-6;
+    if (flat.TaxModel === null && flat.YearlyBreakdown[0].ownerTaxableIncome === null &&
+        progressive.TaxModel.communeMultiplier === 1.19 && returnsOk &&
+        progressive.ResultValue !== flat.ResultValue) {
+        console.log(`  ✅ PASS: Year 1 owner return CHF ${Math.round(y1.ownerIncomeTax).toLocaleString()} vs renter CHF ${Math.round(y1.renterIncomeTax).toLocaleString()}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: returns=${returnsOk}, flat TaxModel=${JSON.stringify(flat.TaxModel)}`);
+    }
+
+    // Test 4: Components add up to the return difference in every year, series matches totals
+    totalTests++;
+    console.log('\nTest 4: Tax components consistent with the returns');
+    const componentsOk = ['equalConsumption', 'cashflowParity'].every(scenarioMode => {
+        const r = SwissRentBuyCalculator.calculate({ ...baseParams, scenarioMode, amortizationMethod: 'indirect3a', taxModel });
+        const last = r.YearlyBreakdown[r.YearlyBreakdown.length - 1];
+        return r.YearlyBreakdown.every(y =>
+            Math.abs(y.taxImputedRent - y.taxSavingsInterest - y.taxSavingsPropertyExpenses - y.taxSavingsPillar3a - y.annualTaxDifference) < 1e-6 &&
+            Math.abs(y.ownerIncomeTax - taxOf(150000) - y.annualTaxDifference) < 1e-6) &&
+            Math.abs(last.totalPurchaseCostToDate - r.TotalPurchaseCost) < 1e-4 &&
+            Math.abs(last.totalRentalCostToDate - r.TotalRentalCost) < 1e-4;
+    });
+    if (componentsOk) {
+        console.log('  ✅ PASS: Imputed rent minus deductions equals the owner return difference');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Tax components and returns diverge');
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All tax module tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some tax module tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runTaxModuleTests()) process.exit(1);
+}
+
+module.exports = { runTaxModuleTests };
@@ -0,0 +1,137 @@
+/**
+ * Test Wealth Tax (Vermögenssteuer)
+ *
+ * Tests that wealth tax modeling correctly:
+ * 1. Leaves results unchanged without wealth tax and applies allowances and multipliers
+ * 2. Taxes the owner on the property at tax value net of the mortgage and the renter on the portfolio
+ * 3. Uses the income tax residence when none is given and lets other wealth shift the progression
+ * 4. Keeps the year-by-year series consistent with the owner and renter totals
+ */
+
+// Use the unified calculator for consistency
+const SwissRentBuyCalculator = require('./calculator.js');
+const SwissTaxModule = require('./tax-module.js');
+
+function runWealthTaxTests() {
+    console.log('=== Wealth Tax Tests ===\n');
+
+    const baseParams = {
+        purchasePrice: 2000000,
+        downPayment: 400000,
+        mortgageRate: 0.018,
+        annualMaintenanceCosts: 25000,
+        amortizationYears: 15,
+        annualAmortization: 20000,
+        additionalPurchaseCosts: 60000,
+        imputedRentalValue: 42900,
+        propertyTaxDeductions: 13000,
+        marginalTaxRate: 0.3,
+        propertyAppreciationRate: 0.015,
+        monthlyRent: 5500,
+        annualRentalCosts: 6000,
+        investmentYieldRate: 0.04,
+        termYears: 10
+    };
+    const wealthTax = { canton: 'ZH', civilStatus: 'single', propertyTaxValueRatio: 0.7 };
+    const zhTax = (wealth, profile = wealthTax) => SwissTaxModule.wealthTax(wealth, profile).total;
+
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    // Test 1: No wealth tax by default, allowance and multipliers in the tariff
+    totalTests++;
+    console.log('Test 1: Default without wealth tax, allowance and multipliers');
+    const withoutTax = SwissRentBuyCalculator.calculate(baseParams);
+    const belowAllowance = SwissTaxModule.wealthTax(80000, { canton: 'ZH' }).total;
+    const zh = SwissTaxModule.wealthTax(500000, { canton: 'ZH', communeMultiplier: 1.0, churchTax: true });
+    const simpleZh = SwissTaxModule.bracketTax(500000 - 80000, SwissTaxModule.CANTONS.ZH.wealthBrackets);
+    if (withoutTax.WealthTax === null && withoutTax.OwnerWealthTax === 0 && withoutTax.RenterWealthTax === 0 &&
+        belowAllowance === 0 && Math.abs(zh.total - simpleZh * (0.98 + 1.0 + 0.10)) < 1e-9) {
+        console.log(`  ✅ PASS: Wealth tax on CHF 500,000 in ZH: CHF ${zh.total.toFixed(2)}`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: default=${JSON.stringify(withoutTax.WealthTax)}, allowance=${belowAllowance}, total=${zh.total}`);
+    }
+
+    // Test 2: Owner and renter wealth per year
+    totalTests++;
+    console.log('\nTest 2: Property at tax value minus mortgage vs portfolio at market value');
+    const result = SwissRentBuyCalculator.calculate({ ...baseParams, wealthTax });
+    const y1 = result.YearlyBreakdown[0];
+    const expectedOwnerWealth = y1.propertyValueEndOfYear * 0.7 - y1.endingBalance;
+    const wealthOk = Math.abs(y1.ownerNetWealth - expectedOwnerWealth) < 1e-6 &&
+                     Math.abs(y1.ownerWealthTax - zhTax(expectedOwnerWealth)) < 1e-6 &&
+                     y1.renterNetWealth === y1.portfolioValueEndOfYear &&
+                     Math.abs(y1.renterWealthTax - zhTax(y1.portfolioValueEndOfYear)) < 1e-6;
+    const indirect = SwissRentBuyCalculator.calculate({ ...baseParams, wealthTax, amortizationMethod: 'indirect3a' });
+    const exemptOk = indirect.YearlyBreakdown.every(y =>
+        Math.abs(y.ownerNetWealth - (y.propertyValueEndOfYear * 0.7 - y.endingBalance)) < 1e-6);
+    if (wealthOk && exemptOk && result.RenterWealthTax > result.OwnerWealthTax) {
+        console.log(`  ✅ PASS: Owner CHF ${Math.round(result.OwnerWealthTax).toLocaleString()} vs renter CHF ${Math.round(result.RenterWealthTax).toLocaleString()} over ${baseParams.termYears} years`);
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: wealth=${wealthOk}, 3a exempt=${exemptOk}`);
+    }
+
+    // Test 3: Residence from the income tax model, other wealth shifts the progression
+    totalTests++;
+    console.log('\nTest 3: Residence fallback and other wealth');
+    const fromTaxModel = SwissRentBuyCalculator.calculate({
+        ...baseParams,
+        taxModel: { canton: 'GE', civilStatus: 'married', taxableIncome: 180000 },
+        wealthTax: { propertyTaxValueRatio: 0.6 }
+    });
+    const rich = SwissRentBuyCalculator.calculate({ ...baseParams, wealthTax: { ...wealthTax, otherWealth: 1000000 } });
+    const richY1 = rich.YearlyBreakdown[0];
+    const fallbackOk = fromTaxModel.WealthTax.canton === 'GE' && fromTaxModel.WealthTax.civilStatus === 'married' &&
+                       fromTaxModel.WealthTax.propertyTaxValueRatio === 0.6;
+    const progressionOk = Math.abs(richY1.renterWealthTax - (zhTax(1000000 + richY1.portfolioValueEndOfYear) - zhTax(1000000))) < 1e-6 &&
+                          richY1.renterWealthTax > y1.renterWealthTax;
+    if (fallbackOk && progressionOk) {
+        console.log('  ✅ PASS: Canton and civil status taken from the tax model, other wealth raises the marginal wealth tax');
+        testsPassed++;
+    } else {
+        console.log(`  ❌ FAIL: fallback=${fallbackOk}, progression=${progressionOk}`);
+    }
+
+    // Test 4: Totals and to-date series
+    totalTests++;
+    console.log('\nTest 4: Wealth tax in totals and year-by-year series');
+    const consistent = ['equalConsumption', 'cashflowParity', 'equalSavings'].every(scenarioMode => {
+        const plain = SwissRentBuyCalculator.calculate({ ...baseParams, scenarioMode });
+        const taxed = SwissRentBuyCalculator.calculate({ ...baseParams, scenarioMode, wealthTax });
+        const last = taxed.YearlyBreakdown[taxed.YearlyBreakdown.length - 1];
+        const ownerSum = taxed.YearlyBreakdown.reduce((sum, y) => sum + y.ownerWealthTax, 0);
+        const renterSum = taxed.YearlyBreakdown.reduce((sum, y) => sum + y.renterWealthTax, 0);
+        return Math.abs(ownerSum - taxed.OwnerWealthTax) < 1e-6 && Math.abs(renterSum - taxed.RenterWealthTax) < 1e-6 &&
+               Math.abs(taxed.TotalPurchaseCost - plain.TotalPurchaseCost - ownerSum) < 1e-4 &&
+               Math.abs(taxed.TotalRentalCost - plain.TotalRentalCost - renterSum) < 1e-4 &&
+               Math.abs(last.totalPurchaseCostToDate - taxed.TotalPurchaseCost) < 1e-4 &&
+               Math.abs(last.totalRentalCostToDate - taxed.TotalRentalCost) < 1e-4;
+    });
+    if (consistent) {
+        console.log('  ✅ PASS: Owner wealth tax adds to the purchase cost, renter wealth tax to the rental cost');
+        testsPassed++;
+    } else {
+        console.log('  ❌ FAIL: Wealth tax totals inconsistent');
+    }
+
+    // Summary
+    console.log(`\n=== Test Results ===`);
+    console.log(`${testsPassed}/${totalTests} tests passed`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 All wealth tax tests passed!');
+        return true;
+    } else {
+        console.log('⚠️  Some wealth tax tests failed.');
+        return false;
+    }
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+    if (!runWealthTaxTests()) process.exit(1);
+}
+
+module.exports = { runWealthTaxTests };